@@ -4,6 +4,7 @@
  * Contains all settings, paths, and rule-specific data.
  */
 
+const os = require("os");
 const path = require("path");
 
 const config = {
@@ -11,7 +12,7 @@ const config = {
   app: {
     testMode: false, // true = use test data paths, false = use production paths (set by Dashboard config)
     autorun: false, // true = automatic scanning and execution, false = manual mode (activated by Dashboard config)
-    scanIntervalMs: 60000, // How often the autorun scanner checks for new JSONs (60 seconds)
+    scanIntervalMs: 60000, // How often the autorun scanner checks for new JSONs (60 seconds) - without watch mode
     logLevel: "info", // can be: 'debug', 'info', 'warn', 'error'
     enableDetailedLogging: true,
     enableProgressReporting: true, // Show progress during bulk file operations
@@ -40,23 +41,48 @@ const config = {
     ), // Test mode temp base path
   },
 
+  // Watch mode - autorun picks up changed exports from file system events (see src/FileWatcher.js)
+  // instead of rescanning the whole tree every app.scanIntervalMs
+  watch: {
+    enabled: process.env.WATCH_MODE !== "false",
+    debounceMs: 2000, // Quiet time after the last event before changed files are checked
+    stableMs: 5000, // An export is read once its size and mtime stayed unchanged this long (CAM station still writing) - also in autorun full scans
+    reconcileIntervalMs: 10 * 60 * 1000, // Full scan to catch missed events (e.g. on network shares)
+  },
+
+  // Worker pool - projects are loaded, analyzed and checked in worker threads (see src/WorkerPool.js),
+  // so a slow or broken project doesn't hold up the others or the REST server
+  workerPool: {
+    size:
+      process.env.WORKER_POOL_SIZE !== undefined
+        ? Number(process.env.WORKER_POOL_SIZE)
+        : Math.min(4, Math.max(1, os.cpus().length - 1)), // 0 = process projects one by one on the main thread
+    projectTimeoutMs: 5 * 60 * 1000, // A project still running after this is stopped and saved as failed (warned about after app.operationTimeoutWarning)
+  },
+
   // Web app settings (for future web service)
   webApp: {
     port: 3001,
     enableAuth: true,
-    sessionSecret: "your-secret-key-here", // Change in production
+    sessionSecret: process.env.SESSION_SECRET || "your-secret-key-here", // Change in production
+    sessionTtlHours: 12,
+    usersFile: process.env.USERS_FILE || null, // null = <working folder>/BRK CNC Management Dashboard/JSONScanner/users.json
     maxFileSize: "10MB",
     allowedOrigins: ["http://localhost:5173", "http://localhost:3000"],
   },
 
   // Storage settings - supports both local and MongoDB
   storage: {
-    type: process.env.STORAGE_TYPE || "auto", // 'local', 'mongodb', 'auto'
+    type: process.env.STORAGE_TYPE || "auto", // 'local', 'sqlite', 'mongodb', 'auto' (sqlite if installed, else local)
     local: {
       dataDirectory: process.env.LOCAL_DATA_DIR || path.join(__dirname, "data"),
       backupDirectory: path.join(__dirname, "data", "backups"),
       maxBackups: 10,
     },
+    sqlite: {
+      path: process.env.SQLITE_PATH || null, // null = <working folder>/BRK CNC Management Dashboard/JSONScanner/jsonscanner.db
+      fileName: "jsonscanner.db",
+    },
   },
 
   // MongoDB connection (when storage.type is 'mongodb' or 'auto')
@@ -148,13 +174,16 @@ const config = {
     essentialExtensions: [".json", ".h", ".tls"], // Only copy these file types
     skipExtensions: [".gif", ".png", ".jpg", ".html", ".stl", ".vcproject"], // Skip these file types
     sessionTrackingExtension: ".session", // Extension for session tracking files
+    manifestFileName: "scan_manifest.json", // Persistent change-detection state in the working folder
   },
 
   // File naming
   files: {
     jsonExtension: ".json",
     fixedSuffix: "BRK_fixed",
+    repairLogSuffix: "BRK_repairs", // Repairs made while fixing the JSON, next to the fixed file
     resultSuffix: "BRK_result",
+    projectResultSuffix: "BRK_project_result", // Rolled-up result across all positions
   },
 
   // Tool categories for rules
@@ -187,112 +216,30 @@ const config = {
     ],
   },
 
-  // Rule configuration - defines which rules run under what conditions
-  rules: {
-    GunDrill60MinLimit: {
-      description: "Gundrill tools should not exceed 60 minutes per NC file",
-      failureType: "ncfile",
-      logic: (project) => {
-        // Always run for all projects
-        return true;
-      },
-    },
-
-    SingleToolInNC: {
-      description: "Each NC file should use only one tool",
-      failureType: "ncfile",
-      logic: (project) => {
-        // Always run except for AutoCorrection compound jobs
-        return true; // Rule will internally skip AutoCorrection jobs
-      },
-    },
-
-    M110Helical: {
-      description: "M110 command required for helical drilling operations",
-      failureType: "ncfile",
-      logic: (project) => {
-        // Run if project uses endmill finish, xfeed, or tgt tools with helical drilling
-        return (
-          (project.hasToolCategory("endmill_finish") ||
-            project.hasToolCategory("xfeed") ||
-            project.hasToolCategory("tgt")) &&
-          project.hasOperationType("helical drilling")
-        );
-      },
-    },
-
-    M110Contour: {
-      description: "M110 contour operations must have RL compensation",
-      failureType: "ncfile",
-      logic: (project) => {
-        // Run if project has 2D contour operations
-        return (
-          project.hasOperationType("2d contour") ||
-          project.hasOperationType("contour milling")
-        );
-      },
-    },
-
-    ReconditionedTool: {
-      description: "Validate reconditioned tool usage",
-      failureType: "tool",
-      logic: (project) => {
-        // Only run on specific machines that don't allow reconditioned tools
-        const restrictedMachines = [
-          "DMU 100P duoblock Minus",
-          "DMU 85 monoblock MINUS",
-        ];
-
-        const isRestrictedMachine = restrictedMachines.some((machine) =>
-          project.machine?.includes(machine)
-        );
-
-        // Only run if project uses tools that can be reconditioned AND is on restricted machine
-        return (
-          isRestrictedMachine &&
-          (project.hasToolCategory("endmill_finish") ||
-            project.hasToolCategory("endmill_roughing"))
-        );
-      },
-    },
-
-    AutoCorrectionContour: {
-      description: "Auto correction validation for contour operations",
-      failureType: "project",
-      logic: (project) => {
-        // Only run on specific machines that require auto correction
-        const restrictedMachines = [
-          "DMU 100P duoblock Minus",
-          "DMU 85 monoblock MINUS",
-        ];
-
-        const isRestrictedMachine = restrictedMachines.some((machine) =>
-          project.machine?.includes(machine)
-        );
-
-        // Only run for restricted machines with contour operations
-        return isRestrictedMachine && project.hasOperationType("contour");
-      },
-    },
+  // Tool catalog - tool master data keyed by tool ID (see src/ToolCatalog.js).
+  // Tools missing from the catalog fall back to the toolCategories prefixes above.
+  toolCatalog: {
+    path: process.env.TOOL_CATALOG_PATH || null, // .json or .csv; null = <working folder>/BRK CNC Management Dashboard/JSONScanner/tool-catalog.json
+  },
 
-    AutoCorrectionPlane: {
-      description: "Auto correction validation for plane operations",
-      failureType: "project",
-      logic: (project) => {
-        // Only run on specific machines that require auto correction
-        const restrictedMachines = [
-          "DMU 100P duoblock Minus",
-          "DMU 85 monoblock MINUS",
-        ];
+  // Machine catalog - machine IDs, aliases, controller, limits and capabilities (see src/MachineCatalog.js)
+  machineCatalog: {
+    path:
+      process.env.MACHINE_CATALOG_PATH ||
+      path.join(__dirname, "rules", "machines", "default.json"),
+  },
 
-        const isRestrictedMachine = restrictedMachines.some((machine) =>
-          project.machine?.includes(machine)
-        );
+  // Rule profile - declares which rules run under what conditions and their thresholds
+  // (see rules/profiles/default.json; validated by RuleProfile at startup)
+  ruleProfile: {
+    path:
+      process.env.RULE_PROFILE_PATH ||
+      path.join(__dirname, "rules", "profiles", "default.json"),
+  },
 
-        // Only run for restricted machines with plane operations
-        return isRestrictedMachine && project.hasOperationType("plane");
-      },
-    },
+  // Rule waivers - approved exceptions for violations (see src/WaiverStore.js)
+  waivers: {
+    path: process.env.WAIVERS_FILE || null, // null = <working folder>/BRK CNC Management Dashboard/JSONScanner/waivers.json
   },
 };
 
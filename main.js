@@ -2,7 +2,6 @@
 const Executor = require("./src/Executor");
 const DataManager = require("./src/DataManager");
 const Logger = require("./utils/Logger");
-const UserManager = require("./utils/UserManager");
 const config = require("./config");
 
 // Parse command line arguments
@@ -26,6 +25,14 @@ function parseArguments() {
     testRuns: 1, // Number of test runs (default 1)
     testQuick: false,
     testStorage: false,
+    verifyRules: false,
+    updateSnapshots: false,
+    diff: null, // { projectId, runA, runB }
+    report: false,
+    reportFilters: {}, // { from, to, days }
+    users: null, // { action, username }
+    userFields: {}, // { role, operator, email, password }
+    tools: null, // { action, file }
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -94,6 +101,61 @@ function parseArguments() {
       case "--test-storage":
         options.testStorage = true;
         break;
+      case "--verify-rules":
+        options.verifyRules = true;
+        break;
+      case "--update-snapshots":
+        options.verifyRules = true;
+        options.updateSnapshots = true;
+        break;
+      case "--diff": {
+        // --diff <projectId> [runA] [runB]
+        const diffArgs = [];
+        while (args[i + 1] && !args[i + 1].startsWith("--") && diffArgs.length < 3) {
+          diffArgs.push(args[++i]);
+        }
+        const [projectId, runA = null, runB = null] = diffArgs;
+        options.diff = { projectId, runA, runB };
+        break;
+      }
+      case "--report":
+        options.report = true;
+        break;
+      case "--from":
+      case "--to":
+      case "--days":
+        // Date range of --report
+        options.reportFilters[args[i].slice(2)] = args[i + 1];
+        i++; // Skip next argument
+        break;
+      case "--users": {
+        // --users <list|add|update|disable|enable|reset-password> [username]
+        const userArgs = [];
+        while (args[i + 1] && !args[i + 1].startsWith("--") && userArgs.length < 2) {
+          userArgs.push(args[++i]);
+        }
+        const [action = "list", username = null] = userArgs;
+        options.users = { action, username };
+        break;
+      }
+      case "--tools": {
+        // --tools <list|missing|import> [csvFile]
+        const toolArgs = [];
+        while (args[i + 1] && !args[i + 1].startsWith("--") && toolArgs.length < 2) {
+          toolArgs.push(args[++i]);
+        }
+        const [action = "list", file = null] = toolArgs;
+        options.tools = { action, file };
+        break;
+      }
+      case "--role":
+      case "--operator":
+      case "--email":
+      case "--password":
+        // User fields of --users
+        options.userFields[args[i].slice(2)] = args[i + 1];
+        i++; // Skip next argument
+        break;
       case "--help":
         showHelp();
         process.exit(0);
@@ -114,7 +176,7 @@ Options:
   --mode <auto|manual> Override config mode setting
   --manual             Set mode to manual (shortcut for --mode manual)
   --auto               Set mode to auto (shortcut for --mode auto)
-  --cleanup            Delete all generated files (BRK_fixed.json and BRK_result.json)
+  --cleanup            Delete all generated files (BRK_fixed.json, BRK_repairs.json and BRK_result.json)
   --cleanup-stats      Show statistics about generated files without deleting
   --cleanup-interactive Cleanup with confirmation prompt
   --project <path>     Scan specific project path (manual mode only)
@@ -123,6 +185,19 @@ Options:
   --export-results <dir> Export current temp results to specified directory
   --list-results       List all result files in current temp session
   --preserve-results   Preserve results when cleaning up temp files
+  --diff <projectId> [runA] [runB]
+                       Compare two runs from the result history (default: latest vs. previous)
+  --report [--from <date>] [--to <date>] [--days <N>]
+                       Print analytics over the result history (pass rates, violations, tools)
+  --users [list]       List the web app users
+  --users add <username> [--role admin|user] [--operator <name>] [--email <email>] [--password <pw>]
+  --users update <username> [--role <role>] [--operator <name>] [--email <email>]
+  --users disable|enable <username>
+  --users reset-password <username> [--password <pw>]
+                       Manage web app users offline (prompts for the password if not given)
+  --tools [list]       List the tool catalog
+  --tools missing      List tools used in scanned projects that are missing from the tool catalog
+  --tools import <csv> Import a CSV file (toolId,category,nominalDiameter,...) into the tool catalog
   --working-folder <path> Override temp directory with user-defined working folder
   
 Development & Testing:
@@ -131,6 +206,8 @@ Development & Testing:
   --test --N           Run N test cycles with no cleanup between runs (e.g., --test --3)
   --test-quick         Run quick storage tests
   --test-storage       Run detailed storage functionality tests
+  --verify-rules       Run all rules on test/fixtures/rules and compare with stored snapshots
+  --update-snapshots   Re-record the rule snapshots (review the git diff afterwards)
   --help               Show this help message
 
 Test Mode Information:
@@ -166,6 +243,10 @@ Examples:
   node main.js --export-results "/path/to/save" (export temp results)
   node main.js --manual --preserve-results (keep results when done)
   node main.js --working-folder "D:/CNC_Processing" (custom temp location)
+  node main.js --diff W5270NS01003A (latest run vs. the one before)
+  node main.js --report --days 7 (weekly report)
+  node main.js --users add admin --role admin (bootstrap the first admin)
+  node main.js --tools import tools.csv (load the tool catalog)
   `);
 }
 
@@ -346,6 +427,26 @@ async function main() {
       process.exit(0);
     }
 
+    if (options.diff) {
+      const passed = runDiff(options.diff);
+      process.exit(passed ? 0 : 1);
+    }
+
+    if (options.users) {
+      const passed = await runUsers(options.users, options.userFields);
+      process.exit(passed ? 0 : 1);
+    }
+
+    if (options.tools) {
+      const passed = runTools(options.tools);
+      process.exit(passed ? 0 : 1);
+    }
+
+    if (options.report) {
+      const passed = await runReport(options.reportFilters);
+      process.exit(passed ? 0 : 1);
+    }
+
     if (options.exportResults) {
       Logger.logInfo(`📤 Exporting temp results to: ${options.exportResults}`);
       await exportTempResults(options.exportResults);
@@ -391,6 +492,11 @@ async function main() {
       process.exit(0);
     }
 
+    if (options.verifyRules) {
+      const passed = runVerifyRules(options.updateSnapshots);
+      process.exit(passed ? 0 : 1);
+    }
+
     Logger.logInfo("🚀 Starting JSON Scanner Application...");
     Logger.logInfo(`📝 Log file: ${Logger.getLogFilePath()}`);
     Logger.logInfo(
@@ -418,9 +524,6 @@ async function main() {
       );
     }
 
-    // Initialize user manager for permission checking
-    const userManager = new UserManager();
-
     // Create executor with options
     const executor = new Executor(dataManager);
 
@@ -648,59 +751,244 @@ async function runTestQuick() {
 }
 
 async function runTestStorage() {
-  console.log("🧪 Testing JSONScanner with LOCAL storage...");
+  const originalStorageType = process.env.STORAGE_TYPE;
+
+  for (const storageType of ["local", "sqlite"]) {
+    console.log(`🧪 Testing JSONScanner with ${storageType.toUpperCase()} storage...`);
+
+    try {
+      process.env.STORAGE_TYPE = storageType;
+      const dataManager = new DataManager();
+      await dataManager.initialize();
+
+      const health = await dataManager.healthCheck();
+      console.log(`✅ Storage initialized (${health.storageType}, ${health.status})`);
+
+      const { projects, total } = await dataManager.listProjects({ page: 1, pageSize: 5 });
+      console.log(`✅ Listed ${projects.length} of ${total} project(s)`);
+
+      if (projects.length > 0) {
+        const project = await dataManager.getProject(projects[0].id);
+        console.log(
+          `✅ Loaded ${project.id}: ${project.status}, ${project.violations.length} violation(s)`
+        );
+      }
+
+      const analytics = await dataManager.getAnalytics();
+      console.log(
+        `✅ Analytics: ${analytics.totals.scans} scan(s), ${analytics.totals.projects} project(s), ${analytics.totals.violations} violation(s)`
+      );
+
+      await dataManager.disconnect();
+      console.log(`🎉 ${storageType.toUpperCase()} storage tests passed!\n`);
+    } catch (error) {
+      console.error(`❌ ${storageType} storage test failed:`, error.message);
+    }
+  }
+
+  if (originalStorageType === undefined) {
+    delete process.env.STORAGE_TYPE;
+  } else {
+    process.env.STORAGE_TYPE = originalStorageType;
+  }
+}
+
+function runVerifyRules(updateSnapshots) {
+  const RuleVerifier = require("./utils/RuleVerifier");
+
+  console.log("🧪 Rule Golden-File Verification");
+  console.log("================================================\n");
+
+  // Keep rule engine chatter out of the report
+  config.app.logLevel = "warn";
+
+  const verifier = new RuleVerifier({ updateSnapshots });
+  const summary = verifier.verify();
+  verifier.printSummary(summary);
+
+  return summary.failed === 0;
+}
+
+function runDiff({ projectId, runA, runB }) {
+  const RunComparator = require("./src/RunComparator");
+
+  if (!projectId) {
+    console.error("❌ Usage: node main.js --diff <projectId> [runA] [runB]");
+    return false;
+  }
+
+  config.app.logLevel = "warn";
+  const comparator = new RunComparator();
 
   try {
-    // Test local storage
-    process.env.STORAGE_TYPE = "local";
-    const dataManager = new DataManager();
-    await dataManager.initialize();
+    comparator.printDiff(comparator.compareRuns(projectId, runA, runB));
+    return true;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
 
-    console.log("✅ Local storage initialized");
+    const runs = comparator.history.listRuns(projectId);
+    if (runs.length > 0) {
+      console.log(`\nRuns of ${projectId} (newest first):`);
+      runs.forEach((run) =>
+        console.log(`  ${run.runId}  ${run.status}  ${run.violationCount} violation(s)`)
+      );
+    }
+    return false;
+  }
+}
 
-    // Test saving a project
-    const testProject = {
-      projectName: "storage_test",
-      fileName: "test.json",
-      status: "active",
-      timestamp: new Date().toISOString(),
-    };
+async function runReport(filters) {
+  const Analytics = require("./src/Analytics");
 
-    await dataManager.saveProject(testProject);
-    console.log("✅ Project saved successfully");
+  config.app.logLevel = "warn";
+  const dataManager = new DataManager();
 
-    // Test retrieving projects
-    const projects = await dataManager.getAllProjects();
-    console.log(`✅ Retrieved ${projects.length} project(s)`);
+  try {
+    await dataManager.initialize();
+    Analytics.printReport(await dataManager.getAnalytics(filters));
+    return true;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return false;
+  } finally {
+    await dataManager.disconnect();
+  }
+}
 
-    // Test rule execution storage
-    const testRuleExecution = {
-      projectName: "storage_test",
-      ruleName: "TestRule",
-      passed: true,
-      violations: [],
-      timestamp: new Date().toISOString(),
-    };
+function runTools({ action, file }) {
+  const ToolCatalog = require("./src/ToolCatalog");
 
-    await dataManager.saveRuleExecution(testRuleExecution);
-    console.log("✅ Rule execution saved successfully");
+  config.app.logLevel = "warn";
+  const catalog = new ToolCatalog();
 
-    // Test scan results storage
-    const testScanResult = {
-      scanPath: "/test/path",
-      projectCount: 1,
-      timestamp: new Date().toISOString(),
-    };
+  try {
+    switch (action) {
+      case "list": {
+        const tools = catalog.list();
+        console.log(`🔧 ${tools.length} tool(s) in ${catalog.filePath}`);
+        tools.forEach((tool) =>
+          console.log(
+            `  ${tool.toolId.padEnd(28)} ${tool.category.padEnd(17)} D${
+              tool.actualDiameter ?? tool.nominalDiameter ?? "-"
+            }${tool.reconditioned ? "  (reconditioned)" : ""}${
+              tool.allowedMachines.length > 0 ? `  machines: ${tool.allowedMachines.join(", ")}` : ""
+            }`
+          )
+        );
+        break;
+      }
+      case "missing": {
+        const missing = catalog.getMissingTools();
+        console.log(`🔧 ${missing.length} tool(s) used in projects but missing from ${catalog.filePath}`);
+        missing.forEach((tool) =>
+          console.log(
+            `  ${tool.toolName.padEnd(28)} ${tool.category.padEnd(17)} ${
+              tool.projects.length
+            } project(s): ${tool.projects.join(", ")}`
+          )
+        );
+        break;
+      }
+      case "import": {
+        if (!file) {
+          throw new Error("Usage: node main.js --tools import <csvFile>");
+        }
+        const { imported, total } = catalog.importCsv(file);
+        console.log(`✅ Imported ${imported} tool(s) - ${total} tool(s) in ${catalog.filePath}`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown --tools action "${action}" (list, missing, import)`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return false;
+  }
+}
 
-    await dataManager.saveScanResult(testScanResult);
-    console.log("✅ Scan result saved successfully");
+async function runUsers({ action, username }, fields) {
+  const UserManager = require("./utils/UserManager");
 
-    console.log("\n🎉 All storage tests passed!");
+  config.app.logLevel = "warn";
+  // Offline administration acts with admin rights; don't create the initial admin here
+  const cliUser = { username: "cli", role: "admin" };
+  const userManager = new UserManager(undefined, { createInitialAdmin: false });
+  const { password, ...changes } = fields;
+
+  try {
+    if (action !== "list" && !username) {
+      throw new Error(`Usage: node main.js --users ${action} <username>`);
+    }
+
+    switch (action) {
+      case "list": {
+        const users = userManager.getAllUsers(cliUser);
+        console.log(`👥 ${users.length} user(s) in ${userManager.usersFile}`);
+        users.forEach((user) =>
+          console.log(
+            `  ${user.username.padEnd(16)} ${user.role.padEnd(6)} operator: ${
+              user.operator || "-"
+            }${user.disabled ? "  (disabled)" : ""}`
+          )
+        );
+        break;
+      }
+      case "add":
+        userManager.addUser(cliUser, {
+          ...changes,
+          username,
+          password: password || (await promptPassword(username)),
+        });
+        console.log(`✅ User "${username}" added to ${userManager.usersFile}`);
+        break;
+      case "update":
+        userManager.updateUser(cliUser, username, changes);
+        console.log(`✅ User "${username}" updated`);
+        break;
+      case "disable":
+      case "enable":
+        userManager.updateUser(cliUser, username, { disabled: action === "disable" });
+        console.log(`✅ User "${username}" ${action}d`);
+        break;
+      case "reset-password":
+        if (!userManager.getUser(username)) {
+          throw new Error(`User "${username}" not found`);
+        }
+        userManager.resetPassword(
+          cliUser,
+          username,
+          password || (await promptPassword(username))
+        );
+        console.log(`✅ Password of "${username}" reset`);
+        break;
+      default:
+        throw new Error(
+          `Unknown --users action "${action}" (list, add, update, disable, enable, reset-password)`
+        );
+    }
+    return true;
   } catch (error) {
-    console.error("❌ Storage test failed:", error.message);
+    console.error(`❌ ${error.message}`);
+    return false;
   }
 }
 
+function promptPassword(username) {
+  const readline = require("readline");
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(`Password for "${username}": `, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
 async function runMultipleTests(numRuns) {
   const path = require("path");
   const Scanner = require("./src/Scanner");
@@ -1,10 +1,10 @@
 /**
  * Auto Correction Contour Validation Rule
  * Validates the 6-step auto correction pattern for contour operations.
- * Conditions for when this rule runs are defined in config.js rules section.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
  */
 
-const config = require("../config");
+const ToolCatalog = require("../src/ToolCatalog");
 
 /**
  * Main rule function - validates auto correction patterns for contour operations
@@ -159,7 +159,7 @@ function validateAutoCorrectionPattern(fileName, progName, ops) {
  * Check if operation is contour finishing
  */
 function isContourFinishing(operation) {
-  const opType = (operation.operationType || '').toLowerCase();
+  const opType = (operation.operationType || operation.operation || '').toLowerCase();
   return (opType.includes('contour') || opType.includes('helical')) && 
          isFinishingEndmill(operation);
 }
@@ -168,27 +168,21 @@ function isContourFinishing(operation) {
  * Check if operation uses finishing endmill
  */
 function isFinishingEndmill(operation) {
-  return config.toolCategories.endmill_finish.some(tool => 
-    operation.toolName && operation.toolName.startsWith(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(operation.toolName, ["endmill_finish"]);
 }
 
 /**
  * Check if tool is a cleaning tool
  */
 function isCleaningTool(toolName) {
-  return config.toolCategories.cleaning.some(tool => 
-    toolName && toolName.includes(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(toolName, ["cleaning"], "contains");
 }
 
 /**
  * Check if tool is a touch probe
  */
 function isTouchProbeTool(toolName) {
-  return config.toolCategories.touchprobe.some(tool => 
-    toolName && toolName.includes(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(toolName, ["touchprobe"], "contains");
 }
 
 module.exports = autoCorrectionContour;
\ No newline at end of file
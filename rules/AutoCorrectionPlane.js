@@ -1,10 +1,10 @@
 /**
  * Auto Correction Plane Validation Rule
  * Validates the auto correction pattern for plane operations.
- * Conditions for when this rule runs are defined in config.js rules section.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
  */
 
-const config = require("../config");
+const ToolCatalog = require("../src/ToolCatalog");
 
 /**
  * Main rule function - validates auto correction patterns for plane operations
@@ -123,7 +123,7 @@ function validatePlaneAutoCorrectionPattern(fileName, progName, ops) {
  * Check if operation is a plane operation
  */
 function isPlaneOperation(operation) {
-  const opType = (operation.operationType || '').toLowerCase();
+  const opType = (operation.operationType || operation.operation || '').toLowerCase();
   return opType.includes('plane') || 
          opType.includes('face') ||
          opType.includes('2d contour');
@@ -133,18 +133,14 @@ function isPlaneOperation(operation) {
  * Check if tool is a cleaning tool
  */
 function isCleaningTool(toolName) {
-  return config.toolCategories.cleaning.some(tool => 
-    toolName && toolName.includes(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(toolName, ["cleaning"], "contains");
 }
 
 /**
  * Check if tool is a touch probe
  */
 function isTouchProbeTool(toolName) {
-  return config.toolCategories.touchprobe.some(tool => 
-    toolName && toolName.includes(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(toolName, ["touchprobe"], "contains");
 }
 
 module.exports = autoCorrectionPlane;
\ No newline at end of file
@@ -1,19 +1,23 @@
 /**
  * GunDrill 60-minute time limit rule
- * Checks if total gundrill operation time in each NC file exceeds 60 minutes.
- * Conditions for when this rule runs are defined in config.js rules section.
+ * Checks if total gundrill operation time in each NC file exceeds the limit
+ * (60 minutes by default, tunable per machine via maxMinutesPerProgram).
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
  */
 
-const config = require("../config");
+const ToolCatalog = require("../src/ToolCatalog");
 
 /**
- * Main rule function - checks gundrill 60-minute time limits per NC file
+ * Main rule function - checks gundrill time limits per NC file
  * @param {Project} project - The project instance
+ * @param {Object} parameters - Rule profile parameters (maxMinutesPerProgram, toolCategories)
  * @returns {Object} Rule execution result with violations
  */
-function gunDrill60MinLimit(project) {
+function gunDrill60MinLimit(project, parameters = {}) {
   const violations = [];
-  const gundrillCodes = config.toolCategories.gundrill;
+  const maxMinutes = parameters.maxMinutesPerProgram ?? 60;
+  const toolCategories = parameters.toolCategories || ["gundrill"];
+  const catalog = ToolCatalog.getShared();
 
   // Check each compound job (NC file)
   for (const [fileName, compoundJob] of project.compoundJobs) {
@@ -24,7 +28,7 @@ function gunDrill60MinLimit(project) {
       const prog = op.programName;
       const tool = op.toolName;
       
-      if (gundrillCodes.some((code) => tool && tool.startsWith(code))) {
+      if (catalog.isInCategories(tool, toolCategories)) {
         if (!programTimes[prog]) {
           programTimes[prog] = 0;
         }
@@ -34,13 +38,13 @@ function gunDrill60MinLimit(project) {
 
     // Check for violations in this NC file
     Object.entries(programTimes).forEach(([prog, totalTime]) => {
-      if (totalTime > 3600) { // 60 minutes in seconds
+      if (totalTime > maxMinutes * 60) { // Limit is in minutes, operation times in seconds
         violations.push({
           ncFile: fileName,
           program: prog,
           actualTime: Math.round(totalTime / 60), // Convert to minutes
-          limit: 60,
-          message: `Program ${prog} uses gundrill tools for ${Math.round(totalTime / 60)} minutes (limit: 60 min)`
+          limit: maxMinutes,
+          message: `Program ${prog} uses gundrill tools for ${Math.round(totalTime / 60)} minutes (limit: ${maxMinutes} min)`
         });
       }
     });
@@ -52,7 +56,7 @@ function gunDrill60MinLimit(project) {
     violationCount: violations.length,
     violations: violations,
     summary: violations.length > 0 
-      ? `${violations.length} program(s) exceed 60-minute gundrill limit`
+      ? `${violations.length} program(s) exceed ${maxMinutes}-minute gundrill limit`
       : 'All gundrill operations within time limits'
   };
 }
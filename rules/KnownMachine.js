@@ -0,0 +1,37 @@
+/**
+ * Known Machine Rule
+ * Checks that the machine named in the project JSON resolves to a machine in
+ * the machine catalog (rules/machines/default.json). Rules that depend on
+ * machine capabilities or limits cannot check projects for unknown machines.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
+ */
+
+/**
+ * Main rule function - checks that the project's machine is in the machine catalog
+ * @param {Project} project - The project instance
+ * @returns {Object} Rule execution result with violations
+ */
+function knownMachine(project) {
+  const violations = [];
+
+  if (!project.machineProfile) {
+    violations.push({
+      machine: project.machine,
+      message: project.machine
+        ? `Machine "${project.machine}" is not in the machine catalog`
+        : "The project JSON does not name a machine"
+    });
+  }
+
+  return {
+    ruleName: 'knownMachine',
+    status: violations.length > 0 ? 'failed' : 'passed',
+    violationCount: violations.length,
+    violations: violations,
+    summary: violations.length > 0
+      ? violations[0].message
+      : `Machine resolved to ${project.machineProfile.id}`
+  };
+}
+
+module.exports = knownMachine;
@@ -1,44 +1,62 @@
 /**
  * M110 Helical Drilling Validation Rule
  * Validates that M110 command is present for helical drilling operations.
- * Conditions for when this rule runs are defined in config.js rules section.
+ * Checks the job's NC code parsed by NCParser, falling back to the exported gCode field.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
  */
 
+const NCParser = require("../src/NCParser");
+const ToolCatalog = require("../src/ToolCatalog");
+
 /**
  * Main rule function - checks M110 command presence for helical drilling
  * @param {Project} project - The project instance
+ * @param {Object} parameters - Rule profile parameters (requiredToolCategories)
  * @returns {Object} Rule execution result with violations
  */
-function M110Helical(project) {
+function M110Helical(project, parameters = {}) {
   const violations = [];
+  const requiredToolCategories =
+    parameters.requiredToolCategories || ["endmill_finish", "xfeed", "tgt"];
 
   // Check each compound job (NC file)
   for (const [fileName, compoundJob] of project.compoundJobs) {
-    const helicalPrograms = new Set();
-    const programsWithM110 = new Set();
+    // Parsed .h file next to the project JSON (null if missing)
+    const ncProgram = project.getNCProgram(fileName);
 
-    // First pass: identify programs that require M110 for helical drilling
     compoundJob.operations.forEach((op) => {
-      // Check if operation is helical drilling with required tools
-      if (isHelicalDrillingOperation(op) && hasRequiredTool(op)) {
-        helicalPrograms.add(op.programName);
-      }
-      
-      // Check if operation contains M110 command
-      if (op.gCode && op.gCode.includes('M110')) {
-        programsWithM110.add(op.programName);
+      // Only helical drilling with the tools that require M110
+      if (!isHelicalDrillingOperation(op) || !hasRequiredTool(op, requiredToolCategories)) {
+        return;
       }
-    });
 
-    // Second pass: find violations (programs that need M110 but don't have it)
-    helicalPrograms.forEach((progName) => {
-      if (!programsWithM110.has(progName)) {
-        violations.push({
-          ncFile: fileName,
-          program: progName,
-          message: `Program ${progName} requires M110 command for helical drilling but doesn't have it`
-        });
+      const blocks = ncProgram ? ncProgram.getBlocksForOperation(op.number) : null;
+      if (!blocks) {
+        // No NC code for this operation - fall back to the exported G-code, if any
+        if (!(op.gCode && op.gCode.includes('M110'))) {
+          violations.push({
+            ncFile: fileName,
+            program: op.programName,
+            operation: op.number,
+            message: `Operation ${op.number} in program ${op.programName} requires M110 command for helical drilling but doesn't have it`
+          });
+        }
+        return;
       }
+
+      if (ncProgram.findMFunction(110, blocks)) return;
+
+      // Point to the helical cycle (or first move) of the job
+      const offendingBlock =
+        blocks.find((block) => block.type === 'cycle_def' || NCParser.isMotion(block)) ||
+        blocks[0];
+      violations.push({
+        ncFile: fileName,
+        program: op.programName,
+        operation: op.number,
+        line: offendingBlock.line,
+        message: `Operation ${op.number} in program ${op.programName} requires M110 command for helical drilling but doesn't have it (line ${offendingBlock.line})`
+      });
     });
   }
 
@@ -48,7 +66,7 @@ function M110Helical(project) {
     violationCount: violations.length,
     violations: violations,
     summary: violations.length > 0 
-      ? `${violations.length} helical drilling program(s) missing required M110 command`
+      ? `${violations.length} helical drilling operation(s) missing required M110 command`
       : 'All helical drilling operations have proper M110 commands'
   };
 }
@@ -66,15 +84,11 @@ function isHelicalDrillingOperation(operation) {
 /**
  * Helper function to determine if operation uses required tools
  * @param {Object} operation - Single operation object
- * @returns {boolean} True if uses endmill finish, xfeed, or tgt tools
+ * @param {Array<string>} toolCategories - Tool categories that require M110
+ * @returns {boolean} True if uses a tool from one of the categories
  */
-function hasRequiredTool(operation) {
-  const config = require("../config");
-  const toolName = operation.toolName || '';
-  
-  return config.toolCategories.endmill_finish.some(tool => toolName.startsWith(tool)) ||
-         config.toolCategories.xfeed.some(tool => toolName.startsWith(tool)) ||
-         config.toolCategories.tgt.some(tool => toolName.startsWith(tool));
+function hasRequiredTool(operation, toolCategories) {
+  return ToolCatalog.getShared().isInCategories(operation.toolName, toolCategories);
 }
 
 module.exports = M110Helical;
@@ -1,48 +1,42 @@
 /**
  * Reconditioned Tool Validation Rule
  * Checks that no reconditioned endmill tools are used on specific machines.
- * Reconditioned tools have non-integer diameters (e.g., D6.6 vs D7).
- * Conditions for when this rule runs are defined in config.js rules section.
+ * Reconditioning comes from the tool catalog; tools missing from the catalog are
+ * considered reconditioned when their name has a non-integer diameter (e.g., D6.6 vs D7).
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
  */
 
-const config = require("../config");
+const ToolCatalog = require("../src/ToolCatalog");
 
 /**
  * Main rule function - checks for reconditioned endmill usage
  * @param {Project} project - The project instance
+ * @param {Object} parameters - Rule profile parameters (toolCategories to check)
  * @returns {Object} Rule execution result with violations
  */
-function reconditionedTool(project) {
+function reconditionedTool(project, parameters = {}) {
   const violations = [];
-  
+  const toolCategories = parameters.toolCategories || ["endmill_finish", "endmill_roughing"];
+  const catalog = ToolCatalog.getShared();
+
   // Check each compound job (NC file)
   for (const [fileName, compoundJob] of project.compoundJobs) {
     compoundJob.operations.forEach((op) => {
-      // Check only endmill finish and roughing tools
-      const isFinish = config.toolCategories.endmill_finish.some(tool => 
-        op.toolName && op.toolName.startsWith(tool)
-      );
-      const isRoughing = config.toolCategories.endmill_roughing.some(tool => 
-        op.toolName && op.toolName.startsWith(tool)
-      );
-      
-      if (isFinish || isRoughing) {
-        // Extract diameter from toolName, expects format like 'D7' or 'D6.6'
-        const match = op.toolName?.match(/D(\d+(\.\d+)?)/);
-        if (match) {
-          const diameter = match[1];
-          // If diameter is not an integer, it's reconditioned
-          if (!/^\d+$/.test(diameter)) {
-            violations.push({
-              ncFile: fileName,
-              program: op.programName,
-              operation: op.number,
-              tool: op.toolName,
-              diameter: diameter,
-              message: `Operation ${op.number} in program ${op.programName} uses reconditioned tool "${op.toolName}" with diameter ${diameter}`
-            });
-          }
-        }
+      // Check only the configured endmill categories (finish and roughing by default)
+      if (!catalog.isInCategories(op.toolName, toolCategories)) {
+        return;
+      }
+
+      const { reconditioned, diameter } = catalog.getReconditioning(op.toolName);
+      if (reconditioned) {
+        violations.push({
+          ncFile: fileName,
+          program: op.programName,
+          operation: op.number,
+          tool: op.toolName,
+          diameter: diameter,
+          message: `Operation ${op.number} in program ${op.programName} uses reconditioned tool "${op.toolName}" with diameter ${diameter}`
+        });
       }
     });
   }
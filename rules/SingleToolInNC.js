@@ -1,7 +1,7 @@
 /**
  * Single Tool per NC Program Rule
  * Checks if all operations within the same program use the same tool.
- * Conditions for when this rule runs are defined in config.js rules section.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
  */
 
 /**
@@ -25,6 +25,11 @@ function singleToolInNC(project) {
       if (isAutoCorrectionProgram(op)) {
         return;
       }
+
+      // A missing toolName is a data-quality issue of the export, not a second tool
+      if (!tool) {
+        return;
+      }
       
       if (!programTools[prog]) {
         programTools[prog] = new Set();
@@ -0,0 +1,86 @@
+/**
+ * Spindle Speed and Feed Limit Rule
+ * Checks each operation's maxSpeed and maxFeed against the machine limits
+ * (project.machineProfile) and the tool limits (tool catalog).
+ * Limits that are not set (null) are not checked.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
+ */
+
+const ToolCatalog = require("../src/ToolCatalog");
+
+const CHECKS = [
+  { field: "maxSpeed", limit: "maxSpindleSpeed", label: "spindle speed", unit: "rpm" },
+  { field: "maxFeed", limit: "maxFeed", label: "feed", unit: "mm/min" },
+];
+
+/**
+ * Main rule function - checks operation speeds and feeds against machine and tool limits
+ * @param {Project} project - The project instance
+ * @returns {Object} Rule execution result with violations
+ */
+function speedFeedLimits(project) {
+  const violations = [];
+  const catalog = ToolCatalog.getShared();
+  const machine = project.machineProfile;
+
+  // Check each compound job (NC file)
+  for (const [fileName, compoundJob] of project.compoundJobs) {
+    compoundJob.operations.forEach((op) => {
+      const tool = catalog.getTool(op.toolName);
+
+      CHECKS.forEach((check) => {
+        const value = toNumber(op[check.field]);
+        if (value === null) {
+          return;
+        }
+
+        // The stricter of the machine and tool limits applies
+        const limits = [
+          machine && { value: machine[check.limit], source: `machine ${machine.id}` },
+          tool && { value: tool[check.limit], source: `tool ${op.toolName}` },
+        ].filter((limit) => limit && limit.value !== null);
+        const exceeded = limits
+          .filter((limit) => value > limit.value)
+          .sort((a, b) => a.value - b.value)[0];
+
+        if (exceeded) {
+          violations.push({
+            ncFile: fileName,
+            program: op.programName,
+            operation: op.number,
+            tool: op.toolName,
+            value: value,
+            limit: exceeded.value,
+            limitSource: exceeded.source,
+            message: `Operation ${op.number} in program ${op.programName} runs at ${check.label} ${value} ${check.unit}, above the ${exceeded.source} limit of ${exceeded.value} ${check.unit}`
+          });
+        }
+      });
+    });
+  }
+
+  return {
+    ruleName: 'speedFeedLimits',
+    status: violations.length > 0 ? 'failed' : 'passed',
+    violationCount: violations.length,
+    violations: violations,
+    summary: violations.length > 0 
+      ? `${violations.length} speed/feed value(s) exceed machine or tool limits`
+      : 'All speeds and feeds are within machine and tool limits'
+  };
+}
+
+/**
+ * Reads a speed/feed value from the JSON (number or numeric string)
+ * @param {*} value - Raw value
+ * @returns {number|null} Value, null if missing or not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = speedFeedLimits;
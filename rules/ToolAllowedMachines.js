@@ -0,0 +1,55 @@
+/**
+ * Tool Allowed Machines Rule
+ * Checks that tools restricted to certain machines in the tool catalog
+ * (allowedMachines, machine catalog IDs) are only used on those machines,
+ * comparing against the project's resolved machine (project.machineProfile).
+ * Tools missing from the catalog or without allowedMachines are not restricted;
+ * restricted tools fail on machines missing from the machine catalog.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
+ */
+
+const ToolCatalog = require("../src/ToolCatalog");
+
+/**
+ * Main rule function - checks tool usage against the catalog's allowed machines
+ * @param {Project} project - The project instance
+ * @returns {Object} Rule execution result with violations
+ */
+function toolAllowedMachines(project) {
+  const violations = [];
+  const catalog = ToolCatalog.getShared();
+  const machine = project.machineProfile
+    ? `${project.machine} (${project.machineProfile.id})`
+    : project.machine || "an unknown machine";
+
+  // Check each compound job (NC file)
+  for (const [fileName, compoundJob] of project.compoundJobs) {
+    compoundJob.operations.forEach((op) => {
+      if (catalog.isAllowedOnMachine(op.toolName, project.machineProfile)) {
+        return;
+      }
+
+      const allowedMachines = catalog.getTool(op.toolName).allowedMachines;
+      violations.push({
+        ncFile: fileName,
+        program: op.programName,
+        operation: op.number,
+        tool: op.toolName,
+        allowedMachines: allowedMachines,
+        message: `Operation ${op.number} in program ${op.programName} uses tool "${op.toolName}" on ${machine}, but it is only allowed on: ${allowedMachines.join(", ")}`
+      });
+    });
+  }
+
+  return {
+    ruleName: 'toolAllowedMachines',
+    status: violations.length > 0 ? 'failed' : 'passed',
+    violationCount: violations.length,
+    violations: violations,
+    summary: violations.length > 0 
+      ? `${violations.length} operation(s) use tools on machines they are not allowed on`
+      : 'All tools are used on allowed machines'
+  };
+}
+
+module.exports = toolAllowedMachines;
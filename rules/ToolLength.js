@@ -0,0 +1,116 @@
+/**
+ * Tool Length / Holder Collision-Risk Rule
+ * Uses the toolDetails of each tool (Project.tools) to check:
+ * - reach: the stick-out (or total length when no stick-out is exported) must cover the
+ *   operation depth (from the depth or operationArea fields) plus a clearance,
+ * - magazine: the total length must not exceed the machine's maxToolLength,
+ * - stick-out: the stick-out must not exceed the machine's maxStickOut.
+ * Machine maxima come from project.machineProfile; missing values are not checked.
+ * Conditions for when this rule runs are defined in the rule profile (rules/profiles/default.json).
+ */
+
+/**
+ * Main rule function - checks tool lengths against operation depths and machine maxima
+ * @param {Project} project - The project instance
+ * @param {Object} parameters - Rule profile parameters (reachClearance in mm)
+ * @returns {Object} Rule execution result with violations
+ */
+function toolLength(project, parameters = {}) {
+  const violations = [];
+  const reachClearance = parameters.reachClearance ?? 2;
+  const machine = project.machineProfile;
+
+  // Check each compound job (NC file)
+  for (const [fileName, compoundJob] of project.compoundJobs) {
+    compoundJob.operations.forEach((op) => {
+      const tool = project.tools.get(op.toolName);
+      if (!tool) {
+        return;
+      }
+
+      const totalLength = toNumber(tool.totalLength);
+      const stickOut = toNumber(tool.stickOut);
+      const location = {
+        ncFile: fileName,
+        program: op.programName,
+        operation: op.number,
+        tool: op.toolName,
+      };
+      const prefix = `Operation ${op.number} in program ${op.programName}: tool "${op.toolName}"`;
+
+      const depth = getDepth(op);
+      const reach = stickOut ?? totalLength;
+      if (depth !== null && reach !== null && reach < depth + reachClearance) {
+        violations.push({
+          ...location,
+          check: 'reach',
+          value: reach,
+          limit: depth + reachClearance,
+          message: `${prefix} reaches ${reach} mm (${stickOut !== null ? 'stick-out' : 'total length'}), too short for depth ${depth} mm plus ${reachClearance} mm clearance`
+        });
+      }
+
+      if (machine?.maxToolLength && totalLength !== null && totalLength > machine.maxToolLength) {
+        violations.push({
+          ...location,
+          check: 'totalLength',
+          value: totalLength,
+          limit: machine.maxToolLength,
+          message: `${prefix} is ${totalLength} mm long, too long for the magazine of ${machine.id} (max ${machine.maxToolLength} mm)`
+        });
+      }
+
+      if (machine?.maxStickOut && stickOut !== null && stickOut > machine.maxStickOut) {
+        violations.push({
+          ...location,
+          check: 'stickOut',
+          value: stickOut,
+          limit: machine.maxStickOut,
+          message: `${prefix} sticks out ${stickOut} mm, above the ${machine.id} maximum of ${machine.maxStickOut} mm`
+        });
+      }
+    });
+  }
+
+  return {
+    ruleName: 'toolLength',
+    status: violations.length > 0 ? 'failed' : 'passed',
+    violationCount: violations.length,
+    violations: violations,
+    summary: violations.length > 0 
+      ? `${violations.length} tool length problem(s) (reach, magazine length or stick-out)`
+      : 'All tool lengths fit the operation depths and machine maxima'
+  };
+}
+
+/**
+ * Operation depth from the depth field, operationArea.depth, or operationArea maxZ - minZ
+ * @param {Object} operation - Single operation object
+ * @returns {number|null} Depth in mm, null if not exported
+ */
+function getDepth(operation) {
+  const area = operation.operationArea || {};
+  const depth = toNumber(operation.depth) ?? toNumber(area.depth);
+  if (depth !== null) {
+    return Math.abs(depth);
+  }
+
+  const top = toNumber(area.maxZ);
+  const bottom = toNumber(area.minZ);
+  return top !== null && bottom !== null ? Math.abs(top - bottom) : null;
+}
+
+/**
+ * Reads a length from the JSON (number or numeric string)
+ * @param {*} value - Raw value
+ * @returns {number|null} Value, null if missing or not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || typeof value === 'object') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = toolLength;
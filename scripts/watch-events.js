@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Local client for the GET /api/events stream.
+ * Prints every event and reconnects with Last-Event-ID, so no events are lost
+ * across server restarts of the stream (within the server's replay window).
+ *
+ * Usage: node scripts/watch-events.js [url] [lastEventId]
+ *   url defaults to http://localhost:3001/api/events
+ *   With authentication enabled, set JSONSCANNER_TOKEN to a token from POST /api/auth/login
+ */
+
+const http = require("http");
+
+const url = process.argv[2] || "http://localhost:3001/api/events";
+let lastEventId = process.argv[3] || null;
+let retryMs = 3000;
+
+function connect() {
+  const headers = { Accept: "text/event-stream" };
+  if (lastEventId) {
+    headers["Last-Event-ID"] = lastEventId;
+  }
+  if (process.env.JSONSCANNER_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.JSONSCANNER_TOKEN}`;
+  }
+
+  const req = http.get(url, { headers }, (res) => {
+    if (res.statusCode !== 200) {
+      console.error(`❌ ${url} answered ${res.statusCode}`);
+      res.resume();
+      return;
+    }
+
+    console.log(`📡 Connected to ${url}${lastEventId ? ` (resuming after ${lastEventId})` : ""}`);
+    res.setEncoding("utf8");
+
+    let buffer = "";
+    res.on("data", (chunk) => {
+      buffer += chunk;
+      const messages = buffer.split("\n\n");
+      buffer = messages.pop();
+      messages.forEach(handleMessage);
+    });
+  });
+
+  req.on("close", () => {
+    console.log(`🔌 Disconnected - reconnecting in ${retryMs}ms`);
+    setTimeout(connect, retryMs);
+  });
+  req.on("error", (err) => console.error(`❌ ${err.message}`));
+}
+
+function handleMessage(message) {
+  const fields = { event: "message", data: "" };
+
+  for (const line of message.split("\n")) {
+    if (!line || line.startsWith(":")) continue; // Heartbeat comment
+    const separator = line.indexOf(":");
+    const name = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+    fields[name] = name === "data" && fields.data ? `${fields.data}\n${value}` : value;
+  }
+
+  if (fields.retry) {
+    retryMs = parseInt(fields.retry, 10) || retryMs;
+  }
+  if (fields.id) {
+    lastEventId = fields.id;
+  }
+  if (fields.data) {
+    console.log(`#${fields.id || "-"} ${fields.event} ${fields.data}`);
+  }
+}
+
+connect();
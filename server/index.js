@@ -11,12 +11,32 @@ const cors = require("cors");
 const config = require("../config");
 const Logger = require("../utils/Logger");
 const DataManager = require("../src/DataManager");
+const UserManager = require("../utils/UserManager");
+const WaiverStore = require("../src/WaiverStore");
+const ToolCatalog = require("../src/ToolCatalog");
+const MachineCatalog = require("../src/MachineCatalog");
 const Executor = require("../src/Executor");
+const ScanJobQueue = require("../src/ScanJobQueue");
+const eventBus = require("../src/EventBus");
+const fs = require("fs");
 
 const app = express();
 const PORT = config.webApp?.port || 3001;
 let executor = null;
 
+// On-demand scans run one at a time on the shared Executor
+const scanJobs = new ScanJobQueue(() => {
+  if (!executor) {
+    executor = new Executor(dataManager);
+  }
+  return executor;
+});
+scanJobs.on("job", (job) => eventBus.publish("job.updated", job));
+
+const SSE_HEARTBEAT_MS = 15000; // Keeps proxies from closing idle event streams
+const SESSION_COOKIE = "jsonscanner_session";
+const PUBLIC_ROUTES = new Set(["/api/status", "/api/auth/login"]);
+
 // Middleware
 app.use(
   cors({
@@ -35,6 +55,143 @@ app.use((req, res, next) => {
   next();
 });
 
+// ===== AUTHENTICATION =====
+// With webApp.enableAuth, every route except PUBLIC_ROUTES needs a session token
+// (Authorization: Bearer <token> or the session cookie set by POST /api/auth/login).
+
+let userManager = null;
+
+function getUserManager() {
+  if (!userManager) {
+    userManager = new UserManager();
+  }
+  return userManager;
+}
+
+function getRequestToken(req) {
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  const cookie = (req.get("cookie") || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+app.use((req, res, next) => {
+  if (!config.webApp.enableAuth || PUBLIC_ROUTES.has(req.path)) {
+    return next();
+  }
+
+  const user = getUserManager().getSessionUser(getRequestToken(req));
+  if (!user) {
+    return res.status(401).json({
+      error: {
+        code: "UNAUTHORIZED",
+        message: "Login required",
+      },
+    });
+  }
+
+  req.user = user;
+  next();
+});
+
+/**
+ * Route middleware: only users whose role has the permission (config.permissions).
+ * @param {string} permission - Permission name, e.g. "canModifySettings"
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!config.webApp.enableAuth || getUserManager().hasPermission(req.user, permission)) {
+      return next();
+    }
+
+    Logger.logWarn(`🔒 ${req.user.username} denied ${req.method} ${req.path}`);
+    res.status(403).json({
+      error: {
+        code: "FORBIDDEN",
+        message: `Permission '${permission}' required`,
+      },
+    });
+  };
+}
+
+// Operator the request is limited to (null = all projects)
+function getOperatorFilter(req) {
+  return config.webApp.enableAuth ? getUserManager().getOperatorFilter(req.user) : null;
+}
+
+/**
+ * Route middleware: the project in req.params[param] must belong to the user's operator.
+ * Other operators' projects answer 404, as if they didn't exist.
+ * @param {string} param - Route parameter holding the project ID
+ */
+function requireProjectAccess(param) {
+  return async (req, res, next) => {
+    if (getOperatorFilter(req) === null || !dataManager) {
+      return next();
+    }
+
+    const id = req.params[param];
+    const project = await dataManager.getProject(id);
+    if (project && getUserManager().canAccessProject(req.user, project)) {
+      return next();
+    }
+
+    res.status(404).json({
+      error: {
+        code: "PROJECT_NOT_FOUND",
+        message: `Project with ID '${id}' not found`,
+      },
+    });
+  };
+}
+
+/**
+ * Whether the requesting user may receive an event of GET /api/events.
+ * @param {Object} req - Express request
+ * @param {Object} event - EventBus event
+ * @returns {boolean} - False for other operators' projects and for admin events
+ */
+function canReceiveEvent(req, event) {
+  if (!config.webApp.enableAuth) {
+    return true;
+  }
+
+  const [category] = event.type.split(".");
+  if (category === "job" || category === "config") {
+    return getUserManager().hasPermission(req.user, "canModifySettings");
+  }
+  if (category === "project" || category === "rule") {
+    // Events of a project whose operator isn't known yet only go to users who see all projects
+    return getUserManager().canAccessProject(req.user, { operator: event.data.operator || null });
+  }
+  return true;
+}
+
+// Without authentication the API is open, so requests act as an admin
+function getRequestingUser(req) {
+  return req.user || { username: "anonymous", role: "admin" };
+}
+
+// Route middleware: req.params.username must be a known user
+function requireUser(req, res, next) {
+  if (getUserManager().getUser(req.params.username)) {
+    return next();
+  }
+
+  res.status(404).json({
+    error: {
+      code: "USER_NOT_FOUND",
+      message: `User '${req.params.username}' not found`,
+    },
+  });
+}
+
 // Initialize DataManager
 let dataManager = null;
 
@@ -69,9 +226,161 @@ app.get("/api/status", (req, res) => {
   });
 });
 
+/**
+ * POST /api/auth/login
+ * Log in with { username, password }; returns a token and sets the session cookie
+ */
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "username and password are required",
+      },
+    });
+  }
+
+  const user = getUserManager().authenticate(username, password);
+  if (!user) {
+    return res.status(401).json({
+      error: {
+        code: "INVALID_CREDENTIALS",
+        message: "Invalid username or password",
+      },
+    });
+  }
+
+  const session = getUserManager().createSession(user);
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: "strict",
+    expires: new Date(session.expiresAt),
+  });
+  res.json({ ...session, user });
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+app.post("/api/auth/logout", (req, res) => {
+  getUserManager().destroySession(getRequestToken(req));
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me
+ * The logged-in user
+ */
+app.get("/api/auth/me", (req, res) => {
+  res.json({ authEnabled: config.webApp.enableAuth, user: req.user || null });
+});
+
+/**
+ * GET /api/users
+ * List users (admin only)
+ */
+app.get("/api/users", requirePermission("canModifySettings"), (req, res) => {
+  res.json({ users: getUserManager().getAllUsers(getRequestingUser(req)) });
+});
+
+/**
+ * POST /api/users
+ * Create a user from { username, password, role, operator, email } (admin only)
+ */
+app.post("/api/users", requirePermission("canModifySettings"), (req, res) => {
+  const { username, password, role, operator, email } = req.body || {};
+
+  if (getUserManager().getUser(username)) {
+    return res.status(409).json({
+      error: {
+        code: "USER_EXISTS",
+        message: `User '${username}' already exists`,
+      },
+    });
+  }
+
+  try {
+    const user = getUserManager().addUser(getRequestingUser(req), {
+      username,
+      password,
+      role,
+      operator,
+      email,
+    });
+    res.status(201).json({ user });
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/users/:username
+ * Change { role, operator, email, disabled } of a user (admin only)
+ */
+app.patch(
+  "/api/users/:username",
+  requirePermission("canModifySettings"),
+  requireUser,
+  (req, res) => {
+    try {
+      const { role, operator, email, disabled } = req.body || {};
+      const user = getUserManager().updateUser(getRequestingUser(req), req.params.username, {
+        role,
+        operator,
+        email,
+        disabled,
+      });
+      res.json({ user });
+    } catch (error) {
+      res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: error.message,
+        },
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/users/:username/password
+ * Reset a user's password to { password } and end their sessions (admin only)
+ */
+app.post(
+  "/api/users/:username/password",
+  requirePermission("canModifySettings"),
+  requireUser,
+  (req, res) => {
+    try {
+      getUserManager().resetPassword(
+        getRequestingUser(req),
+        req.params.username,
+        (req.body || {}).password
+      );
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: error.message,
+        },
+      });
+    }
+  }
+);
+
 /**
  * GET /api/projects
- * List all processed projects with pagination
+ * List all processed projects with pagination (only the user's own with an operator filter)
  */
 app.get("/api/projects", async (req, res) => {
   try {
@@ -89,21 +398,15 @@ app.get("/api/projects", async (req, res) => {
       });
     }
 
-    // Get all projects from DataManager
+    // Filtering and pagination happen in the storage backend
     Logger.logInfo("📡 Dashboard requested projects list");
-    const allProjects = await dataManager.getAllProjects();
-    Logger.logInfo(`📊 Returning ${allProjects.length} projects to Dashboard`);
-
-    // Filter by status if provided
-    let filteredProjects = allProjects;
-    if (status) {
-      filteredProjects = allProjects.filter((p) => p.status === status);
-    }
-
-    // Apply pagination
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedProjects = filteredProjects.slice(startIndex, endIndex);
+    const { projects: paginatedProjects, total } = await dataManager.listProjects({
+      status,
+      operator: getOperatorFilter(req),
+      page,
+      pageSize,
+    });
+    Logger.logInfo(`📊 Returning ${paginatedProjects.length} of ${total} projects to Dashboard`);
 
     const response = {
       projects: paginatedProjects.map((p) => ({
@@ -115,10 +418,10 @@ app.get("/api/projects", async (req, res) => {
         timestamp: p.timestamp,
         violations: p.violations || [],
       })),
-      total: filteredProjects.length,
+      total,
       page,
       pageSize,
-      totalPages: Math.ceil(filteredProjects.length / pageSize),
+      totalPages: Math.ceil(total / pageSize),
     };
     
     // Log first 2 projects as sample
@@ -145,7 +448,7 @@ app.get("/api/projects", async (req, res) => {
  * GET /api/projects/:id
  * Get detailed project information
  */
-app.get("/api/projects/:id", async (req, res) => {
+app.get("/api/projects/:id", requireProjectAccess("id"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -184,11 +487,260 @@ app.get("/api/projects/:id", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/projects/:id/history
+ * List the historic runs of a project (newest first)
+ */
+app.get("/api/projects/:id/history", requireProjectAccess("id"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!dataManager) {
+      return res.status(503).json({
+        error: {
+          code: "SERVICE_UNAVAILABLE",
+          message: "DataManager not initialized",
+        },
+      });
+    }
+
+    const runs = await dataManager.getResultHistory(id);
+
+    if (runs.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: "HISTORY_NOT_FOUND",
+          message: `No result history for project '${id}'`,
+        },
+      });
+    }
+
+    res.json({ projectId: id, runs, total: runs.length });
+  } catch (error) {
+    Logger.logError(`Failed to get history for ${req.params.id}`, {
+      error: error.message,
+    });
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to retrieve result history",
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id/history/:runId
+ * Get one historic run with its full result
+ */
+app.get("/api/projects/:id/history/:runId", requireProjectAccess("id"), async (req, res) => {
+  try {
+    const { id, runId } = req.params;
+
+    if (!dataManager) {
+      return res.status(503).json({
+        error: {
+          code: "SERVICE_UNAVAILABLE",
+          message: "DataManager not initialized",
+        },
+      });
+    }
+
+    const run = await dataManager.getHistoricRun(id, runId);
+
+    if (!run) {
+      return res.status(404).json({
+        error: {
+          code: "RUN_NOT_FOUND",
+          message: `Run '${runId}' of project '${id}' not found`,
+        },
+      });
+    }
+
+    res.json(run);
+  } catch (error) {
+    Logger.logError(`Failed to get run ${req.params.runId} of ${req.params.id}`, {
+      error: error.message,
+    });
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to retrieve historic run",
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id/diff?from=<runId>&to=<runId>
+ * Compare two runs of a project (default: latest run vs. the one before it)
+ */
+app.get("/api/projects/:id/diff", requireProjectAccess("id"), async (req, res) => {
+  const { id } = req.params;
+
+  if (!dataManager) {
+    return res.status(503).json({
+      error: {
+        code: "SERVICE_UNAVAILABLE",
+        message: "DataManager not initialized",
+      },
+    });
+  }
+
+  try {
+    const diff = await dataManager.getRunDiff(
+      id,
+      req.query.from || null,
+      req.query.to || null
+    );
+    res.json(diff);
+  } catch (error) {
+    Logger.logWarn(`Diff not available for ${id}: ${error.message}`);
+    res.status(404).json({
+      error: {
+        code: "DIFF_NOT_AVAILABLE",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/analytics?from=<date>&to=<date>&days=<N>
+ * Aggregates over the stored runs: scans per day, pass rates per rule, machine
+ * and operator, most frequent violations, top offending tools
+ */
+app.get("/api/analytics", async (req, res) => {
+  if (!dataManager) {
+    return res.status(503).json({
+      error: {
+        code: "SERVICE_UNAVAILABLE",
+        message: "DataManager not initialized",
+      },
+    });
+  }
+
+  const { from, to, days } = req.query;
+  try {
+    const analytics = await dataManager.getAnalytics({
+      from,
+      to,
+      days,
+      operator: getOperatorFilter(req),
+    });
+    res.json(analytics);
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/waivers?project=&rule=&active=true
+ * List rule waivers with their state (active/expired/revoked) and audit trail (admin only)
+ */
+app.get("/api/waivers", requirePermission("canModifySettings"), (req, res) => {
+  const { project, rule, active } = req.query;
+  const waivers = new WaiverStore().list({ project, rule, active: active === "true" });
+  res.json({ waivers, total: waivers.length });
+});
+
+/**
+ * POST /api/waivers
+ * Approve an exception { project, rule, ncFile, reason, expiresAt } (admin only).
+ * Applies from the next analysis of the project.
+ */
+app.post("/api/waivers", requirePermission("canModifySettings"), (req, res) => {
+  const { project, rule, ncFile, reason, expiresAt } = req.body || {};
+
+  try {
+    const waiver = new WaiverStore().add(
+      { project, rule, ncFile, reason, expiresAt },
+      getRequestingUser(req).username
+    );
+    res.status(201).json({ waiver });
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/waivers/:id/revoke
+ * Revoke a waiver with an optional { reason }; the record is kept for the audit trail (admin only)
+ */
+app.post("/api/waivers/:id/revoke", requirePermission("canModifySettings"), (req, res) => {
+  try {
+    const waiver = new WaiverStore().revoke(
+      req.params.id,
+      getRequestingUser(req).username,
+      (req.body || {}).reason || null
+    );
+
+    if (!waiver) {
+      return res.status(404).json({
+        error: {
+          code: "WAIVER_NOT_FOUND",
+          message: `Waiver '${req.params.id}' not found`,
+        },
+      });
+    }
+
+    res.json({ waiver });
+  } catch (error) {
+    res.status(409).json({
+      error: {
+        code: "WAIVER_REVOKED",
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/tools
+ * List the tool catalog (category, diameters, holder, max length, reconditioning, allowed machines)
+ */
+app.get("/api/tools", (req, res) => {
+  const catalog = ToolCatalog.getShared();
+  const tools = catalog.list();
+  res.json({ tools, total: tools.length, source: catalog.filePath });
+});
+
+/**
+ * GET /api/tools/missing
+ * Tools used in the latest run of the (visible) projects that are missing from the tool catalog
+ */
+app.get("/api/tools/missing", (req, res) => {
+  const tools = ToolCatalog.getShared().getMissingTools({ operator: getOperatorFilter(req) });
+  res.json({ tools, total: tools.length });
+});
+
+/**
+ * GET /api/machines
+ * List the machine catalog (aliases, controller, limits, probe, auto-correction requirement)
+ */
+app.get("/api/machines", (req, res) => {
+  const catalog = MachineCatalog.getShared();
+  const machines = catalog.list();
+  res.json({ machines, total: machines.length, source: catalog.filePath });
+});
+
 /**
  * GET /api/analysis/:projectId
  * Get full analysis results for a project
  */
-app.get("/api/analysis/:projectId", async (req, res) => {
+app.get("/api/analysis/:projectId", requireProjectAccess("projectId"), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -231,7 +783,7 @@ app.get("/api/analysis/:projectId", async (req, res) => {
  * GET /api/analysis/:projectId/violations
  * Get only violations for a project
  */
-app.get("/api/analysis/:projectId/violations", async (req, res) => {
+app.get("/api/analysis/:projectId/violations", requireProjectAccess("projectId"), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -255,10 +807,21 @@ app.get("/api/analysis/:projectId/violations", async (req, res) => {
       });
     }
 
+    const violations = analysis.results?.violations || analysis.violations || [];
+    const violationsBySeverity = { error: 0, warning: 0, info: 0 };
+    violations.forEach((v) => {
+      const severity = v.severity || "error";
+      if (severity in violationsBySeverity) {
+        violationsBySeverity[severity]++;
+      }
+    });
+
     res.json({
       projectId,
-      violations: analysis.violations || [],
-      violationCount: (analysis.violations || []).length,
+      status: analysis.status,
+      violations,
+      violationCount: violations.length,
+      violationsBySeverity,
     });
   } catch (error) {
     Logger.logError(`Failed to get violations for ${req.params.projectId}`, {
@@ -276,9 +839,9 @@ app.get("/api/analysis/:projectId/violations", async (req, res) => {
 
 /**
  * POST /api/config
- * Receive configuration from Dashboard and activate backend
+ * Receive configuration from Dashboard and activate backend (admin only)
  */
-app.post("/api/config", async (req, res) => {
+app.post("/api/config", requirePermission("canModifySettings"), async (req, res) => {
   try {
     const { testMode, scanPaths, workingFolder } = req.body;
 
@@ -311,6 +874,13 @@ app.post("/api/config", async (req, res) => {
       config.paths.test.testDataPathAuto = scanPaths.jsonFiles;
     }
 
+    eventBus.publish("config.changed", {
+      testMode: config.app.testMode,
+      autorun: config.app.autorun,
+      workingFolder: config.app.userDefinedWorkingFolder || null,
+      scanPaths: scanPaths || null,
+    });
+
     Logger.logInfo("✅ Configuration updated from Dashboard", {
       testMode,
       autorun: true,
@@ -362,11 +932,11 @@ app.post("/api/config", async (req, res) => {
 
 /**
  * POST /api/projects/scan
- * Trigger manual scan (if not in auto mode)
+ * Queue a manual scan (if not in auto mode) and return its job ID (admin only)
  */
-app.post("/api/projects/scan", async (req, res) => {
+app.post("/api/projects/scan", requirePermission("canModifySettings"), async (req, res) => {
   try {
-    const { projectPath } = req.body;
+    const { projectPath, force } = req.body;
 
     if (config.app.autorun) {
       return res.status(400).json({
@@ -386,13 +956,23 @@ app.post("/api/projects/scan", async (req, res) => {
       });
     }
 
-    // This would trigger the actual scan - implementation depends on your architecture
-    Logger.logInfo("Manual scan triggered", { projectPath });
+    if (!fs.existsSync(projectPath) || !fs.statSync(projectPath).isDirectory()) {
+      return res.status(400).json({
+        error: {
+          code: "PATH_NOT_FOUND",
+          message: `projectPath '${projectPath}' is not an existing folder`,
+        },
+      });
+    }
+
+    const job = scanJobs.enqueue(projectPath, { force: force === true });
+    Logger.logInfo("Manual scan queued", { projectPath, jobId: job.id });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: "Scan triggered successfully",
-      projectPath,
+      message: "Scan queued",
+      jobId: job.id,
+      job,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -407,6 +987,81 @@ app.post("/api/projects/scan", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/jobs
+ * List scan jobs (newest first) (admin only)
+ */
+app.get("/api/jobs", requirePermission("canModifySettings"), (req, res) => {
+  res.json({ jobs: scanJobs.listJobs() });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get state, per-project progress and results of a scan job (admin only)
+ */
+app.get("/api/jobs/:id", requirePermission("canModifySettings"), (req, res) => {
+  const job = scanJobs.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: {
+        code: "JOB_NOT_FOUND",
+        message: `Job '${req.params.id}' not found`,
+      },
+    });
+  }
+
+  res.json(job);
+});
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of pipeline events. Reconnecting clients send
+ * Last-Event-ID (or ?lastEventId=) to receive the events they missed.
+ * Users only receive the project.* and rule.* events of their operator's
+ * projects; job.* and config.* events need canModifySettings.
+ */
+app.get("/api/events", (req, res) => {
+  const lastEventId = parseInt(
+    req.get("last-event-id") || req.query.lastEventId,
+    10
+  );
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  const send = (event) => {
+    if (!canReceiveEvent(req, event)) {
+      return;
+    }
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+        timestamp: event.timestamp,
+        ...event.data,
+      })}\n\n`
+    );
+  };
+
+  if (!Number.isNaN(lastEventId)) {
+    eventBus.getEventsSince(lastEventId).forEach(send);
+  }
+
+  const unsubscribe = eventBus.subscribe(send);
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), SSE_HEARTBEAT_MS);
+  Logger.logInfo(`📡 Event stream opened (${eventBus.listenerCount("event")} client(s))`);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    Logger.logInfo("📡 Event stream closed");
+  });
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -442,6 +1097,16 @@ async function startServer() {
       );
     }
 
+    if (config.webApp.enableAuth) {
+      const users = getUserManager();
+      Logger.logInfo(`🔒 Authentication enabled (${users.users.size} user(s) in ${users.usersFile})`);
+      if (config.webApp.sessionSecret === "your-secret-key-here") {
+        Logger.logWarn("⚠️ webApp.sessionSecret is the default - set SESSION_SECRET in production");
+      }
+    } else {
+      Logger.logWarn("⚠️ Authentication disabled (webApp.enableAuth) - the API is open to every client");
+    }
+
     // Start Executor if in auto mode
     if (config.app.autorun) {
       Logger.logInfo("Starting Executor in AUTO mode...");
@@ -478,4 +1143,4 @@ if (require.main === module) {
   startServer();
 }
 
-module.exports = { app, startServer };
+module.exports = { app, startServer, scanJobs };
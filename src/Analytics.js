@@ -0,0 +1,431 @@
+// path: src/Analytics.js
+/**
+ * Analytics aggregates the stored analysis runs (result history) for the
+ * production report: scans per day, pass/fail rates per rule, machine and
+ * operator, most frequent violation types, top offending tools and average
+ * operations / machining time per project.
+ *
+ * This is the aggregation of the file storage (FileStore.getAnalytics);
+ * SqliteStore builds the same report with SQL. Used through
+ * DataManager.getAnalytics by GET /api/analytics and `node main.js --report`.
+ */
+
+const ResultHistory = require("./ResultHistory");
+
+const TOP_LIMIT = 10; // Entries in the "most frequent" lists
+const STATUSES = ["passed", "warning", "failed", "error"];
+
+class Analytics {
+  /**
+   * @param {ResultHistory} history - Result history to aggregate
+   */
+  constructor(history = new ResultHistory()) {
+    this.history = history;
+    this.records = new Map(); // "<projectId>/<runId>" -> run record; run files never change
+  }
+
+  /**
+   * Builds the analytics report.
+   * @param {Object} filters - { from, to } dates (YYYY-MM-DD or ISO, both inclusive), or { days };
+   *                           { operator } limits the report to one operator's projects
+   * @returns {Object} - Report (see the sections below)
+   */
+  getReport(filters = {}) {
+    const period = Analytics.parsePeriod(filters);
+    let runs = this.loadRuns(period);
+    if (typeof filters.operator === "string") {
+      runs = runs.filter((run) => run.operator === filters.operator);
+    }
+
+    return {
+      period: {
+        from: period.from ? period.from.toISOString() : null,
+        to: period.to ? period.to.toISOString() : null,
+      },
+      totals: this.getTotals(runs),
+      scansPerDay: this.getScansPerDay(runs),
+      rules: this.getRuleRates(runs),
+      machines: this.getGroupRates(runs, (run) => run.machine),
+      operators: this.getGroupRates(runs, (run) => run.operator),
+      violationTypes: this.getViolationTypes(runs),
+      tools: this.getOffendingTools(runs),
+      projects: this.getProjectAverages(runs),
+    };
+  }
+
+  /**
+   * Turns the filter values into a date range.
+   * @param {Object} filters - { from, to, days }
+   * @returns {Object} - { from: Date|null, to: Date|null }
+   */
+  static parsePeriod(filters) {
+    const parseDate = (value, endOfDay) => {
+      if (!value) return null;
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+      const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+      }
+      if (dateOnly && endOfDay) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      return date;
+    };
+
+    let from = parseDate(filters.from, false);
+    const to = parseDate(filters.to, true);
+
+    if (filters.days !== undefined && filters.days !== null && !from) {
+      const days = parseInt(filters.days, 10);
+      if (!(days > 0)) {
+        throw new Error(`Invalid number of days: ${filters.days}`);
+      }
+      from = new Date((to || new Date()).getTime() - days * 24 * 60 * 60 * 1000);
+    }
+
+    if (from && to && from > to) {
+      throw new Error("'from' must not be after 'to'");
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * Loads the history runs in the period as flat records. Runs are picked by
+   * the time in their run ID, and each run file is only parsed once.
+   * @param {Object} period - { from, to }
+   * @returns {Array<Object>} - Run records, oldest first
+   */
+  loadRuns(period) {
+    const runs = [];
+
+    for (const projectId of this.history.listProjects()) {
+      for (const { runId, time } of this.history.readRunTimes(projectId)) {
+        if (period.from && time < period.from.getTime()) continue;
+        if (period.to && time > period.to.getTime()) continue;
+
+        const key = `${projectId}/${runId}`;
+        if (!this.records.has(key)) {
+          const entry = this.history.getRun(projectId, runId);
+          if (!entry) continue;
+          this.records.set(key, this.toRecord(entry));
+        }
+        runs.push(this.records.get(key));
+      }
+    }
+
+    return runs.sort((a, b) => a.processedAt.localeCompare(b.processedAt));
+  }
+
+  /**
+   * Flattens a history entry into the fields the aggregates need.
+   * @param {Object} entry - History run entry
+   * @returns {Object} - Run record
+   */
+  toRecord(entry) {
+    const results = entry.result?.results || {};
+    const snapshot = entry.project || null;
+    const violations = results.violations || [];
+    const failedRules = new Set(violations.map((v) => v.rule));
+    const erroredRules = new Set((results.errors || []).map((e) => e.rule));
+
+    const ruleStatuses = {};
+    (results.rulesApplied || []).forEach((rule) => {
+      ruleStatuses[rule] = erroredRules.has(rule)
+        ? "error"
+        : failedRules.has(rule)
+        ? "failed"
+        : "passed";
+    });
+
+    const ncFiles = snapshot ? Object.values(snapshot.ncFiles || {}) : [];
+
+    return {
+      projectId: entry.projectId,
+      processedAt: entry.processedAt,
+      status: entry.status || "unknown",
+      machine: snapshot?.machine || "unknown",
+      operator: snapshot?.operator || "unknown",
+      ruleStatuses,
+      violations,
+      ncFiles: snapshot?.ncFiles || {},
+      operationCount: snapshot
+        ? ncFiles.reduce((sum, file) => sum + file.operations.length, 0)
+        : null,
+      totalTime: snapshot ? snapshot.totalTime : null,
+    };
+  }
+
+  getTotals(runs) {
+    const counts = this.countStatuses(runs);
+    return {
+      scans: runs.length,
+      projects: new Set(runs.map((run) => run.projectId)).size,
+      ...counts,
+      passRate: rate(counts.passed, runs.length),
+      violations: runs.reduce((sum, run) => sum + run.violations.length, 0),
+    };
+  }
+
+  getScansPerDay(runs) {
+    const days = new Map();
+    for (const run of runs) {
+      const date = run.processedAt.slice(0, 10);
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(run);
+    }
+
+    return Array.from(days.entries()).map(([date, dayRuns]) => ({
+      date,
+      scans: dayRuns.length,
+      ...this.countStatuses(dayRuns),
+    }));
+  }
+
+  /**
+   * Pass/fail counts per rule over all runs where the rule was applied.
+   * @param {Array<Object>} runs - Run records
+   * @returns {Array<Object>} - [{ rule, runs, passed, failed, error, passRate }], most failures first
+   */
+  getRuleRates(runs) {
+    const rules = new Map();
+
+    for (const run of runs) {
+      for (const [rule, status] of Object.entries(run.ruleStatuses)) {
+        if (!rules.has(rule)) {
+          rules.set(rule, { rule, runs: 0, passed: 0, failed: 0, error: 0 });
+        }
+        const entry = rules.get(rule);
+        entry.runs++;
+        entry[status]++;
+      }
+    }
+
+    return Array.from(rules.values())
+      .map((entry) => ({ ...entry, passRate: rate(entry.passed, entry.runs) }))
+      .sort((a, b) => b.failed - a.failed || a.rule.localeCompare(b.rule));
+  }
+
+  /**
+   * Status counts grouped by a run property (machine, operator).
+   * @param {Array<Object>} runs - Run records
+   * @param {Function} keyOf - (run) => group name
+   * @returns {Array<Object>} - [{ name, scans, passed, warning, failed, error, passRate, violations }]
+   */
+  getGroupRates(runs, keyOf) {
+    const groups = new Map();
+    for (const run of runs) {
+      const key = keyOf(run);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(run);
+    }
+
+    return Array.from(groups.entries())
+      .map(([name, groupRuns]) => {
+        const counts = this.countStatuses(groupRuns);
+        return {
+          name,
+          scans: groupRuns.length,
+          ...counts,
+          passRate: rate(counts.passed, groupRuns.length),
+          violations: groupRuns.reduce((sum, run) => sum + run.violations.length, 0),
+        };
+      })
+      .sort((a, b) => b.scans - a.scans || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Most frequent violation types (rule + severity).
+   * @param {Array<Object>} runs - Run records
+   * @returns {Array<Object>} - [{ rule, severity, count, projects }]
+   */
+  getViolationTypes(runs) {
+    const types = new Map();
+
+    for (const run of runs) {
+      for (const violation of run.violations) {
+        const severity = violation.severity || "error";
+        const key = `${violation.rule}|${severity}`;
+        if (!types.has(key)) {
+          types.set(key, { rule: violation.rule, severity, count: 0, projects: new Set() });
+        }
+        const entry = types.get(key);
+        entry.count++;
+        entry.projects.add(run.projectId);
+      }
+    }
+
+    return Array.from(types.values())
+      .map((entry) => ({ ...entry, projects: entry.projects.size }))
+      .sort((a, b) => b.count - a.count || a.rule.localeCompare(b.rule))
+      .slice(0, TOP_LIMIT);
+  }
+
+  /**
+   * Tools involved in the most violations. A violation counts for its own tool,
+   * or for the tools of the NC file it points at.
+   * @param {Array<Object>} runs - Run records
+   * @returns {Array<Object>} - [{ tool, violations, rules }]
+   */
+  getOffendingTools(runs) {
+    const tools = new Map();
+
+    for (const run of runs) {
+      for (const violation of run.violations) {
+        for (const tool of Analytics.getViolationTools(run.ncFiles, violation)) {
+          if (!tools.has(tool)) {
+            tools.set(tool, { tool, violations: 0, rules: new Set() });
+          }
+          const entry = tools.get(tool);
+          entry.violations++;
+          entry.rules.add(violation.rule);
+        }
+      }
+    }
+
+    return Array.from(tools.values())
+      .map((entry) => ({ ...entry, rules: Array.from(entry.rules).sort() }))
+      .sort((a, b) => b.violations - a.violations || a.tool.localeCompare(b.tool))
+      .slice(0, TOP_LIMIT);
+  }
+
+  /**
+   * Tools a violation counts for (also used by SqliteStore when storing runs).
+   * @param {Object} ncFiles - NC files of the project's structure snapshot
+   * @param {Object} violation - Violation
+   * @returns {Array<string>} - Tool names
+   */
+  static getViolationTools(ncFiles, violation) {
+    if (violation.tool) {
+      return [violation.tool];
+    }
+
+    const ncFile = ncFiles[violation.ncFile] || ncFiles[violation.program];
+    if (!ncFile) {
+      return [];
+    }
+
+    const operations =
+      violation.operation !== undefined
+        ? ncFile.operations.filter((op) => String(op.number) === String(violation.operation))
+        : ncFile.operations;
+
+    return Array.from(new Set(operations.map((op) => op.toolName).filter(Boolean)));
+  }
+
+  /**
+   * Averages over the latest run of each project in the period.
+   * @param {Array<Object>} runs - Run records, oldest first
+   * @returns {Object} - { count, averageOperations, averageMachiningTime }
+   */
+  getProjectAverages(runs) {
+    const latest = new Map();
+    runs
+      .filter((run) => run.operationCount !== null)
+      .forEach((run) => latest.set(run.projectId, run));
+
+    const projects = Array.from(latest.values());
+    const average = (values) =>
+      values.length > 0 ? round1(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+
+    return {
+      count: projects.length,
+      averageOperations: average(projects.map((run) => run.operationCount)),
+      averageMachiningTime: average(projects.map((run) => run.totalTime || 0)), // seconds
+    };
+  }
+
+  countStatuses(runs) {
+    const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    runs.forEach((run) => {
+      if (run.status in counts) counts[run.status]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Prints the report as tables for the command line.
+   * @param {Object} report - Result of getReport() (or of a store's getAnalytics())
+   */
+  static printReport(report) {
+    const { period, totals } = report;
+
+    console.log(
+      `📈 JSONScanner Report ${period.from ? period.from.slice(0, 10) : "(all)"} → ${
+        period.to ? period.to.slice(0, 10) : "now"
+      }`
+    );
+    console.log(
+      `   ${totals.scans} scan(s) of ${totals.projects} project(s): ${totals.passed} passed, ${totals.warning} warning, ${totals.failed} failed, ${totals.error} error (${totals.passRate}% passed), ${totals.violations} violation(s)\n`
+    );
+
+    printTable("Scans per day", ["Date", "Scans", "Passed", "Warning", "Failed", "Error"],
+      report.scansPerDay.map((d) => [d.date, d.scans, d.passed, d.warning, d.failed, d.error]));
+
+    printTable("Rules", ["Rule", "Runs", "Passed", "Failed", "Error", "Pass %"],
+      report.rules.map((r) => [r.rule, r.runs, r.passed, r.failed, r.error, r.passRate]));
+
+    for (const [title, groups] of [["Machines", report.machines], ["Operators", report.operators]]) {
+      printTable(title, ["Name", "Scans", "Passed", "Warning", "Failed", "Error", "Pass %", "Violations"],
+        groups.map((g) => [g.name, g.scans, g.passed, g.warning, g.failed, g.error, g.passRate, g.violations]));
+    }
+
+    printTable("Most frequent violations", ["Rule", "Severity", "Count", "Projects"],
+      report.violationTypes.map((v) => [v.rule, v.severity, v.count, v.projects]));
+
+    printTable("Top offending tools", ["Tool", "Violations", "Rules"],
+      report.tools.map((t) => [t.tool, t.violations, t.rules.join(", ")]));
+
+    const { projects } = report;
+    console.log(
+      `📦 Per project (latest run of ${projects.count}): ${projects.averageOperations} operations, ${
+        Math.round((projects.averageMachiningTime / 60) * 10) / 10
+      } min machining time on average`
+    );
+  }
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Prints a titled, column-aligned table.
+ * @param {string} title - Table title
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Row values
+ */
+function printTable(title, headers, rows) {
+  console.log(`${title}:`);
+  if (rows.length === 0) {
+    console.log("  (none)\n");
+    return;
+  }
+
+  const cells = [headers, ...rows].map((row) => row.map((value) => String(value ?? "")));
+  const widths = headers.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+  // Numbers are right-aligned, text left-aligned
+  const numeric = headers.map((_, i) => rows.every((row) => typeof row[i] === "number"));
+  const format = (row) =>
+    "  " +
+    row
+      .map((value, i) => (numeric[i] ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+      .join("  ")
+      .trimEnd();
+
+  console.log(format(cells[0]));
+  console.log("  " + widths.map((w) => "-".repeat(w)).join("  "));
+  cells.slice(1).forEach((row) => console.log(format(row)));
+  console.log("");
+}
+
+Analytics.TOP_LIMIT = TOP_LIMIT;
+Analytics.STATUSES = STATUSES;
+Analytics.rate = rate;
+Analytics.round1 = round1;
+
+module.exports = Analytics;
@@ -1,15 +1,17 @@
 // path: src/Analyzer.js
 /**
- * The Analyzer is responsible for loading, validating, and fixing JSON files
- * before they are processed by the rule engine.
- * It outputs "fixed" JSON files beside the originals.
+ * The Analyzer reports on the JSON export of a project before it is processed
+ * by the rule engine.
+ * The export itself is read once, by Project.loadJsonData (see ExportReader),
+ * which repairs it (see JsonRepair), writes the "fixed" JSON beside it and checks
+ * it against the hyperMILL export schema (see ExportSchema). The Analyzer saves
+ * the repair log next to the fixed JSON and reports the repairs and data-quality
+ * issues, so bad exports show up as such instead of as rule violations.
  */
 
-const fs = require("fs");
 const path = require("path");
-const config = require("../config");
-const { logInfo, logWarn, logError } = require("../utils/Logger");
-const { readFileContent, writeJsonFile } = require("../utils/FileUtils");
+const { logInfo, logWarn } = require("../utils/Logger");
+const { writeJsonFile } = require("../utils/FileUtils");
 
 class Analyzer {
   constructor() {}
@@ -26,61 +28,59 @@ class Analyzer {
       return project;
     }
 
-    const fixedPath = project.getFixedFilePath();
-    const fixedData = this.validateAndFixJson(project.jsonFilePath);
-
-    if (fixedData) {
-      writeJsonFile(fixedPath, fixedData);
-      logInfo(`✓ Fixed JSON saved: ${path.basename(fixedPath)}`);
-      project.status = "analyzed";
-    } else {
+    // Projects are normally loaded by the Scanner already - read the export only if not
+    if (project.repairs === null && !project.loadJsonData({ writeFixedFile: true })) {
       logWarn(`⚠ Skipped invalid JSON: ${path.basename(project.jsonFilePath)}`);
-      project.status = "analysis_failed";
+      // A fatal error (status "fatal_error", set by loadJsonData) stays fatal
+      if (project.status !== "fatal_error") {
+        project.status = "analysis_failed";
+      }
+      return project;
     }
 
+    this.saveRepairLog(project);
+    this.checkDataQuality(project);
+    project.status = "analyzed";
     return project;
   }
 
   /**
-   * Attempts to read and parse a JSON file.
-   * If invalid, it tries simple fixes (UTF-8 encoding, trailing commas, etc.)
-   * @param {string} jsonPath
-   * @returns {object|null}
+   * Writes the repairs made while reading the export to the repair log next
+   * to the fixed JSON (they are also part of the result file).
+   * @param {Project} project - The loaded project
    */
-  validateAndFixJson(jsonPath) {
-    try {
-      let content = readFileContent(jsonPath);
-      if (!content) return null;
-
-      // Use Project's sanitization method first
-      const Project = require("./Project");
-      content = Project.sanitizeJsonContent(content);
-
-      // Try to parse first
-      try {
-        return JSON.parse(content);
-      } catch (e) {
-        logWarn(`Trying to auto-fix invalid JSON: ${path.basename(jsonPath)}`);
-      }
+  saveRepairLog(project) {
+    const repairs = project.repairs;
+    if (repairs.length > 0) {
+      const kinds = [...new Set(repairs.map((repair) => repair.kind))].join(", ");
+      logWarn(
+        `🔧 Repaired ${repairs.length} issue(s) in ${path.basename(project.jsonFilePath)}: ${kinds}`
+      );
+    }
 
-      // Basic auto-fixes
-      content = content
-        .replace(/,\s*([}\]])/g, "$1") // remove trailing commas
-        .replace(/[\u0000-\u0019]+/g, ""); // remove control characters
+    writeJsonFile(project.getRepairLogFilePath(), {
+      source: path.basename(project.originalJsonFilePath || project.jsonFilePath),
+      repairedAt: new Date().toISOString(),
+      repairCount: repairs.length,
+      repairs,
+    });
+  }
 
-      try {
-        return JSON.parse(content);
-      } catch (e) {
-        logError(
-          `Failed to fix JSON: ${path.basename(jsonPath)} (${e.message})`
-        );
-        return null;
-      }
-    } catch (err) {
-      logError(`Error reading JSON file: ${err.message}`);
-      return null;
+  /**
+   * Reports the export schema issues found while reading the export
+   * (`project.dataQuality`, written to the result file).
+   * @param {Project} project - The loaded project
+   * @returns {Object} - { status, schema, issueCount, issues }
+   */
+  checkDataQuality(project) {
+    if (project.dataQuality.status === "invalid") {
+      const [first] = project.dataQuality.issues;
+      logWarn(
+        `⚠ Export of "${project.getFullName()}" has ${project.dataQuality.issueCount} data-quality issue(s), e.g. ${first.message}`
+      );
     }
+    return project.dataQuality;
   }
 }
 
-module.exports = Analyzer;
\ No newline at end of file
+module.exports = Analyzer;
@@ -1,57 +1,113 @@
 /**
  * Data Manager for JSONScanner
- * Provides JSONScanner specific data operations using local JSON files
+ * Provides JSONScanner specific data operations on top of a pluggable store:
+ * - FileStore (storage.type "local"): reads the _BRK_result.json files
+ * - SqliteStore (storage.type "sqlite"): embedded SQLite database
+ * "auto" uses SQLite when better-sqlite3 is installed, local files otherwise.
  */
 
 const config = require("../config");
 const { logInfo, logError, logWarn } = require("../utils/Logger");
 const fs = require("fs");
 const path = require("path");
+const ResultHistory = require("./ResultHistory");
+const RunComparator = require("./RunComparator");
+const FileStore = require("./storage/FileStore");
+const SqliteStore = require("./storage/SqliteStore");
 
 class DataManager {
   constructor() {
-    this.dataDir = config.app.testMode
+    this.dataDir = DataManager.getDataDir();
+    this.store = null;
+  }
+
+  static getDataDir() {
+    return config.app.testMode
       ? path.join(process.cwd(), "data", "test_processed_data")
       : path.join(process.cwd(), "data", "processed_data");
   }
 
+  /**
+   * Creates the store for the configured storage type.
+   * @param {string} dataDir - Local data directory
+   * @returns {FileStore|SqliteStore} - Storage backend
+   */
+  static createStore(dataDir) {
+    const type = process.env.STORAGE_TYPE || config.storage.type;
+
+    if (type === "sqlite" || type === "auto") {
+      if (SqliteStore.isAvailable()) {
+        return new SqliteStore(DataManager.getSqlitePath());
+      }
+      if (type === "sqlite") {
+        logWarn("⚠️ better-sqlite3 is not installed - falling back to local result files");
+      }
+    } else if (type === "mongodb") {
+      logWarn("⚠️ MongoDB storage is not available - falling back to local result files");
+    }
+
+    return new FileStore(dataDir);
+  }
+
+  /**
+   * SQLite database path: storage.sqlite.path, or next to the results in the working folder.
+   * @returns {string} - Database file path
+   */
+  static getSqlitePath() {
+    if (config.storage.sqlite.path) {
+      return config.storage.sqlite.path;
+    }
+
+    const TempFileManager = require("../utils/TempFileManager");
+    return path.join(
+      new TempFileManager().getBasePath(),
+      "JSONScanner",
+      config.storage.sqlite.fileName
+    );
+  }
+
   async initialize() {
     try {
-      // Ensure data directory exists
+      // Re-initializing (e.g. after POST /api/config) picks up the new paths
+      if (this.store) {
+        await this.store.close();
+      }
+
+      this.dataDir = DataManager.getDataDir();
       if (!fs.existsSync(this.dataDir)) {
         fs.mkdirSync(this.dataDir, { recursive: true });
       }
 
-      logInfo(`📊 Data storage initialized: local JSON files`);
+      this.store = DataManager.createStore(this.dataDir);
+      await this.store.initialize();
       return true;
     } catch (error) {
-      logError("Failed to initialize data storage:", error);
+      logError(`Failed to initialize data storage: ${error.message}`);
       throw error;
     }
   }
 
-  // Save scan results with metadata
-  async saveScanResult(project, analysisResults) {
+  /**
+   * Stores the result of an analysis run.
+   * @param {Project} project - Processed project
+   * @param {Object} analysisResults - Result from project.getAnalysisResults()
+   * @param {Object|null} run - History run summary ({ runId, jsonHash, ruleSetVersion })
+   * @returns {string|number} - Storage ID of the run
+   */
+  async saveScanResult(project, analysisResults, run = null) {
     try {
-      const scanResult = {
-        projectPath: project.getProjectPath(),
-        projectName: project.getFullName(),
-        analysisResults: analysisResults,
-        timestamp: new Date().toISOString(),
-        success: true,
-        rulesApplied: analysisResults.rules?.length || 0,
-        issuesFound: analysisResults.issues?.length || 0,
-      };
-
-      // Save to traditional result file
-      await this.saveTraditionalResultFile(project, analysisResults);
+      // Save to traditional result file (skipped in test mode)
+      if (!config.app.testMode) {
+        await this.saveTraditionalResultFile(project, analysisResults);
+      }
+
+      const storageId = await this.store.saveRun(project, analysisResults, run);
 
       logInfo(`💾 Scan result saved: ${project.getFullName()}`);
-      return scanResult;
+      return storageId;
     } catch (error) {
       logError(
-        `Failed to save scan result for ${project.getFullName()}:`,
-        error
+        `Failed to save scan result for ${project.getFullName()}: ${error.message}`
       );
       throw error;
     }
@@ -88,143 +144,17 @@ class DataManager {
 
   // API methods for retrieving stored data
   async getAllProjects() {
-    try {
-      const TempFileManager = require("../utils/TempFileManager");
-      const tempManager = new TempFileManager();
-
-      // Get the temp base path
-      const tempBasePath = tempManager.getBasePath();
-
-      if (!fs.existsSync(tempBasePath)) {
-        return [];
-      }
-
-      const allProjects = [];
-      let resultsDir;
-
-      // Check for persistent folder structure (BRK CNC Management Dashboard/JSONScanner/results)
-      if (config.app.usePersistentTempFolder) {
-        resultsDir = path.join(tempBasePath, "JSONScanner", "results");
-
-        if (fs.existsSync(resultsDir)) {
-          const resultFiles = fs
-            .readdirSync(resultsDir)
-            .filter((file) => file.endsWith("_BRK_result.json"));
-
-          for (const file of resultFiles) {
-            try {
-              const filePath = path.join(resultsDir, file);
-              const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-
-              const projectName = file.replace("_BRK_result.json", "");
-              allProjects.push({
-                id: projectName,
-                name: projectName,
-                status: this._determineStatus(data),
-                operationCount: data.summary?.totalOperations || 0,
-                ncFileCount: data.summary?.totalNCFiles || 0,
-                timestamp:
-                  data.timestamp || fs.statSync(filePath).mtime.toISOString(),
-                violations: data.violations || [],
-              });
-            } catch (error) {
-              logWarn(`Failed to read result file ${file}:`, error.message);
-            }
-          }
-        }
-      } else {
-        // Find all session directories (old structure)
-        const sessions = fs
-          .readdirSync(tempBasePath)
-          .filter((file) =>
-            fs.statSync(path.join(tempBasePath, file)).isDirectory()
-          );
-
-        // Scan each session for result files
-        for (const session of sessions) {
-          resultsDir = path.join(tempBasePath, session, "results");
-
-          if (!fs.existsSync(resultsDir)) {
-            continue;
-          }
-
-          const resultFiles = fs
-            .readdirSync(resultsDir)
-            .filter((file) => file.endsWith("_BRK_result.json"));
-
-          for (const file of resultFiles) {
-            try {
-              const filePath = path.join(resultsDir, file);
-              const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-
-              const projectName = file.replace("_BRK_result.json", "");
-              allProjects.push({
-                id: projectName,
-                name: projectName,
-                status: this._determineStatus(data),
-                operationCount: data.summary?.totalOperations || 0,
-                ncFileCount: data.summary?.totalNCFiles || 0,
-                timestamp:
-                  data.timestamp || fs.statSync(filePath).mtime.toISOString(),
-                violations: data.violations || [],
-                session: session,
-              });
-            } catch (error) {
-              logWarn(`Failed to read result file ${file}:`, error.message);
-            }
-          }
-        }
-      }
+    return await this.store.getAllProjects();
+  }
 
-      return allProjects.sort(
-        (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
-      );
-    } catch (error) {
-      logError("Failed to get all projects:", error);
-      return [];
-    }
+  // Filtered, paginated project list: { projects, total }
+  async listProjects(filters = {}) {
+    return await this.store.listProjects(filters);
   }
 
   async getProject(projectId) {
     try {
-      const allProjects = await this.getAllProjects();
-      const project = allProjects.find((p) => p.id === projectId);
-
-      if (!project) {
-        return null;
-      }
-
-      // Load full project details from result file
-      const TempFileManager = require("../utils/TempFileManager");
-      const tempManager = new TempFileManager();
-      const tempBasePath = tempManager.getBasePath();
-      
-      let resultPath;
-      if (config.app.usePersistentTempFolder) {
-        resultPath = path.join(
-          tempBasePath,
-          "JSONScanner",
-          "results",
-          `${projectId}_BRK_result.json`
-        );
-      } else {
-        resultPath = path.join(
-          tempBasePath,
-          project.session,
-          "results",
-          `${projectId}_BRK_result.json`
-        );
-      }
-
-      if (fs.existsSync(resultPath)) {
-        const fullData = JSON.parse(fs.readFileSync(resultPath, "utf8"));
-        return {
-          ...project,
-          fullAnalysis: fullData,
-        };
-      }
-
-      return project;
+      return await this.store.getProject(projectId);
     } catch (error) {
       logError(`Failed to get project ${projectId}:`, error);
       return null;
@@ -241,20 +171,7 @@ class DataManager {
     }
   }
 
-  _determineStatus(data) {
-    if (!data.violations || data.violations.length === 0) {
-      return "passed";
-    }
-
-    const hasErrors = data.violations.some((v) => v.severity === "error");
-    if (hasErrors) {
-      return "failed";
-    }
-
-    return "warning";
-  }
-
-  // Simplified methods for local file storage
+  // Convenience methods
   async getScanResults(filters = {}) {
     return await this.getAllProjects();
   }
@@ -265,7 +182,7 @@ class DataManager {
   }
 
   async saveProject(project) {
-    return null;
+    return await this.store.saveProject(project);
   }
 
   async getProjects() {
@@ -273,38 +190,61 @@ class DataManager {
   }
 
   async saveRuleExecution(projectName, ruleName, result) {
-    // Not implemented for local storage
+    return await this.store.saveRuleExecution(projectName, ruleName, result);
   }
 
-  async getAnalytics() {
+  /**
+   * Aggregates the stored analysis runs through the store (see Analytics.getReport).
+   * @param {Object} filters - { from, to, days, operator }; throws on invalid dates
+   * @returns {Object} - Analytics report
+   */
+  async getAnalytics(filters = {}) {
     return {
-      totalScans: 0,
-      successfulScans: 0,
-      totalProjects: 0,
-      totalIssues: 0,
-      storageType: "local",
-      lastScan: null,
-      recentScans: [],
+      ...(await this.store.getAnalytics(filters)),
+      storageType: this.store.type,
     };
   }
 
+  // Result history of a project (newest first, without the full results)
+  async getResultHistory(projectId) {
+    return new ResultHistory().listRuns(projectId);
+  }
+
+  async getHistoricRun(projectId, runId) {
+    try {
+      return new ResultHistory().getRun(projectId, runId);
+    } catch (error) {
+      logError(`Failed to read history run ${projectId}/${runId}:`, error);
+      return null;
+    }
+  }
+
+  // Compares two history runs (defaults: latest vs. the run before it); throws if unavailable
+  async getRunDiff(projectId, runA = null, runB = null) {
+    return new RunComparator().compareRuns(projectId, runA, runB);
+  }
+
+  // Enforces dataRetention.scanResults on the result history and the store
   async cleanup() {
-    // Not implemented for local storage
+    const historyRuns = new ResultHistory().applyRetention();
+    const storedRuns = await this.store.cleanup(
+      config.dataRetention.scanResults.retentionDays
+    );
+    return { historyRuns, storedRuns };
   }
 
   async createBackup() {
-    return { status: "not_implemented" };
+    return await this.store.createBackup();
   }
 
   async healthCheck() {
-    return {
-      status: "ok",
-      storageType: "local",
-    };
+    return await this.store.healthCheck();
   }
 
   async disconnect() {
-    // Nothing to disconnect for local storage
+    if (this.store) {
+      await this.store.close();
+    }
   }
 }
 
@@ -0,0 +1,75 @@
+// path: src/EventBus.js
+/**
+ * EventBus carries typed pipeline events (scan, project, rule, config) from the
+ * Scanner, Executor and API to subscribers such as the GET /api/events SSE stream.
+ *
+ * Every event gets an increasing ID and the most recent ones are kept, so a
+ * client that reconnects with Last-Event-ID can be sent what it missed.
+ *
+ * Event shape: { id, type, timestamp, data }
+ * Types: scan.started, scan.completed, scan.failed, project.queued, rule.completed,
+ *        project.saved, project.fatal_error, config.changed, job.updated
+ */
+
+const EventEmitter = require("events");
+
+const MAX_BUFFERED_EVENTS = 500; // Replay window for reconnecting clients
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per connected SSE client
+    this.lastId = 0;
+    this.buffer = [];
+  }
+
+  /**
+   * Publishes an event to all subscribers.
+   * @param {string} type - Event type (e.g., "project.saved")
+   * @param {Object} data - Event payload
+   * @returns {Object} - The published event
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > MAX_BUFFERED_EVENTS) {
+      this.buffer.shift();
+    }
+
+    this.emit("event", event);
+    return event;
+  }
+
+  /**
+   * Gets the buffered events published after the given ID.
+   * @param {number} lastEventId - ID of the last event the client received
+   * @returns {Array<Object>} - Missed events, oldest first
+   */
+  getEventsSince(lastEventId) {
+    return this.buffer.filter((event) => event.id > lastEventId);
+  }
+
+  /**
+   * Subscribes to all events.
+   * @param {Function} listener - (event) => void
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.on("event", listener);
+    return () => this.off("event", listener);
+  }
+}
+
+// One bus per process, shared by the pipeline and the API server
+const eventBus = new EventBus();
+
+eventBus.EventBus = EventBus;
+eventBus.MAX_BUFFERED_EVENTS = MAX_BUFFERED_EVENTS;
+
+module.exports = eventBus;
@@ -2,24 +2,54 @@
 /**
  * The Executor orchestrates the full process:
  * scanning, analyzing, applying rules, and writing results.
+ * Projects are loaded, analyzed and checked in a worker pool (config.workerPool,
+ * see ProjectWorker); their results are saved on the main thread in scan order.
  */
 
+const fs = require("fs");
+const path = require("path");
 const config = require("../config");
 const { logInfo, logWarn, logError } = require("../utils/Logger");
 const Scanner = require("./Scanner");
 const Analyzer = require("./Analyzer");
 const RuleEngine = require("./RuleEngine");
 const Results = require("./Results");
+const eventBus = require("./EventBus");
+const WorkerPool = require("./WorkerPool");
+const FileWatcher = require("./FileWatcher");
+const { runProject } = require("./ProjectWorker");
+
+const PROJECT_WORKER_SCRIPT = path.join(__dirname, "ProjectWorker.js");
+
+const HISTORY_RETENTION_INTERVAL_MS = 60 * 60 * 1000; // Retention pass at most hourly in autorun
 
 class Executor {
   constructor(dataManager = null) {
     this.scanner = new Scanner();
     this.analyzer = new Analyzer();
     this.ruleEngine = new RuleEngine();
+    this.scanner.ruleSetVersion = this.ruleEngine.ruleSetVersion;
+    this.workerPool =
+      config.workerPool.size > 0
+        ? new WorkerPool(PROJECT_WORKER_SCRIPT, {
+            size: config.workerPool.size,
+            timeoutMs: config.workerPool.projectTimeoutMs,
+            warnAfterMs: config.app.operationTimeoutWarning,
+          })
+        : null;
+    this.scanner.deferLoading = this.workerPool !== null; // Workers load the exports
+    this.watcher = config.watch.enabled
+      ? new FileWatcher({
+          filter: (filePath) => this.scanner.isExportFile(filePath),
+          debounceMs: config.watch.debounceMs,
+          stableMs: config.watch.stableMs,
+        })
+      : null;
     this.results = new Results(dataManager, this.scanner.tempManager);
     this.dataManager = dataManager;
     this.isRunning = false;
     this.manualQueue = [];
+    this.lastHistoryRetention = 0;
   }
 
   /**
@@ -39,12 +69,13 @@ class Executor {
     );
 
     this.scanner.start();
+    this.applyHistoryRetention();
 
     if (config.app.autorun) {
       await this.runAutorunCycle();
     } else if (options.projectPath) {
       // Manual mode with specific project path
-      await this.runManualProject(options.projectPath);
+      await this.processProjectFolder(options.projectPath);
     } else {
       // Manual mode - use path resolution (test mode or user input)
       await this.runManualMode();
@@ -53,7 +84,10 @@ class Executor {
 
   /**
    * Runs continuously when autorun is true.
-   * Waits for new projects and processes them sequentially.
+   * Waits for new projects and processes them (in the worker pool, if enabled).
+   * In watch mode changed exports are processed as they are reported, and the
+   * full scans only reconcile every watch.reconcileIntervalMs; without it (or
+   * when the scan path can't be watched) the tree is rescanned every scanIntervalMs.
    */
   async runAutorunCycle() {
     let scanCount = 0;
@@ -68,7 +102,11 @@ class Executor {
 
       // Clear previous projects and scan with temp file management
       this.scanner.projects = [];
-      await this.scanner.performScan();
+      // Full scan, not just a change check of the tracked files: new exports are
+      // only found by walking the tree (in watch mode this is the reconciliation)
+      this.scanner.scannedPaths.delete(config.getScanPath());
+      // Exports still being written are left for the watcher or the next scan
+      await this.scanner.performScan(null, { stableMs: config.watch.stableMs });
 
       const projects = this.scanner.getProjects();
       const scanEndTime = new Date();
@@ -92,83 +130,250 @@ class Executor {
         logInfo(`📭 No new projects found in scan #${scanCount}`);
       }
 
-      for (const project of projects) {
-        if (project.status === "ready") {
-          await this.processProject(project);
-        }
+      await this.processProjects(
+        projects.filter((project) => project.status === "ready")
+      );
+
+      if (Date.now() - this.lastHistoryRetention >= HISTORY_RETENTION_INTERVAL_MS) {
+        this.applyHistoryRetention();
       }
 
-      // Wait before scanning again with countdown
+      // Wait before scanning again - for changed exports in watch mode, with countdown otherwise
       if (this.isRunning && config.app.autorun) {
-        await this.waitWithCountdown(config.app.scanIntervalMs, scanCount);
+        if (this.watcher && this.startWatching()) {
+          await this.processWatchedChanges(scanCount);
+        } else {
+          await this.waitWithCountdown(config.app.scanIntervalMs, scanCount);
+        }
       }
     }
+
+    if (this.watcher) {
+      this.watcher.stop();
+    }
   }
 
   /**
-   * Process a project: analyze -> rule check -> results.
+   * Makes sure the watcher watches the current scan path.
+   * @returns {boolean} - False if the scan path can't be watched
    */
-  async processProject(project) {
-    try {
-      logInfo(`Processing project: ${project.getFullName()}`);
+  startWatching() {
+    const scanPath = config.getScanPath();
+    if (this.watcher.isWatching() && this.watcher.rootPath === scanPath) {
+      return true;
+    }
+    return Boolean(scanPath) && fs.existsSync(scanPath) && this.watcher.start(scanPath);
+  }
 
-      // Step 1: Analyze the JSON file (validate and fix)
-      this.analyzer.analyzeProject(project);
+  /**
+   * Watch mode: processes changed exports as the watcher reports them (once
+   * they are stable) until the next reconciliation scan is due.
+   * @param {number} scanCount - Number of the last full scan
+   */
+  async processWatchedChanges(scanCount) {
+    const scanPath = this.watcher.rootPath;
+    const reconcileAt = Date.now() + config.watch.reconcileIntervalMs;
 
-      if (project.status === "analysis_failed") {
-        logError(`Analysis failed for project: ${project.getFullName()}`);
-        // Set up minimal analysis results for failed analysis
-        project.setAnalysisResults({});
-        this.results.saveProjectResults(project, project.getAnalysisResults());
-        return;
+    logInfo(
+      `👀 Waiting for changed exports (full scan #${scanCount + 1} at ${new Date(
+        reconcileAt
+      ).toLocaleTimeString()})`
+    );
+
+    while (this.isRunning && config.app.autorun && this.watcher.isWatching()) {
+      const changes = await this.watcher.waitForChanges(reconcileAt - Date.now());
+      if (!changes || changes.fullScan) {
+        return; // Reconciliation due, stopped, or events were lost
       }
 
-      // Check for fatal errors after analysis
-      if (project.status === "fatal_error") {
-        logError(
-          `❌ Project has fatal errors and cannot be processed: ${project.getFullName()}`
-        );
-        return;
+      logInfo(
+        `📝 ${changes.files.length} changed export(s): ${changes.files
+          .map((filePath) => path.basename(filePath))
+          .join(", ")}`
+      );
+      const projects = await this.scanner.scanFiles(scanPath, changes.files);
+      await this.processProjects(
+        projects.filter((project) => project.status === "ready")
+      );
+    }
+  }
+
+  /**
+   * Processes projects: in the worker pool when it is enabled, otherwise one
+   * after another. Either way the results are saved and published in the
+   * order of `projects`, whichever project finishes first.
+   * @param {Array<Project>} projects - Projects to process
+   * @param {Function} onStage - Optional (stage, project) callback: analyzing, rules, saved, failed
+   */
+  async processProjects(projects, onStage = null) {
+    if (!this.workerPool) {
+      for (const project of projects) {
+        await this.processProject(project, onStage);
       }
+      return;
+    }
 
-      // Step 2: Execute rules
-      const ruleResults = this.ruleEngine.executeRules(project);
+    const runs = projects.map((project) => this.runInWorker(project, onStage));
+    for (let i = 0; i < projects.length; i++) {
+      const reportStage = (stage) => onStage && onStage(stage, projects[i]);
+      const { state, error } = await runs[i];
 
-      // Step 3: Store analysis results in project
-      project.setAnalysisResults(ruleResults);
+      try {
+        if (error) {
+          throw error;
+        }
+        projects[i].applyWorkerState(state);
+        await this.completeProject(projects[i], reportStage, true);
+      } catch (err) {
+        await this.failProject(projects[i], err, reportStage);
+      }
+    }
+  }
 
-      // Step 4: Save results to file
-      this.results.saveProjectResults(project, project.getAnalysisResults());
+  /**
+   * Runs load -> analyze -> rules for a project in the worker pool.
+   * @param {Project} project - Project to run
+   * @param {Function} onStage - Optional (stage, project) callback, called with the worker's stages
+   * @returns {Promise<Object>} - { state } from the worker, or { error }; never rejects
+   */
+  runInWorker(project, onStage = null) {
+    const task = {
+      project: {
+        projectPath: project.projectPath,
+        position: project.position,
+        jsonFilePath: project.jsonFilePath,
+        originalJsonFilePath: project.originalJsonFilePath,
+        machineFolder: project.machineFolder,
+        originalMachineFolder: project.originalMachineFolder,
+        status: project.status,
+        isValid: project.isValid,
+      },
+      config: JSON.parse(JSON.stringify(config)), // Runtime settings, without the helper functions
+    };
+
+    return this.workerPool
+      .run(task, {
+        label: `Project ${project.getFullName()}`,
+        onProgress: ({ stage }) => onStage && onStage(stage, project),
+      })
+      .then(
+        (state) => ({ state }),
+        (error) => ({ error })
+      );
+  }
 
-      // Step 5: Log summary for monitoring
-      this.logProjectSummary(project, project.getAnalysisResults());
+  /**
+   * Process a project on the main thread: analyze -> rule check -> results.
+   * @param {Project} project - Project to process
+   * @param {Function} onStage - Optional (stage, project) callback: analyzing, rules, saved, failed
+   */
+  async processProject(project, onStage = null) {
+    const reportStage = (stage) => onStage && onStage(stage, project);
 
-      logInfo(
-        `Project completed: ${project.getFullName()} - Status: ${
-          project.analysisResults.summary.overallStatus
-        }`
+    try {
+      // Steps 1-3: Analyze the JSON file, execute rules and store the results in the project
+      runProject(
+        project,
+        { analyzer: this.analyzer, ruleEngine: this.ruleEngine },
+        reportStage
       );
-      project.status = "completed";
+      await this.completeProject(project, reportStage);
     } catch (err) {
-      logError(`Project processing failed: ${err.message}`);
-
-      // Check if this is a critical error that should mark project as fatal
-      if (
-        err.message.includes("JSON") ||
-        err.message.includes("parse") ||
-        err.message.includes("corrupt")
-      ) {
-        project.markAsFatalError(`Processing failed: ${err.message}`);
-        project.status = "fatal_error";
-        logError(`❌ Project marked as fatal error due to critical failure`);
-      } else {
-        // For other errors, mark as failed but still save results to avoid retrying
-        project.status = "failed";
-        project.setAnalysisResults({}); // Empty results
-        this.results.saveProjectResults(project, project.getAnalysisResults());
+      await this.failProject(project, err, reportStage);
+    }
+  }
+
+  /**
+   * Saves and publishes the results of a project that went through runProject().
+   * The project is reported "saved" only once its results are stored.
+   * @param {Project} project - Analyzed project
+   * @param {Function} reportStage - Stage callback: saved, failed
+   * @param {boolean} ranInWorker - True if runProject() ran in a worker thread, whose events aren't streamed
+   */
+  async completeProject(project, reportStage, ranInWorker = false) {
+    if (project.status === "analysis_failed") {
+      logError(`Analysis failed for project: ${project.getFullName()}`);
+      // Set up minimal analysis results for failed analysis
+      project.setAnalysisResults({}, this.ruleEngine.ruleProfile);
+      await this.saveAndPublish(project);
+      reportStage("failed");
+      return;
+    }
+
+    // Check for fatal errors after analysis
+    if (project.status === "fatal_error") {
+      logError(
+        `❌ Project has fatal errors and cannot be processed: ${project.getFullName()}`
+      );
+      if (ranInWorker) {
+        project.publishFatalError();
+      }
+      reportStage("failed");
+      return;
+    }
+
+    this.publishRuleEvents(project);
+
+    // Step 4: Save results to file and storage
+    if (!(await this.saveAndPublish(project))) {
+      logError(`❌ Results of ${project.getFullName()} could not be saved`);
+      reportStage("failed");
+      return;
+    }
+
+    // Step 5: Log summary for monitoring
+    this.logProjectSummary(project, project.analysisResults);
+
+    logInfo(
+      `Project completed: ${project.getFullName()} - Status: ${
+        project.analysisResults.summary.overallStatus
+      }`
+    );
+    project.status = "completed";
+    reportStage("saved");
+  }
+
+  /**
+   * Handles a project whose processing threw (or whose worker crashed or timed out).
+   * @param {Project} project - Failed project
+   * @param {Error} err - The error
+   * @param {Function} reportStage - Stage callback
+   */
+  async failProject(project, err, reportStage) {
+    logError(`Project processing failed: ${err.message}`);
+
+    // Check if this is a critical error that should mark project as fatal
+    if (
+      err.message.includes("JSON") ||
+      err.message.includes("parse") ||
+      err.message.includes("corrupt")
+    ) {
+      project.markAsFatalError(`Processing failed: ${err.message}`);
+      project.status = "fatal_error";
+      logError(`❌ Project marked as fatal error due to critical failure`);
+    } else {
+      // For other errors, mark as failed but still save results to avoid retrying
+      project.status = "failed";
+      project.setAnalysisResults({}, this.ruleEngine.ruleProfile); // Empty results
+      if (await this.saveAndPublish(project)) {
         logError(`❌ Project failed but result saved to prevent retry`);
       }
     }
+    reportStage("failed");
+  }
+
+  /**
+   * Saves the project's results and publishes project.saved once they are stored.
+   * @param {Project} project - Project with analysis results
+   * @returns {boolean} - False if the results could not be saved
+   */
+  async saveAndPublish(project) {
+    const saved = await this.results.saveProjectResults(project, project.getAnalysisResults());
+    if (saved === null) {
+      return false;
+    }
+    this.publishProjectSaved(project);
+    return true;
   }
 
   /**
@@ -189,24 +394,74 @@ class Executor {
     // Wait for any running project to finish
     while (this.isRunning) await new Promise((res) => setTimeout(res, 1000));
 
-    try {
-      this.scanner.scanProject(projectPath);
-      const projects = this.scanner.getProjects();
+    await this.processProjectFolder(projectPath);
 
-      // Process the most recently added project
-      const latestProject = projects[projects.length - 1];
-      if (latestProject && latestProject.status === "ready") {
-        await this.processProject(latestProject);
-      } else {
+    logInfo("Manual project finished. Resuming autorun...");
+    config.app.autorun = true;
+    await this.start();
+  }
+
+  /**
+   * Scans a single project folder and processes every position in it,
+   * then saves the rolled-up project result.
+   * @param {string} projectPath - Path to the project folder
+   * @returns {Promise<Project|null>} - The processed project or null if none found
+   */
+  async processProjectFolder(projectPath) {
+    try {
+      const project = this.scanner.scanProject(projectPath);
+      if (!project) {
         logWarn(`No valid project found at: ${projectPath}`);
+        return null;
       }
+
+      await this.processProjects(
+        project.getPositions().filter((positionProject) => positionProject.status === "ready")
+      );
+
+      const rolledUpResults = project.getRolledUpResults();
+      this.results.saveRolledUpResults(project, rolledUpResults);
+      this.logRolledUpSummary(project, rolledUpResults);
+      return project;
     } catch (err) {
       logError(`Manual project processing failed: ${err.message}`);
+      return null;
     }
+  }
 
-    logInfo("Manual project finished. Resuming autorun...");
-    config.app.autorun = true;
-    await this.start();
+  /**
+   * Scans a path (copying JSON and NC files to temp) and processes every
+   * project found. Used by on-demand scan jobs from the API.
+   * @param {string} scanPath - Folder to scan
+   * @param {Object} options - { force, onStage(stage, project, projects) }
+   *   stages: copying, scanned, then analyzing/rules/saved/failed per project
+   * @returns {Promise<Array<Project>>} - The processed projects
+   */
+  async scanAndProcess(scanPath, options = {}) {
+    const onStage = options.onStage || (() => {});
+    const originalForceReprocess = config.app.forceReprocess;
+
+    if (options.force) {
+      config.app.forceReprocess = true;
+    }
+
+    try {
+      onStage("copying", null);
+      this.scanner.projects = [];
+      this.scanner.scannedPaths.delete(scanPath); // Full scan, not just a change check
+      await this.scanner.performScan(scanPath);
+
+      const projects = this.scanner
+        .getProjects()
+        .filter((project) => project.status === "ready");
+      onStage("scanned", null, projects);
+
+      await this.processProjects(projects, onStage);
+
+      return projects;
+    } finally {
+      config.app.forceReprocess = originalForceReprocess;
+    }
   }
 
   /**
@@ -237,12 +492,9 @@ class Executor {
       );
 
       // Process all projects
-      for (const project of projects) {
-        if (project.status === "ready") {
-          logInfo(`📋 Processing project: ${project.getFullName()}`);
-          await this.processProject(project);
-        }
-      }
+      await this.processProjects(
+        projects.filter((project) => project.status === "ready")
+      );
 
       logInfo("✅ Manual mode processing completed.");
     } catch (err) {
@@ -250,6 +502,18 @@ class Executor {
     }
   }
 
+  /**
+   * Removes result history runs past the configured retention period.
+   */
+  applyHistoryRetention() {
+    this.lastHistoryRetention = Date.now();
+    try {
+      this.results.history.applyRetention();
+    } catch (err) {
+      logWarn(`Result history retention failed: ${err.message}`);
+    }
+  }
+
   /**
    * Waits for the specified interval with a countdown display.
    * @param {number} intervalMs - Wait time in milliseconds
@@ -308,20 +572,89 @@ class Executor {
       logInfo(
         `  Rules: ${summary.rulesPassed || 0} passed, ${
           summary.rulesFailed || 0
-        } failed, ${
+        } failed, ${summary.rulesErrored || 0} error(s), ${
           (summary.rulesRun || 0) -
           (summary.rulesPassed || 0) -
-          (summary.rulesFailed || 0)
+          (summary.rulesFailed || 0) -
+          (summary.rulesErrored || 0)
         } not applicable`
       );
       logInfo(
         `  Project Stats: ${project.compoundJobs.size} NC files, ${project.tools.size} tools`
       );
 
+      const bySeverity = summary.violationsBySeverity;
+      if (bySeverity) {
+        logInfo(
+          `  Violations: ${bySeverity.error} error(s), ${bySeverity.warning} warning(s), ${bySeverity.info} info`
+        );
+      }
+
       // Show failed rules for immediate attention
       if (summary.rulesFailed > 0) {
         logInfo(`  ❌ Failed Rules: Check result file for details`);
       }
+      if (summary.rulesErrored > 0) {
+        logWarn(`  ⚠️ ${summary.rulesErrored} rule(s) could not be evaluated: Check result file for errors`);
+      }
+    }
+  }
+
+  /**
+   * Publishes a rule.completed event for every rule that ran on the project.
+   * @param {Project} project - Project with analysis results
+   */
+  publishRuleEvents(project) {
+    project.analysisResults.rules.forEach((ruleResult, ruleName) => {
+      if (!ruleResult.run) return;
+
+      eventBus.publish("rule.completed", {
+        project: project.getFullName(),
+        operator: project.operator,
+        rule: ruleName,
+        status: project.getRuleStatus(ruleResult),
+        severity: ruleResult.severity,
+        violationCount: ruleResult.failures.length,
+      });
+    });
+  }
+
+  /**
+   * Publishes a project.saved event once the result file is written.
+   * @param {Project} project - Processed project
+   */
+  publishProjectSaved(project) {
+    const results = project.getAnalysisResults();
+
+    eventBus.publish("project.saved", {
+      project: project.getFullName(),
+      operator: project.operator,
+      status: results.status,
+      violationCount: results.results.violations.length,
+      violationsBySeverity: results.results.violationsBySeverity,
+    });
+  }
+
+  /**
+   * Logs a per-position summary of a multi-position project.
+   * @param {Project} project - The project holding all positions
+   * @param {Object} rolledUpResults - Results from project.getRolledUpResults()
+   */
+  logRolledUpSummary(project, rolledUpResults) {
+    const { summary } = rolledUpResults;
+
+    logInfo(`\n📦 Project Summary for ${project.name}`);
+    logInfo(`  Overall Status: ${rolledUpResults.status.toUpperCase()}`);
+    logInfo(
+      `  Positions: ${summary.positionCount} (${summary.positionsPassed} passed, ${summary.positionsWarning} warning, ${summary.positionsFailed} failed)`
+    );
+
+    for (const position of rolledUpResults.positions) {
+      logInfo(
+        `  - ${project.name}${position.position} [${position.machine || "unknown machine"}]: ${
+          position.status?.toUpperCase() || "UNKNOWN"
+        }, ${position.results.violations.length} violation(s)`
+      );
     }
   }
 
@@ -332,6 +665,9 @@ class Executor {
   stop(preserveResults = false) {
     logWarn("Executor stop requested.");
     this.isRunning = false;
+    if (this.watcher) {
+      this.watcher.stop();
+    }
     this.scanner.stop(preserveResults);
   }
 }
@@ -0,0 +1,150 @@
+// path: src/ExportReader.js
+/**
+ * Reads a hyperMILL JSON export in a single streaming pass.
+ *
+ * The file is parsed in chunks by JsonRepair and every operation is handed on
+ * as soon as it is read - to the caller (Project builds its compound jobs and
+ * tools from it), to the export schema check and, when requested, to the
+ * fixed JSON file - so neither the raw file nor the operations array is ever
+ * held in memory as a whole, and the file is read only once.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const JsonRepair = require("./JsonRepair");
+const ExportSchema = require("./ExportSchema");
+const { logInfo, logWarn } = require("../utils/Logger");
+
+const STREAMED_ARRAY = "operations";
+const FLUSH_SIZE = 64 * 1024; // Characters buffered before writing to the fixed file
+
+class ExportReader {
+  /**
+   * Reads an export.
+   * @param {string} jsonPath - Export file
+   * @param {Object} options - { onOperation(operation, index), fixedFilePath: write the repaired export here }
+   * @returns {Object} - { metadata (export without its operations), operationCount, repairs, dataQuality }
+   * @throws {SyntaxError} - If the export cannot be repaired (file system errors are passed on)
+   */
+  static read(jsonPath, options = {}) {
+    const { onOperation = null, fixedFilePath = null } = options;
+    const operationReport = ExportSchema.createReport();
+    const writer = fixedFilePath ? new FixedFileWriter(fixedFilePath) : null;
+    let operationCount = 0;
+
+    let parsed;
+    try {
+      parsed = JsonRepair.parseFile(jsonPath, {
+        streamArray: STREAMED_ARRAY,
+        onItem: (operation, index) => {
+          ExportSchema.validateOperation(operation, index, operationReport);
+          if (writer) writer.writeOperation(operation);
+          if (onOperation) onOperation(operation, index);
+          operationCount++;
+        },
+      });
+    } catch (err) {
+      if (writer) writer.discard();
+      throw err;
+    }
+
+    if (writer) writer.finish(parsed.data);
+
+    return {
+      metadata: parsed.data,
+      operationCount,
+      repairs: parsed.repairs,
+      dataQuality: ExportSchema.validate(parsed.data, operationReport),
+    };
+  }
+}
+
+/**
+ * Writes the repaired export as it is read: the streamed operations first,
+ * then the rest of the export once it is complete. A write error only costs
+ * the fixed file, never the analysis.
+ */
+class FixedFileWriter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = "";
+    this.operationCount = 0;
+    this.fd = null;
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      this.fd = fs.openSync(filePath, "w");
+    } catch (err) {
+      logWarn(`Cannot write fixed JSON ${filePath}: ${err.message}`);
+    }
+  }
+
+  writeOperation(operation) {
+    const prefix = this.operationCount === 0 ? `{\n  "${STREAMED_ARRAY}": [\n` : ",\n";
+    this.write(prefix + indent(JSON.stringify(operation, null, 2), "    "));
+    this.operationCount++;
+  }
+
+  /**
+   * Writes the rest of the export and closes the file.
+   * @param {*} data - Export without the streamed operations
+   */
+  finish(data) {
+    if (this.operationCount === 0) {
+      this.write(JSON.stringify(data, null, 2));
+    } else {
+      const rest = Object.entries(data)
+        .filter(([key]) => key !== STREAMED_ARRAY)
+        .map(([key, value]) => `,\n  ${JSON.stringify(key)}: ${indent(JSON.stringify(value, null, 2), "  ").trimStart()}`);
+      this.write(`\n  ]${rest.join("")}\n}`);
+    }
+    this.flush(true);
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+      logInfo(`✓ Fixed JSON saved: ${path.basename(this.filePath)}`);
+    }
+  }
+
+  /**
+   * Removes the partly written file of an export that could not be read.
+   */
+  discard() {
+    if (this.fd === null) {
+      return;
+    }
+    fs.closeSync(this.fd);
+    this.fd = null;
+    fs.rmSync(this.filePath, { force: true });
+  }
+
+  write(text) {
+    this.pending += text;
+    this.flush(false);
+  }
+
+  flush(force) {
+    if (this.fd === null) {
+      this.pending = "";
+      return;
+    }
+    if (!force && this.pending.length < FLUSH_SIZE) {
+      return;
+    }
+
+    try {
+      fs.writeSync(this.fd, this.pending);
+    } catch (err) {
+      logWarn(`Cannot write fixed JSON ${this.filePath}: ${err.message}`);
+      this.discard();
+    }
+    this.pending = "";
+  }
+}
+
+function indent(text, prefix) {
+  return prefix + text.replace(/\n/g, `\n${prefix}`);
+}
+
+module.exports = ExportReader;
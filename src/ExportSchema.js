@@ -0,0 +1,177 @@
+// path: src/ExportSchema.js
+/**
+ * Validates hyperMILL JSON exports against src/schemas/hypermill-export.schema.json.
+ *
+ * Supports the JSON Schema keywords the export schema uses: type (including
+ * "integer" and type lists), required, properties, items, minimum, minLength
+ * and local "$ref"s ("#/definitions/..."). Unknown fields are allowed - exports
+ * carry many more fields than the rules read.
+ *
+ * Issues are field-level: { path, keyword, expected, actual, message }, e.g.
+ *   { path: "operations[3].programName", keyword: "required", expected: "string",
+ *     actual: null, message: "operations[3].programName is missing" }
+ *
+ * Streamed exports (see ExportReader) check each operation with validateOperation()
+ * as it is read and pass the collected report to validate() for the rest.
+ */
+
+const path = require("path");
+
+const SCHEMA_PATH = path.join(__dirname, "schemas", "hypermill-export.schema.json");
+const MAX_ISSUES = 100; // Issues kept per export; the count is always complete
+
+let schema = null;
+
+class ExportSchema {
+  /**
+   * Validates a parsed export.
+   * @param {*} data - Parsed JSON export
+   * @param {Object|null} operationReport - Issues of the streamed operations (see validateOperation)
+   * @returns {Object} - Data-quality section: { status: "valid"|"invalid", schema, issueCount, issues }
+   */
+  static validate(data, operationReport = null) {
+    const report = ExportSchema.createReport();
+    validateNode(data, ExportSchema.getSchema(), "", report);
+
+    const issueCount = report.issueCount + (operationReport ? operationReport.issueCount : 0);
+    return {
+      status: issueCount === 0 ? "valid" : "invalid",
+      schema: ExportSchema.getSchema().title,
+      issueCount,
+      issues: report.issues.concat(operationReport ? operationReport.issues : []).slice(0, MAX_ISSUES),
+    };
+  }
+
+  /**
+   * Validates one operation of a streamed export.
+   * @param {*} operation - Parsed operation
+   * @param {number} index - Index in the operations array
+   * @param {Object} report - Report from createReport()
+   */
+  static validateOperation(operation, index, report) {
+    const operationSchema = ExportSchema.getSchema().properties.operations.items;
+    validateNode(operation, operationSchema, `operations[${index}]`, report);
+  }
+
+  /**
+   * @returns {Object} - Empty report: { issueCount, issues } (only the first issues are kept)
+   */
+  static createReport() {
+    return { issueCount: 0, issues: [] };
+  }
+
+  static getSchema() {
+    if (!schema) {
+      schema = require(SCHEMA_PATH);
+    }
+    return schema;
+  }
+}
+
+/**
+ * Validates one value against a (sub)schema, appending issues.
+ * @param {*} value - Value to check
+ * @param {Object} node - Schema node
+ * @param {string} at - Path of the value ("" for the root)
+ * @param {Object} report - Collected issues (see createReport)
+ */
+function validateNode(value, node, at, report) {
+  if (node.$ref) {
+    node = resolveRef(node.$ref);
+  }
+
+  const types = node.type ? [].concat(node.type) : null;
+  if (types && !types.some((type) => matchesType(value, type))) {
+    addIssue(
+      report,
+      issue(at, "type", types.join("|"), value, `${at || "export"} must be ${types.join(" or ")}`)
+    );
+    return; // Nested checks would only repeat the type mismatch
+  }
+
+  if (typeof value === "number" && node.minimum !== undefined && value < node.minimum) {
+    addIssue(
+      report,
+      issue(at, "minimum", `>= ${node.minimum}`, value, `${at} must be at least ${node.minimum}`)
+    );
+  }
+  if (typeof value === "string" && node.minLength !== undefined && value.length < node.minLength) {
+    addIssue(report, issue(at, "minLength", "non-empty string", value, `${at} must not be empty`));
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of node.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        const expected = node.properties?.[key] ? describeType(node.properties[key]) : "value";
+        addIssue(report, issue(join(at, key), "required", expected, null, `${join(at, key)} is missing`));
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(node.properties || {})) {
+      if (value[key] !== undefined && !(value[key] === null && (node.required || []).includes(key))) {
+        validateNode(value[key], propertySchema, join(at, key), report);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => validateNode(item, node.items, `${at}[${index}]`, report));
+  }
+}
+
+function addIssue(report, found) {
+  report.issueCount++;
+  if (report.issues.length < MAX_ISSUES) {
+    report.issues.push(found);
+  }
+}
+
+function resolveRef(ref) {
+  const match = /^#\/definitions\/(.+)$/.exec(ref);
+  const target = match && ExportSchema.getSchema().definitions?.[match[1]];
+  if (!target) {
+    throw new Error(`Export schema: unresolvable $ref "${ref}"`);
+  }
+  return target;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(node) {
+  if (node.$ref) {
+    node = resolveRef(node.$ref);
+  }
+  return node.type ? [].concat(node.type).join("|") : "value";
+}
+
+function issue(at, keyword, expected, actual, message) {
+  // Objects and arrays are summarized by their type to keep the result file small
+  const shown = typeof actual === "object" && actual !== null ? (Array.isArray(actual) ? "array" : "object") : actual;
+  return { path: at, keyword, expected, actual: shown, message };
+}
+
+function join(at, key) {
+  return at ? `${at}.${key}` : key;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+ExportSchema.SCHEMA_PATH = SCHEMA_PATH;
+
+module.exports = ExportSchema;
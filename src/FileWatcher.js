@@ -0,0 +1,194 @@
+// path: src/FileWatcher.js
+/**
+ * Watches a folder tree for new and changed files (recursive fs.watch) in
+ * autorun watch mode.
+ *
+ * Events are debounced, and a file is only reported once it is stable - size
+ * and mtime unchanged for `stableMs` - so exports still being written by the
+ * CAM station are not read half-way. fs.watch can miss events (network shares)
+ * or not work at all, so the Executor keeps running periodic full scans and
+ * falls back to them entirely when watching fails.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logInfo, logWarn } = require("../utils/Logger");
+
+const POLL_INTERVAL_MS = 1000; // How often pending files are checked for stability
+
+class FileWatcher {
+  /**
+   * @param {Object} options - { filter(filePath): true to watch the file, debounceMs: quiet time after
+   *   the last event before files are checked, stableMs: time a file must stay unchanged }
+   */
+  constructor(options = {}) {
+    this.filter = options.filter || (() => true);
+    this.debounceMs = options.debounceMs || 0;
+    this.stableMs = options.stableMs || 0;
+
+    this.rootPath = null;
+    this.watcher = null;
+    this.pending = new Map(); // filePath -> { size, mtimeMs, changedAt } - waiting to become stable
+    this.ready = new Set(); // Stable files not picked up yet
+    this.fullScanNeeded = false; // An event without a file name - only a full scan can tell what changed
+    this.lastEventAt = 0;
+    this.timer = null;
+    this.waiter = null; // { resolve, timer } of waitForChanges()
+  }
+
+  /**
+   * Starts watching a folder tree.
+   * @param {string} rootPath - Folder to watch (recursively)
+   * @returns {boolean} - False if the file system doesn't support watching it
+   */
+  start(rootPath) {
+    this.stop();
+    this.rootPath = rootPath;
+
+    try {
+      this.watcher = fs.watch(rootPath, { recursive: true }, (eventType, fileName) =>
+        this.onEvent(fileName)
+      );
+    } catch (err) {
+      logWarn(`👀 Cannot watch ${rootPath}: ${err.message}`);
+      this.watcher = null;
+      return false;
+    }
+
+    this.watcher.on("error", (err) => {
+      logWarn(`👀 Watching ${this.rootPath} failed: ${err.message}`);
+      this.closeWatcher();
+      // What changed since the last event is unknown now
+      this.fullScanNeeded = true;
+      this.deliver();
+    });
+
+    logInfo(`👀 Watching ${rootPath} for changed exports`);
+    return true;
+  }
+
+  /**
+   * Stops watching; a pending waitForChanges() resolves with null.
+   */
+  stop() {
+    this.closeWatcher();
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+    this.ready.clear();
+    this.fullScanNeeded = false;
+    this.resolveWaiter(null);
+  }
+
+  /**
+   * @returns {boolean} - True while file system events are being received
+   */
+  isWatching() {
+    return this.watcher !== null;
+  }
+
+  /**
+   * Waits for stable changed files.
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Promise<Object|null>} - { files: stable changed files (sorted), fullScan: true if changes
+   *   were lost and a full scan is needed }, or null on timeout or stop()
+   */
+  waitForChanges(timeoutMs) {
+    this.resolveWaiter(null);
+
+    return new Promise((resolve) => {
+      this.waiter = {
+        resolve,
+        timer: setTimeout(() => this.resolveWaiter(null), timeoutMs),
+      };
+      this.deliver();
+    });
+  }
+
+  onEvent(fileName) {
+    this.lastEventAt = Date.now();
+
+    if (!fileName) {
+      this.fullScanNeeded = true;
+    } else {
+      const filePath = path.join(this.rootPath, fileName.toString());
+      if (!this.filter(filePath)) {
+        return;
+      }
+      this.pending.set(filePath, { size: null, mtimeMs: null, changedAt: this.lastEventAt });
+    }
+    this.schedule();
+  }
+
+  schedule() {
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.checkPending(), POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Moves files that stayed unchanged for stableMs from pending to ready.
+   */
+  checkPending() {
+    this.timer = null;
+    const now = Date.now();
+
+    if (now - this.lastEventAt >= this.debounceMs) {
+      for (const [filePath, seen] of this.pending) {
+        let stats;
+        try {
+          stats = fs.statSync(filePath);
+        } catch (err) {
+          this.pending.delete(filePath); // Deleted or renamed again - the full scans handle removals
+          continue;
+        }
+
+        if (stats.size !== seen.size || stats.mtimeMs !== seen.mtimeMs) {
+          Object.assign(seen, { size: stats.size, mtimeMs: stats.mtimeMs, changedAt: now });
+        } else if (now - seen.changedAt >= this.stableMs) {
+          this.pending.delete(filePath);
+          this.ready.add(filePath);
+        }
+      }
+    }
+
+    if (this.pending.size > 0 || this.fullScanNeeded) {
+      this.schedule();
+    }
+    this.deliver();
+  }
+
+  /**
+   * Hands the ready files to a waiting waitForChanges() - once events have
+   * settled, so files changed together are picked up together.
+   */
+  deliver() {
+    const settled = Date.now() - this.lastEventAt >= this.debounceMs || !this.isWatching();
+    if (!this.waiter || !settled || (this.ready.size === 0 && !this.fullScanNeeded)) {
+      return;
+    }
+
+    const changes = { files: Array.from(this.ready).sort(), fullScan: this.fullScanNeeded };
+    this.ready.clear();
+    this.fullScanNeeded = false;
+    this.resolveWaiter(changes);
+  }
+
+  resolveWaiter(value) {
+    if (this.waiter) {
+      const { resolve, timer } = this.waiter;
+      clearTimeout(timer);
+      this.waiter = null;
+      resolve(value);
+    }
+  }
+
+  closeWatcher() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = FileWatcher;
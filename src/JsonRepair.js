@@ -0,0 +1,603 @@
+// path: src/JsonRepair.js
+/**
+ * Tolerant JSON parser for hyperMILL exports.
+ *
+ * Parses the export like JSON.parse, but repairs what post-processors commonly
+ * get wrong and records every repair, so the post-processor can be fixed:
+ *
+ *   bom                a leading byte order mark is removed
+ *   control_character  raw control characters (inside or outside strings) are removed
+ *   single_quotes      'text' strings and keys are read as "text"
+ *   nan, infinity      NaN, Infinity and -Infinity become null
+ *   trailing_comma     commas before "]" or "}" are removed
+ *   comma_decimal      12,5 as an object value (Hungarian locale) is read as 12.5 -
+ *                      array elements are left alone, [12,5] is two numbers
+ *   duplicate_key      the last value is used (as JSON.parse does), the repair names both
+ *   truncated          an export that ends early loses its incomplete last array
+ *                      element and the open arrays/objects are closed
+ *
+ * Repair: { kind, path, line, column, offset (bytes), before, after, message }
+ * - `path` is the field the repair belongs to (e.g. "operations[3].operationTime")
+ * and `before`/`after` are the surrounding snippet of the export as read and as repaired.
+ *
+ * parseFile() reads the file in chunks and only keeps a small window of it in
+ * memory; with `streamArray` the elements of that top-level array are handed to
+ * `onItem` one by one instead of being collected, so large exports are never
+ * held in memory as a whole.
+ *
+ * Anything else that is not JSON throws a SyntaxError with the line and column.
+ */
+
+const fs = require("fs");
+const { StringDecoder } = require("string_decoder");
+
+const CHUNK_SIZE = 64 * 1024; // Bytes read from the file at a time
+const KEEP_BEHIND = 256; // Characters kept before the read position for repair snippets
+const TOKEN_LOOKAHEAD = 512; // Characters loaded ahead before reading a number or literal
+const CONTEXT_LENGTH = 12; // Characters of context on each side of a repair snippet
+const PREVIEW_LENGTH = 40; // Characters of a dropped element or duplicate value kept in a snippet
+const LITERALS = { true: true, false: false, null: null };
+const NUMBER_PATTERN = /-?\d+(\.\d+)?([eE][+-]?\d+)?/y;
+const DIGITS_PATTERN = /\d+/y;
+const WORD_PATTERN = /[A-Za-z]+/y;
+const ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+// Thrown when the export ends inside a value; caught by the enclosing array (or root object)
+class TruncatedError extends Error {}
+
+class JsonRepair {
+  /**
+   * @param {string} text - Export content (or "" when reading from `options.fd`)
+   * @param {Object} options - { fd, streamArray, onItem } (see parseFile)
+   */
+  constructor(text, options = {}) {
+    this.text = text; // Window of the export: characters from `base` on
+    this.base = 0; // Character offset of text[0] in the export
+    this.pos = 0; // Read position in `text`
+    this.fd = options.fd ?? null; // File still being read, null once it is exhausted
+    this.buffer = this.fd !== null ? Buffer.alloc(CHUNK_SIZE) : null;
+    this.decoder = new StringDecoder("utf8");
+    this.streamArray = options.streamArray || null;
+    this.onItem = options.onItem || null;
+
+    this.depth = 0; // Open arrays and objects
+    this.arrayDepth = 0; // Open arrays
+    this.truncation = null; // { start, path, closers, preview } once the end of a truncated export was reached
+    this.repairs = [];
+    this.cursor = { offset: 0, line: 1, column: 1, bytes: 0 }; // Last located position
+    this.baseCursor = this.cursor; // Location of `base`
+  }
+
+  /**
+   * Parses an export held in memory, repairing it where needed.
+   * @param {string} text - Export content
+   * @returns {{data: *, repairs: Array<Object>}} - Parsed export and the repairs made, in file order
+   * @throws {SyntaxError} - If the export cannot be repaired
+   */
+  static parse(text) {
+    const parser = new JsonRepair(text);
+    const data = parser.parseDocument();
+    return { data, repairs: parser.repairs };
+  }
+
+  /**
+   * Parses an export file in one streaming pass.
+   * @param {string} filePath - Export file
+   * @param {Object} options - { streamArray: top-level array property to stream (e.g. "operations"),
+   *                             onItem(item, index): receives its elements; the property is left as [] }
+   * @returns {{data: *, repairs: Array<Object>}} - Parsed export and the repairs made, in file order
+   * @throws {SyntaxError} - If the export cannot be repaired (file system errors are passed on)
+   */
+  static parseFile(filePath, options = {}) {
+    const fd = fs.openSync(filePath, "r");
+    try {
+      const parser = new JsonRepair("", { ...options, fd });
+      const data = parser.parseDocument();
+      return { data, repairs: parser.repairs };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  parseDocument() {
+    this.ensure(1);
+    if (this.text.charCodeAt(0) === 0xfeff) {
+      const context = this.text.slice(1, 1 + CONTEXT_LENGTH);
+      this.record("bom", null, 0, 1, "", "Byte order mark removed", {
+        before: `<BOM>${context}`,
+        after: context,
+      });
+      this.pos = 1;
+    }
+
+    this.skipWhitespace();
+    if (this.atEnd()) {
+      throw this.error("Export is empty");
+    }
+
+    let data;
+    try {
+      data = this.parseValue("");
+    } catch (err) {
+      throw err instanceof TruncatedError ? this.error("Export ends inside its first value") : err;
+    }
+
+    if (this.truncation) {
+      const { start, path, closers, preview } = this.truncation;
+      const dropped = preview.trim();
+      const context = this.slice(start - CONTEXT_LENGTH, start);
+      this.record("truncated", path, start, this.offset(), closers, `Export ends early - ${
+        dropped ? "incomplete element dropped, " : ""
+      }closed with "${closers}"`, { before: context + shortened(dropped), after: context.replace(/,\s*$/, "") + closers });
+    }
+
+    this.skipWhitespace();
+    if (!this.atEnd()) {
+      throw this.error(`Unexpected "${this.text[this.pos]}" after the end of the export`);
+    }
+    return data;
+  }
+
+  parseValue(path, isMemberValue = false) {
+    this.skipWhitespace();
+    if (this.atEnd()) {
+      throw this.truncated();
+    }
+
+    const char = this.text[this.pos];
+    if (char === "{") return this.parseObject(path);
+    if (char === "[") return this.parseArray(path);
+    if (char === '"' || char === "'") return this.parseString(path);
+    if (char === "-" || (char >= "0" && char <= "9")) return this.parseNumber(path, isMemberValue);
+    return this.parseLiteral(path);
+  }
+
+  parseObject(path) {
+    const object = {};
+    let expectMember = true;
+    let commaStart = -1;
+
+    this.pos++; // "{"
+    this.depth++;
+    try {
+      for (;;) {
+        this.skipWhitespace();
+        if (this.atEnd()) {
+          // Inside an array the whole object is dropped instead (see parseArray)
+          if (!this.truncation && this.arrayDepth > 0) throw this.truncated();
+          return this.closeTruncated(object, path, "}");
+        }
+
+        const char = this.text[this.pos];
+        if (char === "}") {
+          if (expectMember && commaStart >= 0) this.recordTrailingComma(path, commaStart);
+          this.pos++;
+          return object;
+        }
+        if (!expectMember) {
+          if (char !== ",") throw this.error(`Expected "," or "}" in ${path || "export"}`);
+          commaStart = this.offset();
+          this.pos++;
+          expectMember = true;
+          continue;
+        }
+
+        const memberStart = this.offset();
+        let key;
+        let value;
+        let duplicate = null; // { location, previous } of a repeated key
+        try {
+          if (char !== '"' && char !== "'") throw this.error(`Expected a property name in ${path || "export"}`);
+          key = this.parseString(path);
+          if (Object.prototype.hasOwnProperty.call(object, key)) {
+            duplicate = { location: this.locate(memberStart), previous: object[key] };
+          }
+
+          this.skipWhitespace();
+          if (this.atEnd()) throw this.truncated();
+          if (this.text[this.pos] !== ":") throw this.error(`Expected ":" after "${key}"`);
+          this.pos++;
+
+          this.skipWhitespace();
+          value =
+            this.depth === 1 && key === this.streamArray && !this.atEnd() && this.text[this.pos] === "["
+              ? this.parseArray(key, this.onItem)
+              : this.parseValue(join(path, key), true);
+        } catch (err) {
+          if (!(err instanceof TruncatedError) || this.arrayDepth > 0) throw err;
+          this.truncate(memberStart, key === undefined ? path : join(path, key));
+          return this.closeTruncated(object, path, "}");
+        }
+
+        if (duplicate) {
+          this.record("duplicate_key", join(path, key), memberStart, this.offset(), null,
+            `Duplicate key "${key}" in ${path || "export"} - the last value is used`, {
+              before: `"${key}": ${shortened(JSON.stringify(duplicate.previous))}`,
+              after: `"${key}": ${shortened(JSON.stringify(value))}`,
+            }, duplicate.location);
+        }
+        setProperty(object, key, value);
+        expectMember = false;
+      }
+    } finally {
+      this.depth--;
+    }
+  }
+
+  /**
+   * @param {string} path - Path of the array
+   * @param {Function|null} onItem - Receives the elements instead of the returned array
+   */
+  parseArray(path, onItem = null) {
+    const items = [];
+    let count = 0;
+    let expectValue = true;
+    let commaStart = -1;
+
+    this.pos++; // "["
+    this.depth++;
+    this.arrayDepth++;
+    try {
+      for (;;) {
+        this.skipWhitespace();
+        if (this.atEnd()) {
+          return this.closeTruncated(items, path, "]");
+        }
+
+        const char = this.text[this.pos];
+        if (char === "]") {
+          if (expectValue && commaStart >= 0) this.recordTrailingComma(path, commaStart);
+          this.pos++;
+          return items;
+        }
+        if (!expectValue) {
+          if (char !== ",") throw this.error(`Expected "," or "]" in ${path || "export"}`);
+          commaStart = this.offset();
+          this.pos++;
+          expectValue = true;
+          continue;
+        }
+
+        const elementStart = this.offset();
+        const elementPath = `${path}[${count}]`;
+        let item;
+        try {
+          item = this.parseValue(elementPath);
+        } catch (err) {
+          if (!(err instanceof TruncatedError)) throw err;
+          this.truncate(elementStart, elementPath);
+          return this.closeTruncated(items, path, "]");
+        }
+
+        if (onItem) {
+          onItem(item, count);
+        } else {
+          items.push(item);
+        }
+        count++;
+        expectValue = false;
+      }
+    } finally {
+      this.depth--;
+      this.arrayDepth--;
+    }
+  }
+
+  parseString(path) {
+    const quote = this.text[this.pos];
+    const start = this.offset();
+    let value = "";
+    let chunkStart = ++this.pos;
+
+    for (;;) {
+      if (this.pos >= this.text.length) {
+        value += this.text.slice(chunkStart, this.pos);
+        if (this.atEnd()) throw this.truncated();
+        chunkStart = this.pos;
+      }
+
+      const code = this.text.charCodeAt(this.pos);
+      const char = this.text[this.pos];
+      if (char === quote) {
+        value += this.text.slice(chunkStart, this.pos++);
+        break;
+      }
+      if (char === "\\") {
+        value += this.text.slice(chunkStart, this.pos) + this.parseEscape(quote);
+        chunkStart = this.pos;
+      } else if (code < 0x20) {
+        value += this.text.slice(chunkStart, this.pos);
+        const controlStart = this.offset();
+        while (!this.atEnd() && this.text.charCodeAt(this.pos) < 0x20) this.pos++;
+        this.record("control_character", path, controlStart, this.offset(), "", "Control character(s) removed from a string");
+        chunkStart = this.pos;
+      } else {
+        this.pos++;
+      }
+    }
+
+    if (quote === "'") {
+      this.record("single_quotes", path, start, this.offset(), JSON.stringify(value), "Single-quoted string read as double-quoted");
+    }
+    return value;
+  }
+
+  parseEscape(quote) {
+    this.ensure(6);
+    const char = this.text[this.pos + 1];
+    if (char === undefined) {
+      throw this.truncated();
+    }
+    if (char === "u") {
+      const hex = this.text.slice(this.pos + 2, this.pos + 6);
+      if (hex.length < 4 && this.pos + 2 + hex.length === this.text.length) throw this.truncated();
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw this.error(`Invalid unicode escape "\\u${hex}"`);
+      this.pos += 6;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    if (ESCAPES[char] !== undefined || (char === "'" && quote === "'")) {
+      this.pos += 2;
+      return ESCAPES[char] ?? char;
+    }
+    throw this.error(`Invalid escape "\\${char}"`);
+  }
+
+  parseNumber(path, isMemberValue) {
+    this.ensure(TOKEN_LOOKAHEAD);
+    const start = this.offset();
+    if (this.text.startsWith("-Infinity", this.pos)) {
+      this.pos += "-Infinity".length;
+      this.record("infinity", path, start, this.offset(), "null", "-Infinity replaced by null");
+      return null;
+    }
+
+    NUMBER_PATTERN.lastIndex = this.pos;
+    const match = NUMBER_PATTERN.exec(this.text);
+    if (!match) {
+      if (this.pos + 1 >= this.text.length) throw this.truncated();
+      throw this.error(`Invalid number in ${path || "export"}`);
+    }
+    this.pos += match[0].length;
+
+    // "12,5" where the next property name is expected can only be a decimal comma
+    if (isMemberValue && !match[1] && !match[2] && this.text[this.pos] === ",") {
+      DIGITS_PATTERN.lastIndex = this.pos + 1;
+      const fraction = DIGITS_PATTERN.exec(this.text);
+      if (fraction) {
+        const repaired = `${match[0]}.${fraction[0]}`;
+        this.pos += 1 + fraction[0].length;
+        this.record("comma_decimal", path, start, this.offset(), repaired, `Decimal comma read as "${repaired}"`);
+        return Number(repaired);
+      }
+    }
+
+    // A number that runs to the end of the export may have lost digits
+    if (this.pos >= this.text.length && this.depth > 0) {
+      throw this.truncated();
+    }
+    return Number(match[0]);
+  }
+
+  parseLiteral(path) {
+    this.ensure(TOKEN_LOOKAHEAD);
+    const start = this.offset();
+    WORD_PATTERN.lastIndex = this.pos;
+    const match = WORD_PATTERN.exec(this.text);
+    const word = match ? match[0] : this.text[this.pos];
+
+    if (Object.prototype.hasOwnProperty.call(LITERALS, word)) {
+      this.pos += word.length;
+      return LITERALS[word];
+    }
+    if (word === "NaN" || word === "Infinity") {
+      this.pos += word.length;
+      this.record(word === "NaN" ? "nan" : "infinity", path, start, this.offset(), "null", `${word} replaced by null`);
+      return null;
+    }
+    if (this.pos + word.length >= this.text.length && ["true", "false", "null", "NaN", "Infinity"].some((literal) => literal.startsWith(word))) {
+      throw this.truncated();
+    }
+
+    throw this.error(`Unexpected "${word}" in ${path || "export"}`);
+  }
+
+  skipWhitespace() {
+    while (!this.atEnd()) {
+      const code = this.text.charCodeAt(this.pos);
+      if (code === 0x20 || code === 0x09 || code === 0x0a || code === 0x0d) {
+        this.pos++;
+      } else if (code < 0x20) {
+        const start = this.offset();
+        while (!this.atEnd() && isStrayControl(this.text.charCodeAt(this.pos))) this.pos++;
+        this.record("control_character", null, start, this.offset(), "", "Control character(s) removed");
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * The export ends inside the current value: skips to the end and signals the enclosing array.
+   * @returns {TruncatedError} - Error to throw
+   */
+  truncated() {
+    this.pos = this.text.length;
+    return new TruncatedError();
+  }
+
+  /**
+   * Remembers where a truncated export loses its incomplete element.
+   * @param {number} start - Offset of the dropped element
+   * @param {string} path - Path of the dropped element
+   */
+  truncate(start, path) {
+    this.truncation = { start, path, closers: "", preview: this.slice(start, start + PREVIEW_LENGTH + 1) };
+  }
+
+  /**
+   * Closes an array or object at the end of a truncated export.
+   * @param {Array|Object} value - The value read so far
+   * @param {string} path - Path of the value
+   * @param {string} closer - "]" or "}"
+   * @returns {Array|Object} - The value
+   */
+  closeTruncated(value, path, closer) {
+    if (!this.truncation) {
+      this.truncate(this.offset(), path);
+    }
+    this.truncation.closers += closer;
+    return value;
+  }
+
+  recordTrailingComma(path, commaStart) {
+    this.record("trailing_comma", path || null, commaStart, commaStart + 1, "", "Trailing comma removed");
+  }
+
+  /**
+   * Records a repair.
+   * @param {string} kind - Repair kind (see the module comment)
+   * @param {string|null} path - Field the repair belongs to
+   * @param {number} start - Offset of the repaired text (characters)
+   * @param {number} end - End offset of the repaired text (characters, exclusive)
+   * @param {string|null} replacement - Text the repaired span was replaced by
+   * @param {string} message - Human-readable description
+   * @param {Object} snippets - Explicit { before, after } instead of the surrounding text
+   * @param {Object} location - Location of `start` when it was taken earlier (see locate)
+   */
+  record(kind, path, start, end, replacement, message, snippets = null, location = null) {
+    const before = snippets
+      ? snippets.before
+      : this.slice(start - CONTEXT_LENGTH, end + CONTEXT_LENGTH);
+    const after = snippets
+      ? snippets.after
+      : this.slice(start - CONTEXT_LENGTH, start) + replacement + this.slice(end, end + CONTEXT_LENGTH);
+    const { line, column, bytes } = location || this.locate(start);
+
+    this.repairs.push({
+      kind,
+      path: path || null,
+      line,
+      column,
+      offset: bytes,
+      before: compact(before),
+      after: compact(after),
+      message,
+    });
+  }
+
+  /**
+   * Line, column and byte offset (UTF-8) of a character offset. The scan
+   * continues from the last located position, or from the start of the window.
+   * @param {number} offset - Character offset in the export
+   * @returns {Object} - { offset, line, column, bytes }
+   */
+  locate(offset) {
+    const from = this.cursor.offset <= offset && this.cursor.offset >= this.base ? this.cursor : this.baseCursor;
+    let { line, column, bytes } = from;
+    let index = from.offset;
+    const target = Math.max(offset, index); // Text before the window is gone - use its start
+
+    for (; index < target; index++) {
+      const code = this.text.charCodeAt(index - this.base);
+      if (code === 0x0a) {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code >= 0xd800 && code <= 0xdfff ? 2 : 3; // Each surrogate half counts 2 of the 4 bytes
+    }
+
+    this.cursor = { offset: index, line, column, bytes };
+    return this.cursor;
+  }
+
+  error(message) {
+    const { line, column } = this.locate(this.base + Math.min(this.pos, this.text.length));
+    return new SyntaxError(`${message} (line ${line}, column ${column})`);
+  }
+
+  offset() {
+    return this.base + this.pos;
+  }
+
+  /**
+   * Text of the window between two offsets (clamped to what is still in memory).
+   */
+  slice(from, to) {
+    return this.text.slice(Math.max(0, from - this.base), Math.max(0, to - this.base));
+  }
+
+  /**
+   * Checks for the end of the export, reading the next chunk of the file if needed.
+   * @returns {boolean} - True if there is nothing left to read
+   */
+  atEnd() {
+    while (this.pos >= this.text.length) {
+      if (!this.fill()) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Reads ahead until `count` characters after the read position are loaded (or the file ends).
+   */
+  ensure(count) {
+    while (this.text.length - this.pos < count && this.fill()) {
+      // Keep reading
+    }
+  }
+
+  /**
+   * Appends the next chunk of the file to the window, dropping what was read
+   * except the last KEEP_BEHIND characters.
+   * @returns {boolean} - False once the file is exhausted
+   */
+  fill() {
+    if (this.fd === null) {
+      return false;
+    }
+
+    const bytesRead = fs.readSync(this.fd, this.buffer, 0, CHUNK_SIZE, null);
+    const chunk = bytesRead > 0 ? this.decoder.write(this.buffer.subarray(0, bytesRead)) : this.decoder.end();
+    if (bytesRead === 0) {
+      this.fd = null;
+    }
+
+    const drop = this.pos - KEEP_BEHIND;
+    if (drop > 0) {
+      this.baseCursor = this.locate(this.base + drop);
+      this.text = this.text.slice(drop);
+      this.pos -= drop;
+      this.base += drop;
+    }
+    this.text += chunk;
+    return chunk.length > 0 || this.fd !== null;
+  }
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function setProperty(object, key, value) {
+  if (key === "__proto__") {
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    object[key] = value;
+  }
+}
+
+function isStrayControl(code) {
+  return code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d;
+}
+
+function shortened(text = "") {
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text;
+}
+
+function compact(snippet) {
+  return snippet.replace(/[ \t\r\n]+/g, " ");
+}
+
+module.exports = JsonRepair;
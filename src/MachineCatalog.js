@@ -0,0 +1,207 @@
+// path: src/MachineCatalog.js
+/**
+ * MachineCatalog describes the shop's machines, keyed by machine ID:
+ *
+ *   { "version": 1,
+ *     "machines": { "DMU100P": { aliases, controller, maxSpindleSpeed, maxFeed,
+ *                                toolMagazineSize, maxToolLength, maxStickOut,
+ *                                probe, autoCorrectionMandatory } } }
+ *
+ * Project resolves the machine name from its JSON against the IDs and aliases
+ * (case and whitespace insensitive, no substring matching) into
+ * `project.machineProfile`, so rules can read machine capabilities and limits
+ * instead of comparing machine names. Unresolved names are reported by the
+ * KnownMachine rule.
+ *
+ * The catalog ships as rules/machines/default.json (override with
+ * MACHINE_CATALOG_PATH). Limits left null are unknown and not checked.
+ */
+
+const fs = require("fs");
+const config = require("../config");
+const { logWarn } = require("../utils/Logger");
+
+const NUMBER_FIELDS = [
+  "maxSpindleSpeed",
+  "maxFeed",
+  "toolMagazineSize",
+  "maxToolLength",
+  "maxStickOut",
+];
+const STRING_FIELDS = ["controller", "probe"];
+const CAPABILITIES = ["autoCorrectionMandatory"]; // Boolean fields, usable in appliesTo.machineCapabilities
+
+let shared = null;
+
+class MachineCatalog {
+  /**
+   * @param {string|null} filePath - Catalog JSON file, or null to keep the catalog in memory only
+   * @param {Object} machines - Initial machines for an in-memory catalog, keyed by machine ID
+   */
+  constructor(filePath = config.machineCatalog.path, machines = {}) {
+    this.filePath = filePath;
+    this.memory = filePath ? null : MachineCatalog.normalizeMachines(machines, "<inline>");
+    this.cache = null; // { mtimeMs, machines } of the last file read
+  }
+
+  /**
+   * The catalog used by Project and the rules.
+   * @returns {MachineCatalog} - Shared catalog instance
+   */
+  static getShared() {
+    if (!shared) {
+      shared = new MachineCatalog();
+    }
+    return shared;
+  }
+
+  /**
+   * Replaces the shared catalog.
+   * @param {MachineCatalog|null} catalog - New shared catalog, null to reset to the configured file
+   * @returns {MachineCatalog|null} - The previous shared catalog
+   */
+  static setShared(catalog) {
+    const previous = shared;
+    shared = catalog;
+    return previous;
+  }
+
+  /**
+   * Reads the catalog. The file is only parsed again when it changed on disk.
+   * @returns {Object} - Machines keyed by machine ID
+   */
+  load() {
+    if (this.memory) {
+      return this.memory;
+    }
+    if (!fs.existsSync(this.filePath)) {
+      logWarn(`Machine catalog not found: ${this.filePath}`);
+      return {};
+    }
+
+    try {
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (!this.cache || this.cache.mtimeMs !== mtimeMs) {
+        const machines = JSON.parse(fs.readFileSync(this.filePath, "utf8")).machines || {};
+        this.cache = { mtimeMs, machines: MachineCatalog.normalizeMachines(machines, this.filePath) };
+      }
+      return this.cache.machines;
+    } catch (error) {
+      logWarn(`Failed to read machine catalog ${this.filePath}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Lists the catalog entries.
+   * @returns {Array<Object>} - Machine profiles with their `id`, sorted by ID
+   */
+  list() {
+    return Object.entries(this.load())
+      .map(([id, entry]) => ({ id, ...entry }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Resolves a machine name from a project JSON.
+   * @param {string|null} machineName - e.g. "DMU 100P duoblock Minus"
+   * @returns {Object|null} - Machine profile ({ id, aliases, ... }), null if unknown
+   */
+  resolve(machineName) {
+    if (!machineName) {
+      return null;
+    }
+
+    const key = MachineCatalog.normalizeName(machineName);
+    for (const [id, entry] of Object.entries(this.load())) {
+      const names = [id, ...entry.aliases].map(MachineCatalog.normalizeName);
+      if (names.includes(key)) {
+        return { id, ...entry };
+      }
+    }
+    return null;
+  }
+
+  static normalizeName(name) {
+    return String(name).trim().replace(/\s+/g, " ").toLowerCase();
+  }
+
+  /**
+   * Normalizes raw entries; invalid entries are skipped with a warning.
+   * @param {Object} machines - Raw entries keyed by machine ID
+   * @param {string} source - Catalog source (for messages)
+   * @returns {Object} - Normalized entries keyed by machine ID
+   */
+  static normalizeMachines(machines, source) {
+    const normalized = {};
+    const seen = new Map(); // normalized name -> machine ID
+
+    for (const [id, raw] of Object.entries(machines)) {
+      const { entry, error } = normalizeEntry(id, raw);
+      if (error) {
+        logWarn(`Machine catalog ${source}: ${error} - entry ignored`);
+        continue;
+      }
+
+      const duplicate = [id, ...entry.aliases]
+        .map(MachineCatalog.normalizeName)
+        .find((name) => seen.has(name));
+      if (duplicate) {
+        logWarn(
+          `Machine catalog ${source}: ${id}: name "${duplicate}" already belongs to ${seen.get(
+            duplicate
+          )} - entry ignored`
+        );
+        continue;
+      }
+
+      [id, ...entry.aliases].forEach((name) => seen.set(MachineCatalog.normalizeName(name), id));
+      normalized[id] = entry;
+    }
+    return normalized;
+  }
+}
+
+/**
+ * Validates one catalog entry.
+ * @param {string} id - Machine ID
+ * @param {Object} raw - Raw entry
+ * @returns {Object} - { entry } or { error }
+ */
+function normalizeEntry(id, raw) {
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    return { error: `${id}: expected an object` };
+  }
+
+  const aliases = raw.aliases || [];
+  if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== "string" || !alias)) {
+    return { error: `${id}: aliases must be a list of machine names` };
+  }
+
+  const entry = { aliases };
+  for (const field of STRING_FIELDS) {
+    if (raw[field] !== undefined && raw[field] !== null && typeof raw[field] !== "string") {
+      return { error: `${id}: ${field} must be a string` };
+    }
+    entry[field] = raw[field] || null;
+  }
+  for (const field of NUMBER_FIELDS) {
+    const value = raw[field];
+    if (value !== undefined && value !== null && !(Number.isFinite(value) && value > 0)) {
+      return { error: `${id}: ${field} must be a positive number, got ${JSON.stringify(value)}` };
+    }
+    entry[field] = value ?? null;
+  }
+  for (const field of CAPABILITIES) {
+    if (raw[field] !== undefined && typeof raw[field] !== "boolean") {
+      return { error: `${id}: ${field} must be true or false` };
+    }
+    entry[field] = raw[field] === true;
+  }
+
+  return { entry };
+}
+
+MachineCatalog.CAPABILITIES = CAPABILITIES;
+
+module.exports = MachineCatalog;
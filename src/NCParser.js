@@ -0,0 +1,349 @@
+// path: src/NCParser.js
+/**
+ * NCParser tokenizes Heidenhain conversational (.h) NC programs into blocks
+ * (TOOL CALL, L/C/CC moves, RL/RR/R0, M-functions, CYCL DEF, LBL, job markers)
+ * with their line numbers, so rules can check the actual NC code instead of
+ * searching the file for substrings.
+ *
+ * hyperMILL writes one job marker comment per operation (e.g. ";JOB: 3: KPF16 M9x1"),
+ * which is how blocks are linked back to the operations in the project JSON.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// First word(s) of a block -> block type
+const BLOCK_TYPES = [
+  ["BEGIN PGM", "begin_pgm"],
+  ["END PGM", "end_pgm"],
+  ["TOOL CALL", "tool_call"],
+  ["TOOL DEF", "tool_def"],
+  ["CYCL DEF", "cycle_def"],
+  ["CYCL CALL", "cycle_call"],
+  ["CALL LBL", "label_call"],
+  ["CALL PGM", "program_call"],
+  ["LBL", "label"],
+  ["APPR", "approach"],
+  ["DEP", "depart"],
+  ["CC", "circle_center"],
+  ["CR", "circular"],
+  ["CT", "circular"],
+  ["CP", "circular"],
+  ["C", "circular"],
+  ["LN", "linear"],
+  ["LP", "linear"],
+  ["L", "linear"],
+  ["RND", "rounding"],
+  ["CHF", "chamfer"],
+  ["FN", "parameter"],
+  ["STOP", "stop"],
+];
+
+const MOTION_TYPES = ["linear", "circular", "approach", "depart"];
+const JOB_MARKER = /\bJOB\s*:\s*(.*)$/i;
+
+/**
+ * A parsed NC program (one .h file).
+ */
+class NCProgram {
+  constructor(fileName, filePath = null) {
+    this.fileName = fileName; // e.g., "W5270NS01003A1.h"
+    this.filePath = filePath;
+    this.programName = null; // Name from BEGIN PGM
+    this.unit = null; // MM / INCH
+    this.blocks = []; // All blocks in file order
+    this.jobs = []; // Job sections split by job marker comments
+    this.operationJobs = new Map(); // Map<operationNumber, job> - filled by linkOperations()
+  }
+
+  /**
+   * Links JSON operations to job sections. An operation matches the job whose
+   * marker starts with its number ("3: ...") or with its description.
+   * @param {Array} operations - Operations of the NC file (CompoundJob.jobs)
+   */
+  linkOperations(operations) {
+    this.operationJobs.clear();
+
+    for (const operation of operations) {
+      const description = (operation.description || "").split("|||")[0].trim();
+      const job =
+        this.jobs.find(
+          (j) => j.number !== null && String(j.number) === String(operation.number)
+        ) ||
+        (description && this.jobs.find((j) => j.name.startsWith(description)));
+
+      if (job) {
+        job.operationNumbers.push(operation.number);
+        this.operationJobs.set(operation.number, job);
+      }
+    }
+  }
+
+  /**
+   * Gets the job section linked to an operation.
+   * @param {number|string} operationNumber - Operation number from the JSON
+   * @returns {Object|null} - Job section or null if not linked
+   */
+  getJobForOperation(operationNumber) {
+    return this.operationJobs.get(operationNumber) || null;
+  }
+
+  /**
+   * Gets the blocks of an operation's job, or of the whole program when the
+   * program has no job markers.
+   * @param {number|string} operationNumber - Operation number from the JSON
+   * @returns {Array|null} - Blocks, or null if the operation can't be located
+   */
+  getBlocksForOperation(operationNumber) {
+    const job = this.getJobForOperation(operationNumber);
+    if (job) return job.blocks;
+    return this.jobs.length === 0 ? this.blocks : null;
+  }
+
+  /**
+   * Finds blocks matching a predicate.
+   * @param {Function} predicate - (block) => boolean
+   * @param {Array} blocks - Blocks to search (defaults to the whole program)
+   * @returns {Array} - Matching blocks
+   */
+  findBlocks(predicate, blocks = this.blocks) {
+    return blocks.filter(predicate);
+  }
+
+  /**
+   * Checks whether an M-function is programmed in the given blocks.
+   * @param {number} code - M-function number (e.g., 110)
+   * @param {Array} blocks - Blocks to search (defaults to the whole program)
+   * @returns {Object|null} - First block with the M-function or null
+   */
+  findMFunction(code, blocks = this.blocks) {
+    return blocks.find((block) => block.mFunctions.includes(code)) || null;
+  }
+
+  /**
+   * Gets all tool calls in file order.
+   * @returns {Array} - TOOL CALL blocks
+   */
+  getToolCalls() {
+    return this.blocks.filter((block) => block.type === "tool_call");
+  }
+
+  getSummary() {
+    return {
+      fileName: this.fileName,
+      programName: this.programName,
+      blockCount: this.blocks.length,
+      jobCount: this.jobs.length,
+      toolCalls: this.getToolCalls().map((block) => block.tool),
+    };
+  }
+}
+
+class NCParser {
+  /**
+   * Reads and parses an NC file.
+   * @param {string} filePath - Path to the .h file
+   * @returns {NCProgram|null} - Parsed program or null if the file doesn't exist
+   */
+  static parseFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const content = fs.readFileSync(filePath, "utf8");
+    return NCParser.parse(content, path.basename(filePath), filePath);
+  }
+
+  /**
+   * Parses Heidenhain conversational NC code.
+   * @param {string} content - File content
+   * @param {string} fileName - NC file name
+   * @param {string} filePath - Optional source path
+   * @returns {NCProgram} - Parsed program
+   */
+  static parse(content, fileName, filePath = null) {
+    const program = new NCProgram(fileName, filePath);
+    const lines = content.split(/\r?\n/);
+    let currentJob = null;
+    let continued = null; // Block whose last line ended with "~"
+
+    lines.forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+      const text = rawLine.trim();
+      if (!text) return;
+
+      // Cycle parameters ("Q200=+2 ;SET-UP CLEARANCE ~") continue the previous block
+      if (continued) {
+        NCParser.addContinuation(continued, text, lineNumber);
+        if (!text.endsWith("~")) continued = null;
+        return;
+      }
+
+      const block = NCParser.parseBlock(text, lineNumber);
+      program.blocks.push(block);
+
+      if (block.type === "begin_pgm") {
+        const [, name, unit] = block.body.match(/^BEGIN PGM\s+(\S+)\s*(\S+)?/i) || [];
+        program.programName = name || null;
+        program.unit = unit || null;
+      }
+
+      if (block.type === "job_marker") {
+        currentJob = {
+          name: block.jobName,
+          number: block.jobNumber,
+          line: lineNumber,
+          blocks: [],
+          operationNumbers: [],
+        };
+        program.jobs.push(currentJob);
+      }
+
+      if (currentJob) {
+        currentJob.blocks.push(block);
+      }
+
+      if (text.endsWith("~")) {
+        continued = block;
+      }
+    });
+
+    return program;
+  }
+
+  /**
+   * Tokenizes one NC line into a block.
+   * @param {string} text - Trimmed line
+   * @param {number} lineNumber - 1-based line number in the file
+   * @returns {Object} - Block
+   */
+  static parseBlock(text, lineNumber) {
+    const [, blockNumber, rest] = text.match(/^(\d+)\s*(.*)$/) || [null, null, text];
+
+    // Split off the comment ("; ..." or "* - ...")
+    let body = rest;
+    let comment = null;
+    if (body.startsWith(";") || body.startsWith("*")) {
+      comment = body.replace(/^[;*]\s*-?\s*/, "");
+      body = "";
+    } else if (body.includes(";")) {
+      comment = body.slice(body.indexOf(";") + 1).trim();
+      body = body.slice(0, body.indexOf(";")).trim();
+    }
+    body = body.replace(/~$/, "").trim();
+
+    const block = {
+      line: lineNumber,
+      lines: [lineNumber],
+      blockNumber: blockNumber !== null ? parseInt(blockNumber, 10) : null,
+      type: "other",
+      text,
+      body,
+      comment,
+      mFunctions: [],
+      radiusCompensation: null, // RL / RR / R0
+      coordinates: {},
+      feed: null,
+      spindleSpeed: null,
+    };
+
+    if (!body) {
+      const jobMatch = comment && comment.match(JOB_MARKER);
+      if (jobMatch) {
+        const jobName = jobMatch[1].trim();
+        const numberMatch = jobName.match(/^(\d+)\s*:/);
+        block.type = "job_marker";
+        block.jobName = jobName;
+        block.jobNumber = numberMatch ? parseInt(numberMatch[1], 10) : null;
+      } else {
+        block.type = "comment";
+      }
+      return block;
+    }
+
+    const upperBody = body.toUpperCase();
+    const typeEntry = BLOCK_TYPES.find(
+      ([keyword]) => upperBody === keyword || upperBody.startsWith(`${keyword} `)
+    );
+    if (typeEntry) {
+      block.type = typeEntry[1];
+    } else if (/^Q\d+\s*=/.test(upperBody)) {
+      block.type = "parameter";
+    } else if (/^(M\d+\s*)+$/.test(upperBody)) {
+      block.type = "misc";
+    }
+
+    NCParser.parseWords(block, typeEntry ? body.slice(typeEntry[0].length) : body);
+
+    if (block.type === "tool_call") {
+      const [, tool, axis] =
+        body.match(/^TOOL CALL\s+("[^"]*"|\S+)\s*([XYZ])?/i) || [];
+      block.tool = tool ? tool.replace(/"/g, "") : null;
+      block.toolAxis = axis ? axis.toUpperCase() : null;
+    } else if (block.type === "cycle_def") {
+      const [, number, name] = body.match(/^CYCL DEF\s+([\d.]+)\s*(.*)$/i) || [];
+      block.cycle = { number: number || null, name: (name || "").trim(), parameters: {} };
+    } else if (block.type === "label") {
+      block.label = body.replace(/^LBL\s+/i, "").replace(/"/g, "");
+    } else if (block.type === "label_call") {
+      block.label = body.replace(/^CALL LBL\s+/i, "").split(/\s+/)[0].replace(/"/g, "");
+    }
+
+    return block;
+  }
+
+  /**
+   * Reads M-functions, radius compensation, coordinates, feed and speed from a block body.
+   * @param {Object} block - Block to fill
+   * @param {string} words - Block body without the leading keyword
+   */
+  static parseWords(block, words) {
+    for (const word of words.toUpperCase().split(/\s+/).filter(Boolean)) {
+      let match;
+      if ((match = word.match(/^M(\d+)$/))) {
+        block.mFunctions.push(parseInt(match[1], 10));
+      } else if (["RL", "RR", "R0"].includes(word)) {
+        block.radiusCompensation = word;
+      } else if ((match = word.match(/^(I?[XYZABC])([+-]?\d*\.?\d+)$/))) {
+        block.coordinates[match[1]] = parseFloat(match[2]);
+      } else if (word === "FMAX") {
+        block.feed = "MAX";
+      } else if ((match = word.match(/^F(\d*\.?\d+)$/))) {
+        block.feed = parseFloat(match[1]);
+      } else if ((match = word.match(/^S(\d*\.?\d+)$/))) {
+        block.spindleSpeed = parseFloat(match[1]);
+      }
+    }
+  }
+
+  /**
+   * Adds a continuation line ("~") to its block, e.g. cycle Q parameters.
+   * @param {Object} block - Block being continued
+   * @param {string} text - Trimmed continuation line
+   * @param {number} lineNumber - 1-based line number
+   */
+  static addContinuation(block, text, lineNumber) {
+    block.lines.push(lineNumber);
+    block.text += `\n${text}`;
+
+    const [, name, value] = text.match(/^(Q\d+)\s*=\s*([+-]?\d*\.?\d+)/i) || [];
+    if (name && block.cycle) {
+      block.cycle.parameters[name.toUpperCase()] = parseFloat(value);
+    } else {
+      NCParser.parseWords(block, text.split(";")[0].replace(/~$/, ""));
+    }
+  }
+
+  /**
+   * Checks if a block moves the tool.
+   * @param {Object} block - Parsed block
+   * @returns {boolean} - True for L/C/APPR/DEP moves
+   */
+  static isMotion(block) {
+    return MOTION_TYPES.includes(block.type);
+  }
+}
+
+NCParser.NCProgram = NCProgram;
+
+module.exports = NCParser;
@@ -6,9 +6,17 @@
 
 const fs = require("fs");
 const path = require("path");
+const { isMainThread } = require("worker_threads");
 const config = require("../config");
 const { logInfo, logError, logWarn } = require("../utils/Logger");
 const { ensureDirectory, getJsonFiles } = require("../utils/FileUtils");
+const RuleProfile = require("./RuleProfile");
+const RuleResult = require("./RuleResult");
+const NCParser = require("./NCParser");
+const ToolCatalog = require("./ToolCatalog");
+const MachineCatalog = require("./MachineCatalog");
+const ExportReader = require("./ExportReader");
+const eventBus = require("./EventBus");
 
 class Project {
   constructor(projectPath) {
@@ -16,10 +24,12 @@ class Project {
     this.name = path.basename(projectPath); // e.g., "W5270NS01003"
     this.position = null; // e.g., "A", "B" - extracted from JSON file name
     this.machine = null; // e.g., "DMU 100P duoblock Minus"
+    this.machineProfile = null; // Machine catalog entry for this.machine, null if unknown
     this.operator = null; // e.g., "aszilagyi"
 
     // File paths and structure
     this.jsonFilePath = null; // Path to the target JSON file
+    this.originalJsonFilePath = null; // Source JSON path when jsonFilePath is a temp copy
     this.machineFolder = null; // Path to machine subfolder
     this.hypermillFilePath = null; // HyperMILL CAD file reference
 
@@ -29,6 +39,10 @@ class Project {
     this.compoundJobs = new Map(); // Map<programName, CompoundJob> - NC files
     this.tools = new Map(); // Map<toolName, ToolInfo> - Tools used across all NC files
     this.totalOperationTime = 0; // Total time for all operations in this project
+    this.ncPrograms = new Map(); // Map<programName, NCProgram|null> - parsed .h files, loaded on demand
+
+    // Position projects found by initialize() (multi-clamping parts)
+    this.positions = new Map(); // Map<positionLetter, Project> - e.g. "A", "B"
 
     // Analysis results (stored before writing to file)
     this.analysisResults = {
@@ -43,6 +57,11 @@ class Project {
       processedAt: null,
       status: "pending", // pending, completed, error
     };
+    this.ruleSetVersion = null; // Rule set version used for the analysis (set by Executor)
+    this.waiverHash = null; // Active waivers when the project was queued (set by Scanner)
+    this.dataQuality = null; // Export schema validation result (set by loadJsonData)
+    this.repairs = null; // Repairs made to the JSON export, null until it was read (set by loadJsonData)
+    this.fatalError = null; // Message of the fatal error, if markAsFatalError() was called
 
     // Project status
     this.status = "initialized"; // initialized, ready, analyzing, completed, error
@@ -52,14 +71,19 @@ class Project {
   /**
    * Scans subdirectories to find target JSON files and loads project data.
    * Target files must match pattern: ProjectName + PositionLetter + .json
+   * Every position folder (A, B, C, ...) becomes its own position project
+   * with its own machine, operator, compound jobs and tools.
+   * @param {Object|null} loadOptions - Options passed to loadJsonData for every position,
+   *   null to only find the position files (they are loaded when processed, e.g. by the worker pool)
    * @returns {boolean} - True if initialization successful and files found
    */
-  initialize() {
+  initialize(loadOptions = {}) {
     try {
       // Extract project base name (e.g., "W5270NS01003" from full path)
       const projectBaseName = this.name;
 
       const subdirs = fs.readdirSync(this.projectPath, { withFileTypes: true });
+      this.positions.clear();
 
       for (const dir of subdirs) {
         if (dir.isDirectory()) {
@@ -70,7 +94,7 @@ class Project {
 
           if (positionMatch) {
             const positionName = positionMatch[1]; // W5270NS01003A
-            this.position = positionMatch[2]; // A
+            const positionLetter = positionMatch[2]; // A
 
             const positionFolder = path.join(this.projectPath, dir.name);
             const targetJsonPath = this.findTargetJsonFile(
@@ -79,32 +103,44 @@ class Project {
             );
 
             if (targetJsonPath) {
-              this.jsonFilePath = targetJsonPath;
-              this.machineFolder = path.dirname(targetJsonPath);
+              const positionProject = new Project(this.projectPath);
+              positionProject.position = positionLetter;
+              positionProject.jsonFilePath = targetJsonPath;
+              positionProject.machineFolder = path.dirname(targetJsonPath);
 
               // Load and parse JSON data
-              const loaded = this.loadJsonData();
+              const loaded =
+                loadOptions === null || positionProject.loadJsonData(loadOptions);
               if (loaded) {
-                this.isValid = true;
-                this.status = "ready";
+                positionProject.isValid = true;
+                positionProject.status = "ready";
+                this.positions.set(positionLetter, positionProject);
                 logInfo(
-                  `Initialized project "${this.getFullName()}" - ${this.getTotalJobCount()} operations, ${
-                    this.compoundJobs.size
-                  } NC files`
+                  loadOptions === null
+                    ? `Initialized position "${positionProject.getFullName()}" - export loaded when processed`
+                    : `Initialized position "${positionProject.getFullName()}" - ${positionProject.getTotalJobCount()} operations, ${
+                        positionProject.compoundJobs.size
+                      } NC files`
                 );
-                return true;
               }
             }
           }
         }
       }
 
-      this.status = "no_targets";
-      if (operatorFilter) {
+      if (this.positions.size > 0) {
+        this.isValid = true;
+        this.status = "ready";
         logInfo(
-          `No valid files found for operator "${operatorFilter}" in project "${this.name}"`
+          `Initialized project "${this.name}" with ${
+            this.positions.size
+          } position(s): ${Array.from(this.positions.keys()).join(", ")}`
         );
+        return true;
       }
+
+      this.status = "no_targets";
+      logInfo(`No valid position files found in project "${this.name}"`);
       return false;
     } catch (err) {
       // Most initialization errors are probably fatal (missing files, corrupt structure, etc.)
@@ -141,6 +177,7 @@ class Project {
             // Skip if it's a generated file
             if (
               targetJsonPath.includes("BRK_fixed") ||
+              targetJsonPath.includes("BRK_repairs") ||
               targetJsonPath.includes("BRK_result")
             ) {
               continue;
@@ -161,41 +198,33 @@ class Project {
     return null;
   }
 
-  /**
-   * Sanitizes JSON content by fixing common data quality issues
-   * @param {string} jsonString - Raw JSON string content
-   * @returns {string} - Sanitized JSON string
-   */
-  static sanitizeJsonContent(jsonString) {
-    // Fix unquoted NaN values which are invalid JSON
-    let sanitized = jsonString.replace(/:\s*NaN\s*,/g, ": null,");
-    sanitized = sanitized.replace(/:\s*NaN\s*}/g, ": null}");
-
-    // Fix any other common malformed JSON patterns if needed
-    // Add more patterns here as they are discovered
-
-    return sanitized;
-  }
-
   /**
    * Loads and parses JSON data, populating project metadata and compound jobs.
+   * The export is read in one streaming pass (see ExportReader): operations are
+   * added as they are read, and the repairs and the export schema check are
+   * kept for the Analyzer.
+   * @param {Object} options - { writeFixedFile: also write the repaired export (getFixedFilePath) }
    * @returns {boolean} - True if data loaded successfully
    */
-  loadJsonData() {
+  loadJsonData(options = {}) {
     try {
-      const rawJsonContent = fs.readFileSync(this.jsonFilePath, "utf8");
-      const sanitizedJsonContent = Project.sanitizeJsonContent(rawJsonContent);
-      const jsonContent = JSON.parse(sanitizedJsonContent);
+      this.compoundJobs.clear();
+      this.tools.clear();
+      this.totalOperationTime = 0;
 
-      // Extract project metadata
-      this.operator = jsonContent.operator || null;
-      this.machine = jsonContent.machine || null;
-      this.hypermillFilePath = jsonContent.cadPart || null;
+      const exportData = ExportReader.read(this.jsonFilePath, {
+        fixedFilePath: options.writeFixedFile ? this.getFixedFilePath() : null,
+        onOperation: (operation, index) => this.addOperation(operation, index),
+      });
+      const metadata = exportData.metadata || {};
 
-      // Process operations into compound jobs
-      if (jsonContent.operations && Array.isArray(jsonContent.operations)) {
-        this.processOperations(jsonContent.operations);
-      }
+      // Extract project metadata
+      this.operator = metadata.operator || null;
+      this.machine = metadata.machine || null;
+      this.machineProfile = MachineCatalog.getShared().resolve(this.machine);
+      this.hypermillFilePath = metadata.cadPart || null;
+      this.repairs = exportData.repairs;
+      this.dataQuality = exportData.dataQuality;
 
       logInfo(
         `Loaded JSON data: ${this.getTotalJobCount()} operations across ${
@@ -234,40 +263,82 @@ class Project {
   }
 
   /**
-   * Processes operations array into compound jobs and tool information.
-   * @param {Array} operations - Array of operations from JSON
+   * Adds one operation to its compound job and tool.
+   * @param {Object} operation - Operation from the JSON export
+   * @param {number} index - Index in the operations array
    */
-  processOperations(operations) {
-    this.totalOperationTime = 0;
+  addOperation(operation, index) {
+    if (typeof operation !== "object" || operation === null) {
+      logWarn(`Operation ${index} of ${this.getFullName()} is not an object - skipped`);
+      return;
+    }
 
-    operations.forEach((operation, index) => {
-      const programName = operation.programName;
-      const toolName = operation.toolName;
-      const operationTime = operation.operationTime || 0;
+    const programName = operation.programName;
+    const toolName = operation.toolName;
+    const operationTime = Number(operation.operationTime) || 0;
 
-      this.totalOperationTime += operationTime;
+    // Without a program name there is no NC file to attach the operation to
+    // (reported as a data-quality issue)
+    if (typeof programName !== "string" || programName === "") {
+      logWarn(`Operation ${index} of ${this.getFullName()} has no programName - skipped`);
+      return;
+    }
 
-      // Create or update compound job
-      if (!this.compoundJobs.has(programName)) {
-        this.compoundJobs.set(programName, new CompoundJob(programName));
-      }
-      const compoundJob = this.compoundJobs.get(programName);
-      compoundJob.addJob(operation);
+    this.totalOperationTime += operationTime;
+
+    // Create or update compound job
+    if (!this.compoundJobs.has(programName)) {
+      this.compoundJobs.set(programName, new CompoundJob(programName));
+    }
+    const compoundJob = this.compoundJobs.get(programName);
+    compoundJob.addJob(operation);
 
-      // Create or update tool info
-      if (toolName && !this.tools.has(toolName)) {
-        this.tools.set(toolName, new ToolInfo(toolName, operation.toolDetails));
+    // Create or update tool info
+    if (toolName && !this.tools.has(toolName)) {
+      this.tools.set(toolName, new ToolInfo(toolName, operation.toolDetails));
+    }
+    const toolInfo = this.tools.get(toolName);
+    if (toolInfo) {
+      toolInfo.addUsage(
+        programName,
+        operationTime,
+        operation.maxSpeed,
+        operation.maxFeed
+      );
+    }
+  }
+
+  /**
+   * Gets the parsed NC program (.h file) for an NC file of this project.
+   * The .h file is expected next to the project JSON; it is parsed on first
+   * use and linked to the operations of the matching CompoundJob.
+   * @param {string} programName - NC file name (e.g., "W5270NS01003A1.h")
+   * @returns {NCProgram|null} - Parsed program or null if the file is missing
+   */
+  getNCProgram(programName) {
+    if (this.ncPrograms.has(programName)) {
+      return this.ncPrograms.get(programName);
+    }
+
+    let ncProgram = null;
+    if (this.jsonFilePath && programName) {
+      const fileName = programName.endsWith(".h") ? programName : `${programName}.h`;
+      const ncFilePath = path.join(path.dirname(this.jsonFilePath), fileName);
+
+      try {
+        ncProgram = NCParser.parseFile(ncFilePath);
+      } catch (err) {
+        logWarn(`Failed to parse NC file ${fileName}: ${err.message}`);
       }
-      const toolInfo = this.tools.get(toolName);
-      if (toolInfo) {
-        toolInfo.addUsage(
-          programName,
-          operationTime,
-          operation.maxSpeed,
-          operation.maxFeed
-        );
+
+      const compoundJob = this.compoundJobs.get(programName);
+      if (ncProgram && compoundJob) {
+        ncProgram.linkOperations(compoundJob.jobs);
       }
-    });
+    }
+
+    this.ncPrograms.set(programName, ncProgram);
+    return ncProgram;
   }
 
   /**
@@ -283,6 +354,19 @@ class Project {
     );
   }
 
+  /**
+   * Generates the repair log filename (next to the fixed JSON file).
+   */
+  getRepairLogFilePath() {
+    if (!this.jsonFilePath) return null;
+    const dir = path.dirname(this.jsonFilePath);
+    const base = path.basename(this.jsonFilePath, config.files.jsonExtension);
+    return path.join(
+      dir,
+      `${base}_${config.files.repairLogSuffix}${config.files.jsonExtension}`
+    );
+  }
+
   /**
    * Checks if project has already been processed by looking for result file
    * @returns {boolean} - True if result file exists and is newer than source JSON
@@ -315,10 +399,13 @@ class Project {
   }
 
   /**
-   * Marks project as having fatal errors that prevent processing
+   * Marks project as having fatal errors that prevent processing.
+   * In a worker thread the project.fatal_error event is left to the Executor,
+   * which publishes it on the main thread (see publishFatalError).
    * @param {string} errorMessage - Description of the fatal error
    */
   markAsFatalError(errorMessage) {
+    this.fatalError = errorMessage;
     const errorMarkerPath = this.getErrorMarkerFilePath();
     const errorInfo = {
       timestamp: new Date().toISOString(),
@@ -344,6 +431,22 @@ class Project {
     } catch (err) {
       logError(`Failed to create error marker: ${err.message}`);
     }
+
+    if (isMainThread) {
+      this.publishFatalError();
+    }
+  }
+
+  /**
+   * Publishes the project.fatal_error event for the fatal error of this project.
+   */
+  publishFatalError() {
+    eventBus.publish("project.fatal_error", {
+      project: this.getFullName(),
+      operator: this.operator,
+      jsonFile: this.jsonFilePath,
+      error: this.fatalError,
+    });
   }
 
   /**
@@ -396,57 +499,77 @@ class Project {
 
   /**
    * Stores analysis results before writing to file.
-   * @param {Object} ruleResults - Results from rule engine
-   * @param {Object} customRuleConfig - Optional custom rule configuration (overrides default)
+   * @param {Object} ruleResults - Map of ruleName -> RuleResult from the rule engine (null = not run)
+   * @param {RuleProfile} ruleProfile - Rule profile used by the engine (defaults to the configured profile)
    */
-  setAnalysisResults(ruleResults, customRuleConfig = null) {
+  setAnalysisResults(ruleResults, ruleProfile = null) {
     this.analysisResults.processedAt = new Date().toISOString();
     this.analysisResults.status = "completed";
 
-    // Use custom config or default centralized config
-    const ruleConfig = customRuleConfig || config.rules;
+    // Use the engine's profile or load the configured one
+    const profile = ruleProfile || RuleProfile.load();
 
     // Process each rule result
     Object.entries(ruleResults).forEach(([ruleName, result]) => {
-      const ruleConfigItem = ruleConfig[ruleName] || {};
+      const ruleConfigItem = profile.getRule(ruleName) || {};
 
       const ruleResult = {
         name: ruleName,
-        shouldRun: this.shouldRunRule(ruleName, ruleConfigItem),
+        shouldRun: this.shouldRunRule(ruleName, profile),
         run: result !== undefined && result !== null,
         passed: false,
         failureType: ruleConfigItem.failureType || "unknown", // 'job', 'ncfile', 'project'
         failures: [],
         violationCount: 0,
         description: ruleConfigItem.description || ruleName,
+        severity: profile.getSeverity(ruleName, this), // Default severity of this rule's violations
+        status: null, // RuleResult status: passed / failed / error
+        summary: "",
+        metrics: {},
+        errors: [],
       };
 
       if (ruleResult.run && ruleResult.shouldRun) {
-        if (Array.isArray(result)) {
-          // Standard array result (list of failed items)
-          ruleResult.passed = result.length === 0;
-          ruleResult.failures = result.map((item) => ({
-            item: item,
-            type: ruleResult.failureType,
-            details: this.getFailureDetails(ruleName, item),
-          }));
-          ruleResult.violationCount = result.length;
-        } else if (typeof result === "object" && result.passed !== undefined) {
-          // Enhanced result object with more details
-          ruleResult.passed = result.passed;
-          ruleResult.failures = result.failures || [];
-          ruleResult.violationCount = result.failures
-            ? result.failures.length
-            : 0;
-        } else {
-          // Simple boolean or other result
-          ruleResult.passed = !!result;
-          ruleResult.violationCount = ruleResult.passed ? 0 : 1;
+        // Normalizing again is a no-op for engine results and guards other callers
+        const normalized = RuleResult.normalize(ruleName, result);
+        ruleResult.status = normalized.status;
+        ruleResult.passed = normalized.status === "passed";
+        ruleResult.failures = normalized.violations.map((violation) => ({
+          ...violation,
+          type: ruleResult.failureType,
+          severity: violation.severity || ruleResult.severity,
+          // Legacy rules report bare NC file names / job numbers
+          ...(violation.item !== undefined && {
+            details: this.getFailureDetails(ruleName, violation.item),
+          }),
+        }));
+        ruleResult.violationCount = normalized.violationCount;
+        ruleResult.summary = normalized.summary;
+        ruleResult.metrics = normalized.metrics;
+        ruleResult.errors = normalized.errors;
+
+        // A rule whose violations are all covered by waivers doesn't fail
+        if (
+          ruleResult.status === "failed" &&
+          ruleResult.failures.every((failure) => failure.waiver)
+        ) {
+          ruleResult.status = "waived";
+          ruleResult.passed = true;
         }
       } else if (!ruleResult.shouldRun) {
         ruleResult.passed = null; // Not applicable for this project
       }
 
+      // Worst severity among the (not waived) failures decides how hard this rule fails
+      if (ruleResult.status === "failed") {
+        ruleResult.severity =
+          RuleProfile.worstSeverity(
+            ...ruleResult.failures
+              .filter((failure) => !failure.waiver)
+              .map((failure) => failure.severity)
+          ) || ruleResult.severity;
+      }
+
       this.analysisResults.rules.set(ruleName, ruleResult);
     });
 
@@ -457,25 +580,24 @@ class Project {
   /**
    * Determines if a rule should run based on project conditions.
    * @param {string} ruleName - Name of the rule
-   * @param {Object} ruleConfig - Rule configuration object
+   * @param {RuleProfile} ruleProfile - Rule profile with applicability conditions
    * @returns {boolean} - True if rule should run for this project
    */
-  shouldRunRule(ruleName, ruleConfig) {
-    // If rule has custom logic function, use it
-    if (ruleConfig.logic && typeof ruleConfig.logic === "function") {
-      try {
-        return ruleConfig.logic(this);
-      } catch (error) {
-        logError(
-          `Error evaluating rule logic for ${ruleName}: ${error.message}`
-        );
-        return false; // Default to not running if logic fails
-      }
+  shouldRunRule(ruleName, ruleProfile) {
+    // Rules missing from the profile don't run (safer default)
+    if (!ruleProfile.getRule(ruleName)) {
+      logWarn(`No rule profile entry for rule: ${ruleName}`);
+      return false;
     }
 
-    // Fallback: if no logic defined, don't run (safer default)
-    logWarn(`No logic defined for rule: ${ruleName}`);
-    return false;
+    try {
+      return ruleProfile.isApplicable(ruleName, this);
+    } catch (error) {
+      logError(
+        `Error evaluating rule applicability for ${ruleName}: ${error.message}`
+      );
+      return false; // Default to not running if evaluation fails
+    }
   }
 
   /**
@@ -564,40 +686,71 @@ class Project {
 
   /**
    * Updates the analysis summary based on current rule results.
+   * Overall status follows the worst severity of the failed rules:
+   * error -> "failed", warning -> "warning", info only -> "passed".
+   * A rule that could not be evaluated makes the project "error" unless it already failed.
    */
   updateAnalysisSummary() {
     let anyRuleRan = false;
-    let allPassed = true;
+    let anyRuleErrored = false;
+    const failedSeverities = [];
+    const violationsBySeverity = { error: 0, warning: 0, info: 0 };
+    let violationsWaived = 0;
 
     // Iterate through the Map of rules
     this.analysisResults.rules.forEach((ruleResult, ruleName) => {
       if (ruleResult.shouldRun && ruleResult.run) {
         anyRuleRan = true;
-        if (!ruleResult.passed) {
-          allPassed = false;
+        if (ruleResult.status === "error") {
+          anyRuleErrored = true;
+        } else if (!ruleResult.passed) {
+          failedSeverities.push(ruleResult.severity);
         }
       }
+      if (ruleResult.status === "failed" || ruleResult.status === "waived") {
+        ruleResult.failures.forEach((failure) => {
+          if (failure.waiver) {
+            violationsWaived++;
+          } else if (failure.severity in violationsBySeverity) {
+            violationsBySeverity[failure.severity]++;
+          }
+        });
+      }
     });
 
-    // Simple overall status
+    // Overall status from the worst severity
+    const worstSeverity = RuleProfile.worstSeverity(...failedSeverities);
     let overallStatus;
     if (!anyRuleRan) {
       overallStatus = "no_rules_run";
-    } else if (allPassed) {
-      overallStatus = "passed";
-    } else {
+    } else if (worstSeverity === "error") {
       overallStatus = "failed";
+    } else if (anyRuleErrored) {
+      overallStatus = "error";
+    } else if (worstSeverity === "warning") {
+      overallStatus = "warning";
+    } else {
+      overallStatus = "passed";
     }
 
     this.analysisResults.summary = {
       overallStatus: overallStatus,
+      worstSeverity: worstSeverity,
       rulesRun: this.analysisResults.rules.size,
       rulesPassed: Array.from(this.analysisResults.rules.values()).filter(
-        (r) => r.run && r.passed
+        (r) => r.run && r.passed && r.status !== "waived"
       ).length,
       rulesFailed: Array.from(this.analysisResults.rules.values()).filter(
-        (r) => r.run && !r.passed
+        (r) => r.status === "failed"
+      ).length,
+      rulesErrored: Array.from(this.analysisResults.rules.values()).filter(
+        (r) => r.status === "error"
       ).length,
+      rulesWaived: Array.from(this.analysisResults.rules.values()).filter(
+        (r) => r.status === "waived"
+      ).length,
+      violationsBySeverity: violationsBySeverity,
+      violationsWaived: violationsWaived,
     };
   }
 
@@ -614,7 +767,12 @@ class Project {
       results: {
         rulesApplied: this.getRulesApplied(),
         violations: this.getViolations(),
+        violationsBySeverity: this.analysisResults.summary.violationsBySeverity,
+        errors: this.getRuleErrors(),
+        waivedViolations: this.getWaivedViolations(),
       },
+      dataQuality: this.dataQuality,
+      repairs: this.repairs,
       status: this.analysisResults.summary.overallStatus,
     };
 
@@ -635,6 +793,65 @@ class Project {
     return dashboardFormat;
   }
 
+  /**
+   * Gets all position projects found by initialize(), sorted by position letter.
+   * @returns {Array<Project>} - Position projects (empty for single-position projects)
+   */
+  getPositions() {
+    return Array.from(this.positions.values()).sort((a, b) =>
+      a.position.localeCompare(b.position)
+    );
+  }
+
+  /**
+   * Rolls up the analysis results of all positions into a project-level result.
+   * The overall status is the worst position status (failed > error > warning > passed).
+   * @returns {Object} - Per-position results plus rolled-up project summary
+   */
+  getRolledUpResults() {
+    const positions = this.getPositions().map((positionProject) => ({
+      position: positionProject.position,
+      machine: positionProject.machine,
+      operator: positionProject.operator,
+      operationCount: positionProject.getTotalJobCount(),
+      ncFileCount: positionProject.compoundJobs.size,
+      ...positionProject.getAnalysisResults(),
+    }));
+
+    const statusPriority = ["failed", "error", "warning", "passed", "no_rules_run"];
+    const overallStatus =
+      statusPriority.find((status) =>
+        positions.some((position) => position.status === status)
+      ) || "pending";
+
+    return {
+      project: this.name,
+      processedAt: new Date().toISOString(),
+      status: overallStatus,
+      summary: {
+        positionCount: positions.length,
+        positionsPassed: positions.filter((p) => p.status === "passed").length,
+        positionsWarning: positions.filter((p) => p.status === "warning").length,
+        positionsFailed: positions.filter((p) => p.status === "failed").length,
+        totalOperations: positions.reduce((sum, p) => sum + p.operationCount, 0),
+        totalNCFiles: positions.reduce((sum, p) => sum + p.ncFileCount, 0),
+        totalViolations: positions.reduce(
+          (sum, p) => sum + p.results.violations.length,
+          0
+        ),
+        dataQualityIssues: positions.reduce(
+          (sum, p) => sum + (p.dataQuality ? p.dataQuality.issueCount : 0),
+          0
+        ),
+        repairCount: positions.reduce(
+          (sum, p) => sum + (p.repairs ? p.repairs.length : 0),
+          0
+        ),
+      },
+      positions,
+    };
+  }
+
   /**
    * Formats rule results for web app display.
    * @returns {Array} - Array of rule results for frontend
@@ -650,8 +867,12 @@ class Project {
         run: ruleResult.run,
         passed: ruleResult.passed,
         failureType: ruleResult.failureType,
+        severity: ruleResult.severity,
         violationCount: ruleResult.violationCount,
         failures: ruleResult.failures,
+        summary: ruleResult.summary,
+        metrics: ruleResult.metrics,
+        errors: ruleResult.errors,
         status: this.getRuleStatus(ruleResult),
       });
     });
@@ -676,7 +897,7 @@ class Project {
   }
 
   /**
-   * Gets violations in dashboard-ready format.
+   * Gets violations in dashboard-ready format (without waived violations).
    * @returns {Array} - Array of violation objects with rule, message, location
    */
   getViolations() {
@@ -684,20 +905,81 @@ class Project {
 
     this.analysisResults.rules.forEach((ruleResult) => {
       // Only include rules that ran and failed
-      if (ruleResult.run && !ruleResult.passed && ruleResult.failures) {
-        ruleResult.failures.forEach((failure) => {
-          violations.push({
-            rule: ruleResult.name,
-            message: failure.message || ruleResult.description,
-            location: this.formatFailureLocation(failure),
-          });
-        });
+      if (ruleResult.status === "failed") {
+        ruleResult.failures
+          .filter((failure) => !failure.waiver)
+          .forEach((failure) => violations.push(this.toViolation(ruleResult, failure)));
       }
     });
 
     return violations;
   }
 
+  /**
+   * Gets the violations accepted by a waiver, with who approved them and when.
+   * @returns {Array} - Violation objects plus waiver: { id, reason, approvedBy, approvedAt, expiresAt }
+   */
+  getWaivedViolations() {
+    const violations = [];
+
+    this.analysisResults.rules.forEach((ruleResult) => {
+      if (ruleResult.status === "failed" || ruleResult.status === "waived") {
+        ruleResult.failures
+          .filter((failure) => failure.waiver)
+          .forEach((failure) =>
+            violations.push({
+              ...this.toViolation(ruleResult, failure),
+              waiver: failure.waiver,
+            })
+          );
+      }
+    });
+
+    return violations;
+  }
+
+  /**
+   * Formats one rule failure as a dashboard violation.
+   * @param {Object} ruleResult - Rule result the failure belongs to
+   * @param {Object} failure - Failure object from rule
+   * @returns {Object} - { rule, severity, message, location, ...location fields }
+   */
+  toViolation(ruleResult, failure) {
+    const violation = {
+      rule: ruleResult.name,
+      severity: failure.severity || ruleResult.severity,
+      message: failure.message || ruleResult.description,
+      location: this.formatFailureLocation(failure),
+    };
+
+    // Structured location for consumers that group by NC file, tool, ...
+    RuleResult.LOCATION_FIELDS.forEach((field) => {
+      if (failure[field] !== undefined && failure[field] !== null) {
+        violation[field] = failure[field];
+      }
+    });
+
+    return violation;
+  }
+
+  /**
+   * Gets the errors of rules that could not be evaluated.
+   * @returns {Array} - Array of { rule, message } objects
+   */
+  getRuleErrors() {
+    const errors = [];
+
+    this.analysisResults.rules.forEach((ruleResult) => {
+      if (ruleResult.status === "error") {
+        ruleResult.errors.forEach((error) => {
+          errors.push({ rule: ruleResult.name, message: error.message });
+        });
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * Formats failure location from failure object.
    * @param {Object} failure - Failure object from rule
@@ -712,6 +994,15 @@ class Project {
     if (failure.program) {
       parts.push(`Program: ${failure.program}`);
     }
+    if (failure.operation !== undefined && failure.operation !== null) {
+      parts.push(`Operation: ${failure.operation}`);
+    }
+    if (failure.tool) {
+      parts.push(`Tool: ${failure.tool}`);
+    }
+    if (failure.line) {
+      parts.push(`Line: ${failure.line}`);
+    }
     if (failure.item && typeof failure.item === "string") {
       parts.push(failure.item);
     }
@@ -731,7 +1022,11 @@ class Project {
     if (!ruleResult.shouldRun) return "not_applicable";
     if (!ruleResult.run) return "not_run";
     if (ruleResult.passed === null) return "not_applicable";
+    if (ruleResult.status === "error") return "error";
+    if (ruleResult.status === "waived") return "waived";
     if (ruleResult.passed) return "passed";
+    if (ruleResult.severity === "warning") return "warning";
+    if (ruleResult.severity === "info") return "info";
     return "failed";
   }
 
@@ -811,11 +1106,23 @@ class Project {
         programCount: toolInfo.usagePrograms.size,
         diameter: toolInfo.diameter,
         totalLength: toolInfo.totalLength,
+        minSpeed: toolInfo.speedRange.min,
+        maxSpeed: toolInfo.speedRange.max,
+        minFeed: toolInfo.feedRange.min,
+        maxFeed: toolInfo.feedRange.max,
+        inCatalog: toolInfo.catalogEntry !== null,
       });
     });
     return summary;
   }
 
+  /**
+   * Returns the project folder path (shared by all positions).
+   */
+  getProjectPath() {
+    return this.projectPath;
+  }
+
   /**
    * Returns full project name with position.
    */
@@ -855,6 +1162,78 @@ class Project {
     };
   }
 
+  /**
+   * Returns the state a worker thread built for this project (see ProjectWorker):
+   * everything saving and reporting the results needs. Maps and Sets survive
+   * the structured clone to the main thread, class instances become plain objects.
+   * @returns {Object} - Loaded data, analysis results and status
+   */
+  getWorkerState() {
+    return {
+      status: this.status,
+      isValid: this.isValid,
+      operator: this.operator,
+      machine: this.machine,
+      machineProfile: this.machineProfile,
+      hypermillFilePath: this.hypermillFilePath,
+      compoundJobs: this.compoundJobs,
+      tools: this.tools,
+      totalOperationTime: this.totalOperationTime,
+      analysisResults: this.analysisResults,
+      ruleSetVersion: this.ruleSetVersion,
+      dataQuality: this.dataQuality,
+      repairs: this.repairs,
+      fatalError: this.fatalError,
+    };
+  }
+
+  /**
+   * Takes over the state a worker thread built for this project.
+   * @param {Object} state - State from getWorkerState(), after structured cloning
+   */
+  applyWorkerState(state) {
+    Object.assign(this, state);
+    this.compoundJobs = new Map(
+      Array.from(state.compoundJobs, ([programName, job]) => [programName, restore(CompoundJob, job)])
+    );
+    this.tools = new Map(
+      Array.from(state.tools, ([toolName, tool]) => [toolName, restore(ToolInfo, tool)])
+    );
+  }
+
+  /**
+   * Returns the NC files, operations and tools of this project as plain data,
+   * kept with each history run so two runs can be compared.
+   * @returns {Object} - { machine, operator, totalTime, tools, ncFiles: { programName: { toolName, totalTime, operations } } }
+   */
+  getStructureSnapshot() {
+    const ncFiles = {};
+    this.compoundJobs.forEach((compoundJob, programName) => {
+      ncFiles[programName] = {
+        toolName: compoundJob.toolName,
+        totalTime: compoundJob.totalTime,
+        operations: compoundJob.jobs.map((job) => ({
+          number: job.number,
+          description: job.description,
+          operation: job.operation,
+          toolName: job.toolName,
+          operationTime: job.operationTime,
+          maxFeed: job.maxFeed,
+          maxSpeed: job.maxSpeed,
+        })),
+      };
+    });
+
+    return {
+      machine: this.machine,
+      machineId: this.machineProfile ? this.machineProfile.id : null,
+      operator: this.operator,
+      totalTime: this.totalOperationTime,
+      tools: Array.from(this.tools.keys()).sort(),
+      ncFiles,
+    };
+  }
+
   /**
    * Gets unique operators from this project (simplified since we have one JSON file now).
    * @returns {Array} - Array with operator name or empty array
@@ -900,11 +1279,16 @@ class CompoundJob {
       programName: operation.programName, // Which NC file this job belongs to
       description: operation.description, // Name of the job (e.g., "1: KPF16 M9x1 LT ||| CYCL200")
       operation: operation.operation, // Strategy name (e.g., "openMIND Drilling Cycle")
+      operationType: operation.operationType, // Operation type, when exported (rules fall back to operation)
       operationTime: operation.operationTime || 0, // How long this job runs/operates
       toolName: operation.toolName, // What tool this job uses
       maxSpeed: operation.maxSpeed,
       maxFeed: operation.maxFeed,
       operationArea: operation.operationArea,
+      depth: operation.depth, // Machining depth (mm), when exported
+      sideStock: operation.sideStock, // Stock left on the side walls (mm) - auto correction prefinish/finish
+      stepover: operation.stepover, // Stepover (mm) - auto correction rough/semi-finish
+      gCode: operation.gCode, // Exported G-code, checked when the .h file is missing
     };
 
     this.jobs.push(job);
@@ -957,32 +1341,29 @@ class CompoundJob {
 class ToolInfo {
   constructor(toolName, toolDetails = {}) {
     this.toolName = toolName;
+    this.catalogEntry = ToolCatalog.getShared().getTool(toolName); // null = not in the tool catalog
     this.category = this.determineCategory(toolName);
     this.usagePrograms = new Set(); // Programs where this tool is used
     this.totalUsageTime = 0;
     this.usageCount = 0;
+    this.speedRange = { min: null, max: null }; // Spindle speed (rpm) over all operations
+    this.feedRange = { min: null, max: null }; // Feed (mm/min) over all operations
 
-    // Tool specifications from toolDetails
-    this.diameter = toolDetails.diameter || null;
+    // Tool specifications from toolDetails, completed from the tool catalog
+    this.diameter = toolDetails.diameter || this.catalogEntry?.actualDiameter || null;
     this.totalLength = toolDetails.totalLength || null;
-    this.holder = toolDetails.holder || null;
+    this.holder = toolDetails.holder || this.catalogEntry?.holder || null;
+    this.stickOut = toolDetails.stickOut || null; // Length out of the holder (mm)
     this.tool = toolDetails.tool || null;
   }
 
   /**
-   * Determines tool category based on tool name.
+   * Determines tool category from the tool catalog, or from the tool name prefixes.
    * @param {string} toolName - Tool name to categorize
    * @returns {string} - Tool category
    */
   determineCategory(toolName) {
-    const { toolCategories } = require("../config");
-
-    for (const [category, codes] of Object.entries(toolCategories)) {
-      if (codes.some((code) => toolName && toolName.startsWith(code))) {
-        return category;
-      }
-    }
-    return "unknown";
+    return ToolCatalog.getShared().getCategory(toolName);
   }
 
   /**
@@ -996,6 +1377,8 @@ class ToolInfo {
     this.usagePrograms.add(programName);
     this.totalUsageTime += operationTime || 0;
     this.usageCount++;
+    extendRange(this.speedRange, maxSpeed);
+    extendRange(this.feedRange, maxFeed);
   }
 
   /**
@@ -1010,8 +1393,38 @@ class ToolInfo {
       programCount: this.usagePrograms.size,
       diameter: this.diameter,
       totalLength: this.totalLength,
+      minSpeed: this.speedRange.min,
+      maxSpeed: this.speedRange.max,
+      minFeed: this.feedRange.min,
+      maxFeed: this.feedRange.max,
+      inCatalog: this.catalogEntry !== null,
     };
   }
 }
 
+/**
+ * Turns a structured-cloned instance back into an instance of its class
+ * (without running the constructor, which would consult the catalogs again).
+ * @param {Function} Class - CompoundJob or ToolInfo
+ * @param {Object} plain - Cloned fields
+ * @returns {Object} - Instance with the cloned fields
+ */
+function restore(Class, plain) {
+  return Object.assign(Object.create(Class.prototype), plain);
+}
+
+/**
+ * Widens a { min, max } range to include a value; missing or non-numeric values are ignored.
+ * @param {Object} range - Range to update
+ * @param {number|string} value - Observed value
+ */
+function extendRange(range, value) {
+  const number = value === null || value === undefined || value === "" ? NaN : Number(value);
+  if (!Number.isFinite(number)) {
+    return;
+  }
+  range.min = range.min === null ? number : Math.min(range.min, number);
+  range.max = range.max === null ? number : Math.max(range.max, number);
+}
+
 module.exports = Project;
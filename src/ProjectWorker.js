@@ -0,0 +1,75 @@
+// path: src/ProjectWorker.js
+/**
+ * The per-project pipeline: load -> analyze -> rules. Saving the results is
+ * left to the Executor, which does it in scan order on the main thread.
+ *
+ * Without a worker pool the Executor calls runProject() directly. In a
+ * worker thread of the pool (see WorkerPool) this module runs one project per
+ * { id, task: { project, config } } message, reports its stages as progress
+ * and answers with the project's state (see Project.getWorkerState).
+ */
+
+const { isMainThread, parentPort } = require("worker_threads");
+const config = require("../config");
+const Project = require("./Project");
+const Analyzer = require("./Analyzer");
+const RuleEngine = require("./RuleEngine");
+const { logInfo } = require("../utils/Logger");
+
+/**
+ * Loads the project export (unless the Scanner already did), analyzes it and
+ * executes the rules, storing the rule results in the project.
+ * @param {Project} project - Project to run
+ * @param {Object} pipeline - { analyzer: Analyzer, ruleEngine: RuleEngine }
+ * @param {Function} reportStage - Optional stage callback: analyzing, rules
+ * @returns {Project} - The project; status "analysis_failed" or "fatal_error" if it could not be read
+ */
+function runProject(project, pipeline, reportStage = () => {}) {
+  logInfo(`Processing project: ${project.getFullName()}`);
+  reportStage("analyzing");
+  pipeline.analyzer.analyzeProject(project);
+
+  if (project.status === "analysis_failed" || project.status === "fatal_error") {
+    return project;
+  }
+
+  reportStage("rules");
+  project.ruleSetVersion = pipeline.ruleEngine.ruleSetVersion;
+  const ruleResults = pipeline.ruleEngine.executeRules(project);
+  project.setAnalysisResults(ruleResults, pipeline.ruleEngine.ruleProfile);
+  return project;
+}
+
+/**
+ * Creates the project described by a worker task.
+ * @param {Object} description - { projectPath, position, jsonFilePath, ... } (see Executor)
+ * @returns {Project} - Project ready to be loaded
+ */
+function createProject(description) {
+  const { projectPath, ...fields } = description;
+  return Object.assign(new Project(projectPath), fields);
+}
+
+if (!isMainThread && parentPort) {
+  let pipeline = null; // Created with the first task, once the main thread's config is applied
+
+  parentPort.on("message", ({ id, task }) => {
+    try {
+      // Settings changed at runtime (working folder, test mode, ...) only exist in the main thread's config
+      for (const [section, values] of Object.entries(task.config)) {
+        Object.assign(config[section], values);
+      }
+      if (!pipeline) {
+        pipeline = { analyzer: new Analyzer(), ruleEngine: new RuleEngine() };
+      }
+
+      const project = createProject(task.project);
+      runProject(project, pipeline, (stage) => parentPort.postMessage({ id, progress: { stage } }));
+      parentPort.postMessage({ id, result: project.getWorkerState() });
+    } catch (err) {
+      parentPort.postMessage({ id, error: { message: err.message, stack: err.stack } });
+    }
+  });
+}
+
+module.exports = { runProject };
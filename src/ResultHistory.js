@@ -0,0 +1,275 @@
+// path: src/ResultHistory.js
+/**
+ * Append-only history of scan results per project.
+ *
+ * The latest result still goes to `<project>_BRK_result.json` for the dashboard;
+ * every run is also kept as its own file so earlier verdicts (before the
+ * programmer's fix) stay available:
+ *
+ *   <working folder>/BRK CNC Management Dashboard/JSONScanner/history/<projectId>/<runId>.json
+ *
+ * Run entry: { runId, projectId, processedAt, jsonFile, jsonHash, ruleSetVersion,
+ *              status, violationCount, result, project }
+ * (`project` is Project.getStructureSnapshot() - NC files, operations, tools)
+ *
+ * Runs older than config.dataRetention.scanResults.retentionDays are removed,
+ * except the newest run of each project (applyRetention(), called periodically
+ * by the Executor and by the data cleanup - not on every append).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config");
+const { logInfo, logWarn, logError } = require("../utils/Logger");
+
+const SAFE_NAME = /^[\w.-]+$/; // Project and run IDs become path segments
+const RUN_TIME = /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3}Z)_/; // processedAt encoded in a run ID
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ResultHistory {
+  /**
+   * @param {string} historyPath - Folder holding one subfolder per project
+   */
+  constructor(historyPath = ResultHistory.getDefaultPath()) {
+    this.historyPath = historyPath;
+  }
+
+  /**
+   * Default history folder next to the results folder of the working folder.
+   * @returns {string} - History folder path
+   */
+  static getDefaultPath() {
+    const TempFileManager = require("../utils/TempFileManager");
+    return path.join(new TempFileManager().getBasePath(), "JSONScanner", "history");
+  }
+
+  /**
+   * Appends a run to the project's history. Existing runs are never modified.
+   * @param {string} projectId - Project ID (result file name without the result suffix)
+   * @param {Object} analysisResults - Result from project.getAnalysisResults()
+   * @param {Object} source - { jsonFile, jsonHash, ruleSetVersion, project }
+   * @returns {Object|null} - Run summary, null if it couldn't be written
+   */
+  append(projectId, analysisResults, source = {}) {
+    try {
+      if (!SAFE_NAME.test(projectId)) {
+        throw new Error(`Invalid project ID: ${projectId}`);
+      }
+
+      const processedAt = analysisResults.processedAt || new Date().toISOString();
+      const runId = `${processedAt.replace(/[:.]/g, "-")}_${crypto
+        .randomBytes(3)
+        .toString("hex")}`;
+
+      const entry = {
+        runId,
+        projectId,
+        processedAt,
+        jsonFile: source.jsonFile || null,
+        jsonHash: source.jsonHash || null,
+        ruleSetVersion: source.ruleSetVersion || null,
+        status: analysisResults.status,
+        violationCount: analysisResults.results?.violations?.length || 0,
+        result: analysisResults,
+        project: source.project || null,
+      };
+
+      const projectDir = path.join(this.historyPath, projectId);
+      fs.mkdirSync(projectDir, { recursive: true });
+      // "wx" fails instead of overwriting - history is append-only
+      fs.writeFileSync(
+        path.join(projectDir, `${runId}.json`),
+        JSON.stringify(entry, null, 2),
+        { encoding: "utf8", flag: "wx" }
+      );
+
+      logInfo(`🗂️  Result history: ${projectId} run ${runId}`);
+      return this.toSummary(entry);
+    } catch (err) {
+      logError(`Failed to append result history for ${projectId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Lists the runs of a project, newest first.
+   * @param {string} projectId - Project ID
+   * @returns {Array<Object>} - Run summaries (without the full result)
+   */
+  listRuns(projectId) {
+    return this.readRuns(projectId).map((entry) => this.toSummary(entry));
+  }
+
+  /**
+   * Gets one run with its full result.
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID from listRuns()
+   * @returns {Object|null} - Run entry or null if unknown
+   */
+  getRun(projectId, runId) {
+    if (!SAFE_NAME.test(projectId) || !SAFE_NAME.test(runId)) {
+      return null;
+    }
+
+    const runPath = path.join(this.historyPath, projectId, `${runId}.json`);
+    if (!fs.existsSync(runPath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(runPath, "utf8"));
+  }
+
+  /**
+   * Gets the newest run of a project without reading the older ones
+   * (run IDs start with the processing time, so they sort chronologically).
+   * @param {string} projectId - Project ID
+   * @returns {Object|null} - Run entry or null if the project has no history
+   */
+  getLatestRun(projectId) {
+    const projectDir = path.join(this.historyPath, projectId);
+    if (!SAFE_NAME.test(projectId) || !fs.existsSync(projectDir)) {
+      return null;
+    }
+
+    const latest = fs
+      .readdirSync(projectDir)
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .pop();
+    return latest ? this.getRun(projectId, latest.replace(/\.json$/, "")) : null;
+  }
+
+  /**
+   * Lists the projects that have a history.
+   * @returns {Array<string>} - Project IDs
+   */
+  listProjects() {
+    if (!fs.existsSync(this.historyPath)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(this.historyPath, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && SAFE_NAME.test(entry.name))
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  /**
+   * Removes runs older than the scan result retention period.
+   * The newest run of a project is always kept. Run ages come from the run
+   * IDs, so only files whose ID doesn't encode the processing time are read.
+   * @param {string|null} projectId - Only this project, or all projects when null
+   * @returns {number} - Number of runs removed
+   */
+  applyRetention(projectId = null) {
+    const { retentionDays, autoCleanup } = config.dataRetention.scanResults;
+    if (!autoCleanup || !retentionDays) {
+      return 0;
+    }
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const projectIds = projectId ? [projectId] : this.listProjects();
+    let removed = 0;
+
+    for (const id of projectIds) {
+      const [, ...olderRuns] = this.readRunTimes(id);
+
+      for (const run of olderRuns) {
+        if (run.time < cutoff) {
+          try {
+            fs.unlinkSync(path.join(this.historyPath, id, run.file));
+            removed++;
+          } catch (err) {
+            logWarn(`Failed to remove history run ${id}/${run.runId}: ${err.message}`);
+          }
+        }
+      }
+    }
+
+    if (removed > 0) {
+      logInfo(
+        `🧹 Result history: removed ${removed} run(s) older than ${retentionDays} day(s)`
+      );
+    }
+    return removed;
+  }
+
+  /**
+   * Lists the run files of a project with their processing time, newest first.
+   * @param {string} projectId - Project ID
+   * @returns {Array<Object>} - [{ runId, file, time }]
+   */
+  readRunTimes(projectId) {
+    const projectDir = path.join(this.historyPath, projectId);
+    if (!SAFE_NAME.test(projectId) || !fs.existsSync(projectDir)) {
+      return [];
+    }
+
+    const runs = [];
+    for (const file of fs.readdirSync(projectDir)) {
+      if (!file.endsWith(".json")) continue;
+      const runId = file.replace(/\.json$/, "");
+      const match = RUN_TIME.exec(runId);
+      let time = match ? Date.parse(`${match[1]}:${match[2]}:${match[3]}.${match[4]}`) : NaN;
+
+      if (Number.isNaN(time)) {
+        try {
+          const entry = JSON.parse(fs.readFileSync(path.join(projectDir, file), "utf8"));
+          time = new Date(entry.processedAt).getTime();
+        } catch (err) {
+          logWarn(`Skipping unreadable history run ${projectId}/${file}: ${err.message}`);
+          continue;
+        }
+      }
+      runs.push({ runId, file, time });
+    }
+
+    return runs.sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Reads all run entries of a project, newest first.
+   * @param {string} projectId - Project ID
+   * @returns {Array<Object>} - Run entries
+   */
+  readRuns(projectId) {
+    const projectDir = path.join(this.historyPath, projectId);
+    if (!SAFE_NAME.test(projectId) || !fs.existsSync(projectDir)) {
+      return [];
+    }
+
+    const runs = [];
+    for (const file of fs.readdirSync(projectDir)) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        runs.push(JSON.parse(fs.readFileSync(path.join(projectDir, file), "utf8")));
+      } catch (err) {
+        logWarn(`Skipping unreadable history run ${projectId}/${file}: ${err.message}`);
+      }
+    }
+
+    return runs.sort((a, b) => new Date(b.processedAt) - new Date(a.processedAt));
+  }
+
+  toSummary(entry) {
+    const { result, project, ...summary } = entry;
+    return summary;
+  }
+
+  /**
+   * MD5 of a file's content, matching the scan manifest hashes.
+   * @param {string} filePath - File to hash
+   * @returns {string|null} - Hex digest or null if the file can't be read
+   */
+  static hashFile(filePath) {
+    try {
+      return crypto.createHash("md5").update(fs.readFileSync(filePath)).digest("hex");
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+module.exports = ResultHistory;
@@ -8,11 +8,15 @@ const fs = require("fs");
 const path = require("path");
 const { logInfo, logError } = require("../utils/Logger");
 const config = require("../config");
+const ResultHistory = require("./ResultHistory");
 
 class Results {
   constructor(dataManager = null, tempManager = null) {
     this.dataManager = dataManager;
     this.tempManager = tempManager;
+    this.history = new ResultHistory(
+      tempManager ? path.join(tempManager.appPath, "history") : undefined
+    );
   }
 
   /**
@@ -23,25 +27,29 @@ class Results {
    */
   async saveProjectResults(project, analysisResults) {
     try {
-      // Save to modern storage (DataManager) - skip in test mode to avoid errors
+      // ALWAYS save to temp folder (not original location)
+      const tempFilePath = this.saveTempFile(project, analysisResults);
+
+      // The result file above is overwritten on every run - keep each run in the history
+      const run = tempFilePath
+        ? this.appendHistory(project, path.basename(tempFilePath), analysisResults)
+        : null;
+
+      // Save to the configured storage (DataManager)
       let storageId = null;
-      if (this.dataManager && !config.app.testMode) {
+      if (this.dataManager) {
         storageId = await this.dataManager.saveScanResult(
           project,
-          analysisResults
+          analysisResults,
+          run
         );
         await this.dataManager.saveProject(project);
-        logInfo(`📊 Results saved to database: ${storageId}`);
-      } else if (config.app.testMode) {
-        logInfo(`📊 Database save skipped in test mode`);
+        logInfo(`📊 Results saved to storage: ${storageId}`);
       }
 
-      // ALWAYS save to temp folder (not original location)
-      const tempFilePath = this.saveTempFile(project, analysisResults);
-
       return storageId || tempFilePath;
     } catch (error) {
-      logError(`Error saving results for ${project.getFullName()}:`, error);
+      logError(`Error saving results for ${project.getFullName()}: ${error.message}`);
       return null;
     }
   }
@@ -77,6 +85,16 @@ class Results {
 
       logInfo(`✅ Result file saved to organized temp: ${resultFileName}`);
 
+      // Remember the result in the scan manifest so restarts can skip this file
+      if (project.originalJsonFilePath) {
+        this.tempManager.recordResult(
+          project.originalJsonFilePath,
+          tempResultPath,
+          project.ruleSetVersion,
+          project.waiverHash
+        );
+      }
+
       return tempResultPath;
     } catch (err) {
       logError(
@@ -88,6 +106,60 @@ class Results {
     }
   }
 
+  /**
+   * Appends a run to the project's result history.
+   * @param {Project} project - The project instance
+   * @param {string} resultFileName - Name of the latest result file
+   * @param {Object} analysisResults - Analysis results from project.getAnalysisResults()
+   * @returns {Object|null} - Run summary, null if failed
+   */
+  appendHistory(project, resultFileName, analysisResults) {
+    const projectId = path.basename(
+      resultFileName,
+      `_${config.files.resultSuffix}${config.files.jsonExtension}`
+    );
+    const trackedFile =
+      project.originalJsonFilePath &&
+      this.tempManager.fileHashes?.get(project.originalJsonFilePath);
+
+    return this.history.append(projectId, analysisResults, {
+      jsonFile: project.originalJsonFilePath || project.jsonFilePath,
+      jsonHash: trackedFile?.hash || ResultHistory.hashFile(project.jsonFilePath),
+      ruleSetVersion: project.ruleSetVersion,
+      project: project.getStructureSnapshot(),
+    });
+  }
+
+  /**
+   * Saves the rolled-up result of a multi-position project to the temp results folder.
+   * @param {Project} project - The project holding all positions
+   * @param {Object} rolledUpResults - Results from project.getRolledUpResults()
+   * @returns {string|null} - Path of the saved file, null if failed
+   */
+  saveRolledUpResults(project, rolledUpResults) {
+    try {
+      if (!this.tempManager) {
+        logError("No temp manager available for saving results");
+        return null;
+      }
+
+      const resultFileName = `${project.name}_${config.files.projectResultSuffix}${config.files.jsonExtension}`;
+      const tempResultPath = this.tempManager.saveToTemp(
+        resultFileName,
+        JSON.stringify(rolledUpResults, null, 2),
+        "result"
+      );
+
+      logInfo(`✅ Project result file saved to organized temp: ${resultFileName}`);
+      return tempResultPath;
+    } catch (err) {
+      logError(
+        `❌ Failed to save project result file for ${project.name}: ${err.message}`
+      );
+      return null;
+    }
+  }
+
   /**
    * Traditional file-based saving (DEPRECATED - now redirects to temp)
    */
@@ -165,7 +237,8 @@ class Results {
           } else if (
             item.isFile() &&
             (item.name.endsWith("_BRK_result.json") ||
-              item.name.endsWith("_BRK_fixed.json"))
+              item.name.endsWith("_BRK_fixed.json") ||
+              item.name.endsWith("_BRK_repairs.json"))
           ) {
             generatedFiles.push(fullPath);
           }
@@ -1,19 +1,29 @@
 // path: src/RuleEngine.js
 /**
  * RuleEngine automatically discovers and executes rule modules from /rules directory.
- * Integrates with config.rules to determine which rules should run for each project.
+ * Integrates with the rule profile to determine which rules should run for each
+ * project and with which parameters.
  * Works with the new Project structure containing CompoundJobs and ToolInfo.
  */
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const { logInfo, logWarn, logError } = require("../utils/Logger");
 const config = require("../config");
+const RuleProfile = require("./RuleProfile");
+const RuleResult = require("./RuleResult");
+const WaiverStore = require("./WaiverStore");
+const ToolCatalog = require("./ToolCatalog");
+const MachineCatalog = require("./MachineCatalog");
 
 class RuleEngine {
   constructor() {
     this.rules = new Map(); // Map<ruleName, ruleFunction>
     this.rulesPath = path.join(__dirname, "..", "rules");
+    this.ruleSetVersion = null; // Hash of rule sources + rule profile, set by loadRules()
+    this.ruleProfile = RuleProfile.load(config.ruleProfile.path); // Throws on invalid profile
+    this.waiverStore = new WaiverStore();
     this.loadRules();
   }
 
@@ -59,6 +69,15 @@ class RuleEngine {
 
       logInfo(`Successfully loaded ${this.rules.size} rule(s) from ${jsFiles.length} file(s)`);
       this.listLoadedRules();
+
+      for (const ruleName of Object.keys(this.ruleProfile.rules)) {
+        if (!this.rules.has(ruleName)) {
+          logWarn(`Rule profile declares "${ruleName}" but no rule file was found`);
+        }
+      }
+
+      this.ruleSetVersion = this.computeRuleSetVersion(jsFiles);
+      logInfo(`Rule set version: ${this.ruleSetVersion}`);
       
     } catch (err) {
       logError(`Failed to load rules directory: ${err.message}`);
@@ -99,6 +118,29 @@ class RuleEngine {
     return null;
   }
 
+  /**
+   * Computes a short version hash over all rule sources, the rule profile and the
+   * tool and machine catalogs, so results can be invalidated when rules, conditions,
+   * thresholds, tool or machine data change.
+   * @param {Array<string>} jsFiles - Rule file names
+   * @returns {string} - Rule set version hash
+   */
+  computeRuleSetVersion(jsFiles) {
+    const hash = crypto.createHash("md5");
+
+    for (const file of [...jsFiles].sort()) {
+      hash.update(file);
+      hash.update(fs.readFileSync(path.join(this.rulesPath, file)));
+    }
+
+    hash.update(fs.readFileSync(this.ruleProfile.sourcePath));
+    // Catalog entries decide tool categories, reconditioning and machine capabilities
+    hash.update(JSON.stringify(ToolCatalog.getShared().load()));
+    hash.update(JSON.stringify(MachineCatalog.getShared().load()));
+
+    return hash.digest("hex").substring(0, 12);
+  }
+
   /**
    * Lists all loaded rules for debugging.
    */
@@ -110,7 +152,7 @@ class RuleEngine {
   /**
    * Executes all applicable rules on the given project.
    * @param {Project} project - Project instance with CompoundJobs and ToolInfo
-   * @returns {Object} - Rule execution results
+   * @returns {Object} - Map of ruleName -> RuleResult (null for rules that did not run)
    */
   executeRules(project) {
     logInfo(`Executing rules for project: ${project.getFullName()}`);
@@ -123,8 +165,7 @@ class RuleEngine {
     for (const [ruleName, ruleFunction] of this.rules) {
       try {
         // Check if rule should run for this project
-        const ruleConfig = config.rules[ruleName];
-        const shouldRun = this.shouldRunRule(project, ruleName, ruleConfig);
+        const shouldRun = this.shouldRunRule(project, ruleName);
 
         if (shouldRun) {
           logInfo(`Running rule: ${ruleName}`);
@@ -139,96 +180,88 @@ class RuleEngine {
         
       } catch (err) {
         logError(`Rule ${ruleName} execution failed: ${err.message}`);
-        results[ruleName] = {
-          error: true,
-          message: err.message,
-          stack: err.stack
-        };
+        results[ruleName] = RuleResult.fromError(ruleName, err);
       }
     }
 
+    this.applyWaivers(project, results);
+
     logInfo(`Rules execution completed: ${rulesRun} run, ${rulesSkipped} skipped`);
     return results;
   }
 
+  /**
+   * Marks violations covered by an active waiver: they get a `waiver` reference
+   * ({ id, reason, approvedBy, approvedAt, expiresAt }) and no longer fail the project.
+   * @param {Project} project - Project instance
+   * @param {Object} results - Map of ruleName -> RuleResult from executeRules()
+   */
+  applyWaivers(project, results) {
+    const waivers = this.waiverStore.getActiveWaivers(project);
+    if (waivers.length === 0) {
+      return;
+    }
+
+    for (const [ruleName, result] of Object.entries(results)) {
+      if (!result || result.status !== "failed") continue;
+
+      result.violations.forEach((violation) => {
+        const waiver = waivers.find((w) => WaiverStore.matches(w, ruleName, violation));
+        if (waiver) {
+          violation.waiver = WaiverStore.toReference(waiver);
+          logInfo(`📝 ${ruleName} violation waived by ${waiver.id} (${waiver.approvedBy})`);
+        }
+      });
+    }
+  }
+
   /**
    * Determines if a rule should run for the given project.
    * @param {Project} project - Project instance
    * @param {string} ruleName - Name of the rule
-   * @param {Object} ruleConfig - Rule configuration from config.rules
    * @returns {boolean} - True if rule should run
    */
-  shouldRunRule(project, ruleName, ruleConfig) {
-    if (!ruleConfig) {
-      logWarn(`No configuration found for rule: ${ruleName}, skipping`);
+  shouldRunRule(project, ruleName) {
+    if (!this.ruleProfile.getRule(ruleName)) {
+      logWarn(`No rule profile entry found for rule: ${ruleName}, skipping`);
       return false;
     }
 
-    if (ruleConfig.logic && typeof ruleConfig.logic === 'function') {
-      try {
-        return ruleConfig.logic(project);
-      } catch (err) {
-        logError(`Error in rule logic for ${ruleName}: ${err.message}`);
-        return false;
-      }
+    try {
+      return this.ruleProfile.isApplicable(ruleName, project);
+    } catch (err) {
+      logError(`Error evaluating applicability for ${ruleName}: ${err.message}`);
+      return false;
     }
-
-    // No logic defined, default to not running
-    logWarn(`No logic defined for rule: ${ruleName}`);
-    return false;
   }
 
   /**
-   * Executes a single rule function with proper data extraction.
+   * Executes a single rule function and normalizes its result.
+   * A rule that throws gets an "error" result instead of being retried with other arguments.
    * @param {Project} project - Project instance
    * @param {string} ruleName - Name of the rule (filename without .js)
    * @param {Function} ruleFunction - Rule function to execute
-   * @returns {*} - Rule execution result
+   * @returns {Object} - Normalized RuleResult (see RuleResult.js)
    */
   executeRule(project, ruleName, ruleFunction) {
+    let result;
+
     try {
-      // Try with project first (modern rules like M110Helical, M110Contour expect this)
-      return ruleFunction(project);
-      
+      // Rules receive the project and the profile parameters resolved for its machine
+      const parameters = this.ruleProfile.getParameters(ruleName, project);
+      result = RuleResult.normalize(ruleName, ruleFunction(project, parameters));
     } catch (err) {
-      // If rule fails with project, try with operations array (legacy compatibility)
-      logWarn(`Rule ${ruleName} failed with project parameter, trying with operations array`);
-      
-      try {
-        const operations = this.extractOperationsArray(project);
-        return ruleFunction(operations);
-      } catch (err2) {
-        // If both fail, try with enhanced project data
-        logWarn(`Rule ${ruleName} failed with operations array, trying with enhanced project data`);
-        
-        try {
-          const compoundJobs = Array.from(project.compoundJobs.values());
-          const tools = Array.from(project.tools.values());
-          return ruleFunction(project, compoundJobs, tools);
-        } catch (err3) {
-          throw new Error(`Rule execution failed with all parameter combinations: ${err.message}`);
-        }
-      }
+      logError(`Rule ${ruleName} threw an error: ${err.message}`);
+      return RuleResult.fromError(ruleName, err);
     }
-  }
 
-  /**
-   * Extracts a flat operations array from project CompoundJobs for legacy rules.
-   * @param {Project} project - Project instance
-   * @returns {Array} - Flat array of all operations
-   */
-  extractOperationsArray(project) {
-    const operations = [];
-    
-    project.compoundJobs.forEach((compoundJob) => {
-      if (compoundJob.operations && Array.isArray(compoundJob.operations)) {
-        compoundJob.operations.forEach((operation) => {
-          operations.push(operation);
-        });
-      }
-    });
-    
-    return operations;
+    if (result.status === "error") {
+      result.errors.forEach((error) =>
+        logError(`Rule ${ruleName} returned an invalid result: ${error.message}`)
+      );
+    }
+
+    return result;
   }
 
   /**
@@ -239,13 +272,15 @@ class RuleEngine {
     const rulesInfo = [];
     
     this.rules.forEach((ruleFunction, ruleName) => {
-      const ruleConfig = config.rules[ruleName];
+      const ruleConfig = this.ruleProfile.getRule(ruleName);
       rulesInfo.push({
         name: ruleName,
         description: ruleConfig?.description || 'No description available',
         failureType: ruleConfig?.failureType || 'unknown',
         hasConfig: !!ruleConfig,
-        hasLogic: !!(ruleConfig?.logic)
+        enabled: ruleConfig ? ruleConfig.enabled !== false : false,
+        appliesTo: ruleConfig?.appliesTo || null,
+        parameters: ruleConfig?.parameters || {}
       });
     });
     
@@ -257,6 +292,7 @@ class RuleEngine {
    */
   reloadRules() {
     logInfo('Reloading all rules...');
+    this.ruleProfile = RuleProfile.load(config.ruleProfile.path);
     this.rules.clear();
     this.loadRules();
   }
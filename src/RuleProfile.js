@@ -0,0 +1,462 @@
+// path: src/RuleProfile.js
+/**
+ * Loads and validates the declarative rule profile (rules/profiles/*.json).
+ * The profile declares per rule when it applies (machines, machine capabilities,
+ * tool categories, operation types) and its thresholds, with optional per-machine overrides,
+ * so limits can be tuned without editing JavaScript.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { logInfo } = require("../utils/Logger");
+
+const FAILURE_TYPES = ["job", "ncfile", "project", "tool"];
+const SEVERITIES = ["error", "warning", "info"]; // Ordered from worst to mildest
+const RULE_KEYS = [
+  "description",
+  "failureType",
+  "severity",
+  "enabled",
+  "appliesTo",
+  "parameters",
+  "machineOverrides",
+];
+const APPLIES_TO_KEYS = ["machines", "machineCapabilities", "toolCategories", "operationTypes"];
+
+class RuleProfile {
+  /**
+   * @param {Object} data - Parsed profile content
+   * @param {string} sourcePath - Path the profile was loaded from (for messages)
+   */
+  constructor(data, sourcePath = "<inline>") {
+    this.sourcePath = sourcePath;
+    this.version = data.version;
+    this.machineGroups = data.machineGroups || {};
+    this.rules = data.rules || {};
+  }
+
+  /**
+   * Reads, parses and validates a rule profile file.
+   * @param {string} profilePath - Path to the profile JSON file
+   * @returns {RuleProfile} - Validated profile
+   * @throws {Error} - If the file is missing, not JSON, or fails validation
+   */
+  static load(profilePath = config.ruleProfile.path) {
+    if (!fs.existsSync(profilePath)) {
+      throw new Error(`Rule profile not found: ${profilePath}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(profilePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Rule profile ${profilePath} is not valid JSON: ${err.message}`);
+    }
+
+    const errors = RuleProfile.validate(data);
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid rule profile ${profilePath}:\n${errors
+          .map((error) => `  - ${error}`)
+          .join("\n")}`
+      );
+    }
+
+    const profile = new RuleProfile(data, profilePath);
+    logInfo(
+      `Loaded rule profile ${path.basename(profilePath)} (${
+        Object.keys(profile.rules).length
+      } rule(s))`
+    );
+    return profile;
+  }
+
+  /**
+   * Validates raw profile content.
+   * @param {Object} data - Parsed profile content
+   * @returns {Array<string>} - Human readable errors, empty if valid
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!isPlainObject(data)) {
+      return ["profile must be a JSON object"];
+    }
+
+    if (data.version !== 1) {
+      errors.push(`version: expected 1, got ${JSON.stringify(data.version)}`);
+    }
+
+    const machineGroups = data.machineGroups || {};
+    if (!isPlainObject(machineGroups)) {
+      errors.push("machineGroups: expected an object of machine name lists");
+    } else {
+      for (const [groupName, machines] of Object.entries(machineGroups)) {
+        if (!isStringList(machines)) {
+          errors.push(`machineGroups.${groupName}: expected a non-empty array of strings`);
+        }
+      }
+    }
+
+    if (!isPlainObject(data.rules)) {
+      errors.push("rules: expected an object keyed by rule name");
+      return errors;
+    }
+
+    for (const [ruleName, rule] of Object.entries(data.rules)) {
+      const at = `rules.${ruleName}`;
+
+      if (!isPlainObject(rule)) {
+        errors.push(`${at}: expected an object`);
+        continue;
+      }
+
+      for (const key of Object.keys(rule)) {
+        if (!RULE_KEYS.includes(key)) {
+          errors.push(`${at}.${key}: unknown key (allowed: ${RULE_KEYS.join(", ")})`);
+        }
+      }
+
+      if (typeof rule.description !== "string" || !rule.description) {
+        errors.push(`${at}.description: expected a non-empty string`);
+      }
+      if (!FAILURE_TYPES.includes(rule.failureType)) {
+        errors.push(
+          `${at}.failureType: expected one of ${FAILURE_TYPES.join(", ")}, got ${JSON.stringify(rule.failureType)}`
+        );
+      }
+      if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+        errors.push(
+          `${at}.severity: expected one of ${SEVERITIES.join(", ")}, got ${JSON.stringify(rule.severity)}`
+        );
+      }
+      if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+        errors.push(`${at}.enabled: expected true or false`);
+      }
+
+      if (rule.appliesTo !== undefined) {
+        errors.push(
+          ...validateAppliesTo(rule.appliesTo, `${at}.appliesTo`, machineGroups)
+        );
+      }
+
+      if (rule.parameters !== undefined) {
+        if (!isPlainObject(rule.parameters)) {
+          errors.push(`${at}.parameters: expected an object`);
+        } else {
+          errors.push(...validateParameters(rule.parameters, `${at}.parameters`));
+        }
+      }
+
+      if (rule.machineOverrides !== undefined) {
+        if (!Array.isArray(rule.machineOverrides)) {
+          errors.push(`${at}.machineOverrides: expected an array`);
+        } else {
+          rule.machineOverrides.forEach((override, index) => {
+            const overrideAt = `${at}.machineOverrides[${index}]`;
+            if (!isPlainObject(override)) {
+              errors.push(`${overrideAt}: expected an object`);
+              return;
+            }
+            if (!isStringList(override.machines)) {
+              errors.push(`${overrideAt}.machines: expected a non-empty array of strings`);
+            } else {
+              errors.push(
+                ...validateMachineRefs(override.machines, `${overrideAt}.machines`, machineGroups)
+              );
+            }
+            if (
+              override.severity !== undefined &&
+              !SEVERITIES.includes(override.severity)
+            ) {
+              errors.push(
+                `${overrideAt}.severity: expected one of ${SEVERITIES.join(", ")}, got ${JSON.stringify(override.severity)}`
+              );
+            }
+            if (override.parameters === undefined) {
+              if (override.severity === undefined) {
+                errors.push(`${overrideAt}: expected parameters and/or severity`);
+              }
+              return;
+            }
+            if (!isPlainObject(override.parameters)) {
+              errors.push(`${overrideAt}.parameters: expected an object`);
+              return;
+            }
+            for (const [key, value] of Object.entries(override.parameters)) {
+              if (!isPlainObject(rule.parameters) || !(key in rule.parameters)) {
+                errors.push(
+                  `${overrideAt}.parameters.${key}: not declared in ${at}.parameters`
+                );
+              } else if (typeOf(value) !== typeOf(rule.parameters[key])) {
+                errors.push(
+                  `${overrideAt}.parameters.${key}: expected ${typeOf(
+                    rule.parameters[key]
+                  )} like ${at}.parameters.${key}, got ${typeOf(value)}`
+                );
+              }
+            }
+            errors.push(
+              ...validateParameters(override.parameters, `${overrideAt}.parameters`)
+            );
+          });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Gets the profile entry for a rule.
+   * @param {string} ruleName - Rule name (rule file name without .js)
+   * @returns {Object|null} - Rule definition or null if not in the profile
+   */
+  getRule(ruleName) {
+    return this.rules[ruleName] || null;
+  }
+
+  /**
+   * Checks whether a rule applies to a project.
+   * All condition groups in appliesTo must match; within a group any entry may match,
+   * except machineCapabilities, which all have to be set in the project's machine profile.
+   * @param {string} ruleName - Rule name
+   * @param {Project} project - Project instance
+   * @returns {boolean} - True if the rule should run for this project
+   */
+  isApplicable(ruleName, project) {
+    const rule = this.getRule(ruleName);
+    if (!rule || rule.enabled === false) {
+      return false;
+    }
+
+    const { machines, machineCapabilities, toolCategories, operationTypes } =
+      rule.appliesTo || {};
+
+    if (machines && !this.matchesMachine(project.machine, machines)) {
+      return false;
+    }
+    // Capabilities come from the machine catalog; unknown machines have none
+    if (
+      machineCapabilities &&
+      !machineCapabilities.every((capability) => project.machineProfile?.[capability] === true)
+    ) {
+      return false;
+    }
+    if (
+      toolCategories &&
+      !toolCategories.some((category) => project.hasToolCategory(category))
+    ) {
+      return false;
+    }
+    if (
+      operationTypes &&
+      !operationTypes.some((type) => project.hasOperationType(type))
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolves rule parameters for a project: base parameters, then every
+   * machine override matching the project's machine, in declaration order.
+   * @param {string} ruleName - Rule name
+   * @param {Project} project - Project instance
+   * @returns {Object} - Effective parameters
+   */
+  getParameters(ruleName, project) {
+    const rule = this.getRule(ruleName);
+    if (!rule) return {};
+
+    const parameters = { ...(rule.parameters || {}) };
+    for (const override of rule.machineOverrides || []) {
+      if (
+        override.parameters &&
+        this.matchesMachine(project.machine, override.machines)
+      ) {
+        Object.assign(parameters, override.parameters);
+      }
+    }
+    return parameters;
+  }
+
+  /**
+   * Resolves the severity of a rule's violations for a project:
+   * the rule severity (default "error"), then the last matching machine override.
+   * @param {string} ruleName - Rule name
+   * @param {Project} project - Project instance
+   * @returns {string} - "error", "warning" or "info"
+   */
+  getSeverity(ruleName, project) {
+    const rule = this.getRule(ruleName);
+    if (!rule) return "error";
+
+    let severity = rule.severity || "error";
+    for (const override of rule.machineOverrides || []) {
+      if (
+        override.severity &&
+        this.matchesMachine(project.machine, override.machines)
+      ) {
+        severity = override.severity;
+      }
+    }
+    return severity;
+  }
+
+  /**
+   * Returns the worse of the given severities ("error" > "warning" > "info").
+   * @param {...string} severities - Severities to compare (unknown values are ignored)
+   * @returns {string|null} - Worst severity or null if none given
+   */
+  static worstSeverity(...severities) {
+    return SEVERITIES.find((severity) => severities.includes(severity)) || null;
+  }
+
+  /**
+   * Checks a machine name against patterns.
+   * "@group" expands a machine group, "*" is a wildcard, other patterns
+   * match as case-insensitive substrings.
+   * @param {string|null} machine - Machine name from the project JSON
+   * @param {Array<string>} patterns - Machine patterns
+   * @returns {boolean} - True if any pattern matches
+   */
+  matchesMachine(machine, patterns) {
+    if (!machine) return false;
+    const machineName = machine.toLowerCase();
+
+    return this.expandMachinePatterns(patterns).some((pattern) => {
+      const lowerPattern = pattern.toLowerCase();
+      if (lowerPattern.includes("*")) {
+        const regex = new RegExp(
+          `^${lowerPattern
+            .split("*")
+            .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*")}$`
+        );
+        return regex.test(machineName);
+      }
+      return machineName.includes(lowerPattern);
+    });
+  }
+
+  /**
+   * Expands "@group" references into the group's machine patterns.
+   * @param {Array<string>} patterns - Machine patterns
+   * @returns {Array<string>} - Patterns without group references
+   */
+  expandMachinePatterns(patterns) {
+    return patterns.flatMap((pattern) =>
+      pattern.startsWith("@") ? this.machineGroups[pattern.slice(1)] || [] : [pattern]
+    );
+  }
+}
+
+/**
+ * Validates the appliesTo block of a rule.
+ */
+function validateAppliesTo(appliesTo, at, machineGroups) {
+  const errors = [];
+
+  if (!isPlainObject(appliesTo)) {
+    return [`${at}: expected an object`];
+  }
+
+  for (const [key, value] of Object.entries(appliesTo)) {
+    if (!APPLIES_TO_KEYS.includes(key)) {
+      errors.push(`${at}.${key}: unknown condition (allowed: ${APPLIES_TO_KEYS.join(", ")})`);
+      continue;
+    }
+    if (!isStringList(value)) {
+      errors.push(`${at}.${key}: expected a non-empty array of strings`);
+      continue;
+    }
+    if (key === "machines") {
+      errors.push(...validateMachineRefs(value, `${at}.machines`, machineGroups));
+    }
+    if (key === "machineCapabilities") {
+      const MachineCatalog = require("./MachineCatalog");
+      for (const capability of value) {
+        if (!MachineCatalog.CAPABILITIES.includes(capability)) {
+          errors.push(
+            `${at}.machineCapabilities: unknown machine capability "${capability}" (known: ${MachineCatalog.CAPABILITIES.join(
+              ", "
+            )})`
+          );
+        }
+      }
+    }
+    if (key === "toolCategories") {
+      for (const category of value) {
+        if (!(category in config.toolCategories)) {
+          errors.push(
+            `${at}.toolCategories: unknown tool category "${category}" (known: ${Object.keys(
+              config.toolCategories
+            ).join(", ")})`
+          );
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates parameter values: numbers must be finite and non-negative,
+ * tool category lists (keys ending in "toolCategories") must name known categories.
+ */
+function validateParameters(parameters, at) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(parameters)) {
+    if (typeof value === "number" && !(Number.isFinite(value) && value >= 0)) {
+      errors.push(`${at}.${key}: expected a non-negative number, got ${value}`);
+    }
+    if (/toolCategories$/i.test(key)) {
+      if (!isStringList(value)) {
+        errors.push(`${at}.${key}: expected a non-empty array of tool categories`);
+        continue;
+      }
+      for (const category of value) {
+        if (!(category in config.toolCategories)) {
+          errors.push(`${at}.${key}: unknown tool category "${category}"`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates that "@group" machine references point to declared groups.
+ */
+function validateMachineRefs(machines, at, machineGroups) {
+  return machines
+    .filter((pattern) => pattern.startsWith("@"))
+    .filter((pattern) => !machineGroups[pattern.slice(1)])
+    .map((pattern) => `${at}: unknown machine group "${pattern}"`);
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => typeof item === "string" && item.length > 0)
+  );
+}
+
+RuleProfile.SEVERITIES = SEVERITIES;
+
+module.exports = RuleProfile;
@@ -0,0 +1,199 @@
+// path: src/RuleResult.js
+/**
+ * RuleResult defines the one result shape the rule engine works with and
+ * normalizes whatever a rule module returned into that shape.
+ *
+ * RuleResult shape:
+ * {
+ *   ruleName: "GunDrill60MinLimit",      // Rule file name, set by the engine
+ *   status: "passed" | "failed" | "error",
+ *   violations: [{
+ *     message: "Program 1 uses gundrill tools for 75 minutes (limit: 60 min)",
+ *     ncFile: "W5270NS01003A1.json",     // Location fields, all optional
+ *     program: "1",
+ *     operation: 12,
+ *     tool: "GUH-5691-D8",
+ *     line: 42,                          // Line in the .h NC file
+ *     severity: "warning",              // Optional, defaults to the rule profile severity
+ *     ...                               // Any extra rule-specific details
+ *   }],
+ *   violationCount: 1,                  // Always violations.length
+ *   summary: "1 program(s) exceed 60-minute gundrill limit",
+ *   metrics: {},                        // Optional rule-specific numbers
+ *   errors: [{ message, stack }]        // Why the rule could not produce a verdict
+ * }
+ *
+ * A rule that throws, or returns something that doesn't fit the shape, ends up
+ * with status "error" - never "passed".
+ */
+
+const RuleProfile = require("./RuleProfile");
+
+const STATUSES = ["passed", "failed", "error"];
+const LOCATION_FIELDS = {
+  ncFile: ["string"],
+  program: ["string", "number"],
+  operation: ["string", "number"],
+  tool: ["string"],
+  line: ["number"],
+};
+
+class RuleResult {
+  /**
+   * Normalizes a raw rule return value into a RuleResult and validates it.
+   * Also accepts the older shapes: an array of failed items, `{passed, failures}`
+   * and plain booleans.
+   * @param {string} ruleName - Name of the rule (filename without .js)
+   * @param {*} raw - Value returned by the rule function
+   * @returns {Object} - Normalized RuleResult
+   */
+  static normalize(ruleName, raw) {
+    if (Array.isArray(raw)) {
+      // Legacy: list of failed items (NC file names, job numbers, ...)
+      return RuleResult.finalize(ruleName, {
+        violations: raw.map((item) =>
+          isPlainObject(item) ? item : { item }
+        ),
+      });
+    }
+
+    if (typeof raw === "boolean") {
+      return RuleResult.finalize(ruleName, {
+        status: raw ? "passed" : "failed",
+        violations: raw ? [] : [{ message: `${ruleName} reported a failure` }],
+      });
+    }
+
+    if (!isPlainObject(raw)) {
+      return RuleResult.fromError(
+        ruleName,
+        new Error(`Rule returned an unsupported result (${raw === null ? "null" : typeof raw})`)
+      );
+    }
+
+    if (raw.status === undefined && raw.passed !== undefined) {
+      // Legacy: { passed, failures }
+      return RuleResult.finalize(ruleName, {
+        ...raw,
+        status: raw.passed ? "passed" : "failed",
+        violations: raw.failures || [],
+      });
+    }
+
+    return RuleResult.finalize(ruleName, raw);
+  }
+
+  /**
+   * Builds an "error" RuleResult from an exception thrown by a rule.
+   * @param {string} ruleName - Name of the rule
+   * @param {Error} error - The thrown error
+   * @returns {Object} - RuleResult with status "error"
+   */
+  static fromError(ruleName, error) {
+    return {
+      ruleName,
+      status: "error",
+      violations: [],
+      violationCount: 0,
+      summary: `Rule could not be evaluated: ${error.message}`,
+      metrics: {},
+      errors: [{ message: error.message, stack: error.stack }],
+    };
+  }
+
+  /**
+   * Fills in defaults, validates the result and turns contract violations
+   * into an "error" status.
+   * @param {string} ruleName - Name of the rule
+   * @param {Object} raw - Result object in (roughly) RuleResult shape
+   * @returns {Object} - Normalized RuleResult
+   */
+  static finalize(ruleName, raw) {
+    const violations = Array.isArray(raw.violations) ? raw.violations : [];
+    const result = {
+      ruleName,
+      status: raw.status || (violations.length > 0 ? "failed" : "passed"),
+      violations,
+      violationCount: violations.length,
+      summary: typeof raw.summary === "string" ? raw.summary : "",
+      metrics: isPlainObject(raw.metrics) ? raw.metrics : {},
+      errors: Array.isArray(raw.errors) ? raw.errors : [],
+    };
+
+    const problems = RuleResult.validate(raw);
+    if (problems.length > 0) {
+      result.status = "error";
+      result.errors.push(
+        ...problems.map((problem) => ({ message: `Invalid rule result: ${problem}` }))
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Validates a rule result against the RuleResult contract.
+   * @param {Object} raw - Result object returned by the rule
+   * @returns {Array<string>} - Problems found (empty when valid)
+   */
+  static validate(raw) {
+    const problems = [];
+
+    if (raw.status !== undefined && !STATUSES.includes(raw.status)) {
+      problems.push(`status must be one of ${STATUSES.join("/")}, got "${raw.status}"`);
+    }
+
+    if (raw.violations !== undefined && !Array.isArray(raw.violations)) {
+      problems.push("violations must be an array");
+      return problems;
+    }
+
+    const violations = raw.violations || [];
+    violations.forEach((violation, index) => {
+      if (!isPlainObject(violation)) {
+        problems.push(`violations[${index}] must be an object`);
+        return;
+      }
+      if (violation.message !== undefined && typeof violation.message !== "string") {
+        problems.push(`violations[${index}].message must be a string`);
+      }
+      Object.entries(LOCATION_FIELDS).forEach(([field, types]) => {
+        const value = violation[field];
+        if (value !== undefined && value !== null && !types.includes(typeof value)) {
+          problems.push(`violations[${index}].${field} must be a ${types.join(" or ")}`);
+        }
+      });
+      if (
+        violation.severity !== undefined &&
+        !RuleProfile.SEVERITIES.includes(violation.severity)
+      ) {
+        problems.push(
+          `violations[${index}].severity must be one of ${RuleProfile.SEVERITIES.join("/")}`
+        );
+      }
+    });
+
+    if (raw.status === "passed" && violations.length > 0) {
+      problems.push(`status is "passed" but ${violations.length} violation(s) were reported`);
+    }
+    if (raw.status === "failed" && violations.length === 0) {
+      problems.push(`status is "failed" but no violations were reported`);
+    }
+    if (raw.violationCount !== undefined && raw.violationCount !== violations.length) {
+      problems.push(
+        `violationCount is ${raw.violationCount} but ${violations.length} violation(s) were reported`
+      );
+    }
+
+    return problems;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+RuleResult.STATUSES = STATUSES;
+RuleResult.LOCATION_FIELDS = Object.keys(LOCATION_FIELDS);
+
+module.exports = RuleResult;
@@ -0,0 +1,326 @@
+// path: src/RunComparator.js
+/**
+ * RunComparator compares two analysis runs of the same project from the
+ * result history: which NC files were added or removed, which operations changed
+ * tool, time, feed or speed, and which violations were fixed or introduced.
+ *
+ * Used by `node main.js --diff <projectId> [runA] [runB]` and GET /api/projects/:id/diff.
+ */
+
+const ResultHistory = require("./ResultHistory");
+
+// Operation fields compared between runs
+const OPERATION_FIELDS = ["toolName", "operationTime", "maxFeed", "maxSpeed"];
+
+class RunComparator {
+  /**
+   * @param {ResultHistory} history - Result history to read runs from
+   */
+  constructor(history = new ResultHistory()) {
+    this.history = history;
+  }
+
+  /**
+   * Compares two runs of a project. Without run IDs the latest run is compared
+   * with the one before it; with only runA, runA is compared with the latest.
+   * Run IDs may be shortened to any unique prefix.
+   * @param {string} projectId - Project ID
+   * @param {string|null} runA - Older run ID (or prefix)
+   * @param {string|null} runB - Newer run ID (or prefix)
+   * @returns {Object} - Diff (see compare())
+   */
+  compareRuns(projectId, runA = null, runB = null) {
+    const runs = this.history.listRuns(projectId);
+    if (runs.length === 0) {
+      throw new Error(`No result history for project '${projectId}'`);
+    }
+
+    const to = runB ? this.findRun(runs, runB) : runs[0];
+    const from = runA
+      ? this.findRun(runs, runA)
+      : runs.find((run) => new Date(run.processedAt) < new Date(to.processedAt));
+
+    if (!from) {
+      throw new Error(
+        `Project '${projectId}' has only one run before ${to.runId} - nothing to compare`
+      );
+    }
+
+    return this.compare(
+      this.history.getRun(projectId, from.runId),
+      this.history.getRun(projectId, to.runId)
+    );
+  }
+
+  /**
+   * Finds a run by ID or unique ID prefix.
+   * @param {Array<Object>} runs - Run summaries
+   * @param {string} runId - Run ID or prefix
+   * @returns {Object} - Matching run summary
+   */
+  findRun(runs, runId) {
+    const exact = runs.find((run) => run.runId === runId);
+    if (exact) return exact;
+
+    const matches = runs.filter((run) => run.runId.startsWith(runId));
+    if (matches.length === 0) {
+      throw new Error(`Run '${runId}' not found`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Run '${runId}' is ambiguous (${matches.length} runs match)`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Compares two history run entries.
+   * @param {Object} from - Older run entry
+   * @param {Object} to - Newer run entry
+   * @returns {Object} - { projectId, from, to, statusChanged, sameInput, ncFiles, tools, violations, summary }
+   */
+  compare(from, to) {
+    const structureRecorded = Boolean(from.project && to.project);
+    const ncFiles = structureRecorded
+      ? this.compareNCFiles(from.project.ncFiles, to.project.ncFiles)
+      : null;
+    const tools = structureRecorded
+      ? this.compareLists(from.project.tools, to.project.tools)
+      : null;
+    const violations = this.compareViolations(
+      from.result?.results?.violations || [],
+      to.result?.results?.violations || []
+    );
+
+    return {
+      projectId: to.projectId,
+      from: this.describeRun(from),
+      to: this.describeRun(to),
+      statusChanged: from.status !== to.status,
+      sameInput: Boolean(from.jsonHash) && from.jsonHash === to.jsonHash,
+      structureRecorded,
+      ncFiles,
+      tools,
+      violations,
+      summary: {
+        ncFilesAdded: ncFiles ? ncFiles.added.length : null,
+        ncFilesRemoved: ncFiles ? ncFiles.removed.length : null,
+        ncFilesChanged: ncFiles ? ncFiles.changed.length : null,
+        operationsChanged: ncFiles
+          ? ncFiles.changed.reduce(
+              (count, file) =>
+                count +
+                file.operations.added.length +
+                file.operations.removed.length +
+                file.operations.changed.length,
+              0
+            )
+          : null,
+        violationsFixed: violations.fixed.length,
+        violationsIntroduced: violations.introduced.length,
+        violationsUnchanged: violations.unchanged,
+      },
+    };
+  }
+
+  describeRun(run) {
+    return {
+      runId: run.runId,
+      processedAt: run.processedAt,
+      jsonHash: run.jsonHash,
+      ruleSetVersion: run.ruleSetVersion,
+      status: run.status,
+      violationCount: run.violationCount,
+      totalTime: run.project ? run.project.totalTime : null,
+    };
+  }
+
+  /**
+   * Compares the NC files (CompoundJobs) of two structure snapshots.
+   * @param {Object} fromFiles - { programName: { toolName, totalTime, operations } }
+   * @param {Object} toFiles - Same shape, newer run
+   * @returns {Object} - { added: [programName], removed: [programName], changed: [...] }
+   */
+  compareNCFiles(fromFiles, toFiles) {
+    const { added, removed, kept } = this.compareLists(
+      Object.keys(fromFiles),
+      Object.keys(toFiles)
+    );
+    const changed = [];
+
+    for (const programName of kept) {
+      const operations = this.compareOperations(
+        fromFiles[programName].operations,
+        toFiles[programName].operations
+      );
+      const totalTime = this.valueChange(
+        fromFiles[programName].totalTime,
+        toFiles[programName].totalTime
+      );
+
+      if (
+        totalTime ||
+        operations.added.length > 0 ||
+        operations.removed.length > 0 ||
+        operations.changed.length > 0
+      ) {
+        changed.push({ programName, totalTime, operations });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Compares the operations of one NC file, matched by operation number.
+   * @param {Array} fromOperations - Operations of the older run
+   * @param {Array} toOperations - Operations of the newer run
+   * @returns {Object} - { added, removed, changed: [{ number, description, changes }] }
+   */
+  compareOperations(fromOperations, toOperations) {
+    const fromByNumber = new Map(fromOperations.map((op) => [String(op.number), op]));
+    const toByNumber = new Map(toOperations.map((op) => [String(op.number), op]));
+    const result = { added: [], removed: [], changed: [] };
+
+    toByNumber.forEach((op, number) => {
+      if (!fromByNumber.has(number)) {
+        result.added.push({ number: op.number, description: op.description });
+      }
+    });
+
+    fromByNumber.forEach((fromOp, number) => {
+      const toOp = toByNumber.get(number);
+      if (!toOp) {
+        result.removed.push({ number: fromOp.number, description: fromOp.description });
+        return;
+      }
+
+      const changes = {};
+      for (const field of OPERATION_FIELDS) {
+        const change = this.valueChange(fromOp[field], toOp[field]);
+        if (change) changes[field] = change;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        result.changed.push({ number: toOp.number, description: toOp.description, changes });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Compares violations by rule and location (or message when there's no location).
+   * @param {Array} fromViolations - Violations of the older run
+   * @param {Array} toViolations - Violations of the newer run
+   * @returns {Object} - { fixed: [violation], introduced: [violation], unchanged: count }
+   */
+  compareViolations(fromViolations, toViolations) {
+    const remaining = new Map();
+    for (const violation of fromViolations) {
+      const key = this.violationKey(violation);
+      remaining.set(key, [...(remaining.get(key) || []), violation]);
+    }
+
+    const introduced = [];
+    let unchanged = 0;
+    for (const violation of toViolations) {
+      const matches = remaining.get(this.violationKey(violation));
+      if (matches && matches.length > 0) {
+        matches.shift();
+        unchanged++;
+      } else {
+        introduced.push(violation);
+      }
+    }
+
+    const fixed = Array.from(remaining.values()).flat();
+    return { fixed, introduced, unchanged };
+  }
+
+  violationKey(violation) {
+    return `${violation.rule}|${violation.location || violation.message}`;
+  }
+
+  /**
+   * Splits two lists into added, removed and kept entries.
+   * @param {Array} fromList - Older entries
+   * @param {Array} toList - Newer entries
+   * @returns {Object} - { added, removed, kept }
+   */
+  compareLists(fromList, toList) {
+    const fromSet = new Set(fromList);
+    const toSet = new Set(toList);
+    return {
+      added: toList.filter((item) => !fromSet.has(item)),
+      removed: fromList.filter((item) => !toSet.has(item)),
+      kept: toList.filter((item) => fromSet.has(item)),
+    };
+  }
+
+  valueChange(from, to) {
+    return from === to ? null : { from: from ?? null, to: to ?? null };
+  }
+
+  /**
+   * Prints a diff for the command line.
+   * @param {Object} diff - Result of compare()
+   */
+  printDiff(diff) {
+    const { from, to, summary } = diff;
+
+    console.log(`🔀 ${diff.projectId}: ${from.runId} → ${to.runId}`);
+    console.log(
+      `  Status: ${from.status?.toUpperCase()} → ${to.status?.toUpperCase()}${
+        diff.statusChanged ? "" : " (unchanged)"
+      }`
+    );
+    console.log(
+      `  Input: ${diff.sameInput ? "same JSON content" : "JSON content changed"}, rule set ${
+        from.ruleSetVersion === to.ruleSetVersion
+          ? "unchanged"
+          : `${from.ruleSetVersion} → ${to.ruleSetVersion}`
+      }`
+    );
+
+    if (!diff.structureRecorded) {
+      console.log("  ⚠️ NC file/operation data not recorded for one of the runs");
+    } else {
+      if (from.totalTime !== to.totalTime) {
+        console.log(`  Total time: ${from.totalTime} → ${to.totalTime}`);
+      }
+      diff.ncFiles.added.forEach((name) => console.log(`  ➕ NC file ${name}`));
+      diff.ncFiles.removed.forEach((name) => console.log(`  ➖ NC file ${name}`));
+      diff.tools.added.forEach((name) => console.log(`  ➕ Tool ${name}`));
+      diff.tools.removed.forEach((name) => console.log(`  ➖ Tool ${name}`));
+
+      for (const file of diff.ncFiles.changed) {
+        console.log(`  ✏️  ${file.programName}`);
+        file.operations.added.forEach((op) =>
+          console.log(`     ➕ Operation ${op.number}: ${op.description || ""}`)
+        );
+        file.operations.removed.forEach((op) =>
+          console.log(`     ➖ Operation ${op.number}: ${op.description || ""}`)
+        );
+        file.operations.changed.forEach((op) => {
+          const changes = Object.entries(op.changes)
+            .map(([field, change]) => `${field} ${change.from} → ${change.to}`)
+            .join(", ");
+          console.log(`     ✏️  Operation ${op.number}: ${changes}`);
+        });
+      }
+    }
+
+    diff.violations.fixed.forEach((v) => console.log(`  ✅ Fixed: [${v.rule}] ${v.message}`));
+    diff.violations.introduced.forEach((v) =>
+      console.log(`  ❌ Introduced: [${v.rule}] ${v.message}`)
+    );
+
+    console.log(
+      `\n📊 ${summary.violationsFixed} fixed, ${summary.violationsIntroduced} introduced, ${summary.violationsUnchanged} unchanged violation(s)`
+    );
+  }
+}
+
+RunComparator.OPERATION_FIELDS = OPERATION_FIELDS;
+
+module.exports = RunComparator;
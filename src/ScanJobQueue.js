@@ -0,0 +1,208 @@
+// path: src/ScanJobQueue.js
+/**
+ * ScanJobQueue runs on-demand scans (POST /api/projects/scan) one at a time
+ * through the Executor and keeps their state for GET /api/jobs/:id.
+ *
+ * Job states: queued -> copying -> analyzing -> rules -> saved, or failed (also
+ * when none of the scanned projects could be saved). A saved job with some
+ * failed projects reports them in failedCount.
+ * Emits "job" with the job snapshot on every state or progress change.
+ */
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { logInfo, logError } = require("../utils/Logger");
+const ProgressTracker = require("../utils/ProgressTracker");
+
+const MAX_FINISHED_JOBS = 100; // Older finished jobs are forgotten
+
+class ScanJobQueue extends EventEmitter {
+  /**
+   * @param {Function} getExecutor - Returns the Executor used to run scans
+   */
+  constructor(getExecutor) {
+    super();
+    this.getExecutor = getExecutor;
+    this.jobs = new Map(); // Map<jobId, job>
+    this.pending = []; // Job IDs waiting to run
+    this.isProcessing = false;
+  }
+
+  /**
+   * Adds a scan job to the queue and starts processing if idle.
+   * @param {string} scanPath - Folder to scan
+   * @param {Object} options - { force }
+   * @returns {Object} - Job snapshot
+   */
+  enqueue(scanPath, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      projectPath: scanPath,
+      force: !!options.force,
+      state: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      failedCount: 0, // Projects that could not be saved
+      progress: null,
+      projects: [], // [{ name, state, status, violationCount }]
+      results: [], // Dashboard-format results of the processed projects
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.pruneFinishedJobs();
+    logInfo(`📥 Scan job ${job.id} queued for ${scanPath}`);
+    const snapshot = this.toJSON(job);
+    this.emit("job", snapshot);
+
+    // Run in background - callers poll GET /api/jobs/:id
+    this.processQueue();
+    return snapshot;
+  }
+
+  /**
+   * Gets a job snapshot by ID.
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job snapshot or null if unknown
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * Lists all known jobs, newest first.
+   * @returns {Array<Object>} - Job snapshots
+   */
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .reverse()
+      .map((job) => this.toJSON(job));
+  }
+
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      while (this.pending.length > 0) {
+        const job = this.jobs.get(this.pending.shift());
+        if (job) {
+          await this.runJob(job);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Runs one job through the Executor, tracking its stages.
+   * @param {Object} job - Job to run
+   */
+  async runJob(job) {
+    job.startedAt = new Date().toISOString();
+    let tracker = null;
+
+    const onStage = (stage, project, projects) => {
+      if (stage === "scanned") {
+        tracker = new ProgressTracker(`Scan job ${job.id}`, projects.length);
+        job.projects = projects.map((p) => ({
+          name: p.getFullName(),
+          state: "queued",
+          status: null,
+          violationCount: 0,
+        }));
+        job.progress = tracker.getProgress();
+        this.emit("job", this.toJSON(job));
+        return;
+      }
+
+      if (!project) {
+        this.updateJob(job, { state: stage });
+        return;
+      }
+
+      const entry = job.projects.find((p) => p.name === project.getFullName());
+      if (entry) {
+        entry.state = stage;
+      }
+
+      if (stage === "saved" || stage === "failed") {
+        const results = project.getAnalysisResults();
+        if (entry) {
+          entry.status = results.status;
+          entry.violationCount = results.results.violations.length;
+        }
+        job.results.push(results);
+        tracker.update(project.getFullName());
+        job.progress = tracker.getProgress();
+        this.emit("job", this.toJSON(job));
+      } else {
+        this.updateJob(job, { state: stage });
+      }
+    };
+
+    try {
+      await this.getExecutor().scanAndProcess(job.projectPath, {
+        force: job.force,
+        onStage,
+      });
+
+      if (tracker) {
+        tracker.complete();
+        job.progress = tracker.getProgress();
+      }
+      const failedCount = job.projects.filter((p) => p.state === "failed").length;
+      if (failedCount > 0 && failedCount === job.projects.length) {
+        logError(`Scan job ${job.id} failed: none of ${failedCount} project(s) could be saved`);
+        this.updateJob(job, {
+          state: "failed",
+          failedCount,
+          error: `None of ${failedCount} project(s) could be saved`,
+          finishedAt: new Date().toISOString(),
+        });
+        return;
+      }
+
+      this.updateJob(job, { state: "saved", failedCount, finishedAt: new Date().toISOString() });
+      logInfo(
+        `✅ Scan job ${job.id} finished: ${job.projects.length} project(s) processed` +
+          (failedCount > 0 ? `, ${failedCount} failed` : "")
+      );
+    } catch (err) {
+      logError(`Scan job ${job.id} failed: ${err.message}`);
+      this.updateJob(job, {
+        state: "failed",
+        error: err.message,
+        finishedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  updateJob(job, changes) {
+    Object.assign(job, changes);
+    this.emit("job", this.toJSON(job));
+  }
+
+  /**
+   * Drops the oldest finished jobs beyond MAX_FINISHED_JOBS.
+   */
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter(
+      (job) => job.state === "saved" || job.state === "failed"
+    );
+
+    finished
+      .slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach((job) => this.jobs.delete(job.id));
+  }
+
+  toJSON(job) {
+    return JSON.parse(JSON.stringify(job));
+  }
+}
+
+module.exports = ScanJobQueue;
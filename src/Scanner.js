@@ -11,6 +11,8 @@ const config = require("../config");
 const { logInfo, logWarn, logError } = require("../utils/Logger");
 const { getDirectories } = require("../utils/FileUtils");
 const Project = require("./Project");
+const WaiverStore = require("./WaiverStore");
+const eventBus = require("./EventBus");
 const PersistentTempManager = require("../utils/PersistentTempManager");
 
 class Scanner {
@@ -28,6 +30,10 @@ class Scanner {
     logInfo("Using persistent temp folder with original structure");
 
     this.scannedPaths = new Set(); // Track what we've scanned
+    this.ruleSetVersion = null; // Set by Executor from RuleEngine, used to skip up-to-date results
+    this.waiverStore = new WaiverStore(); // Waiver changes make a stored result outdated
+    this.scannedWaiversHash = null; // Active waivers at the last walk of the tree
+    this.deferLoading = false; // Set by Executor: true = exports are loaded when processed (worker pool), not while scanning
 
     if (config.app.testMode) {
       logInfo(`Test mode: Using test_processed_data for temp operations`);
@@ -73,18 +79,29 @@ class Scanner {
    * Detects new project folders matching the naming pattern.
    * Uses temp file copies for read-only processing.
    * @param {string} customPath - Custom path for manual mode (optional)
+   * @param {Object} options - { stableMs: skip exports modified less than this long ago (autorun) }
    */
-  async performScan(customPath = null) {
-    try {
-      // Get the appropriate scan path based on mode and test settings
-      const scanPath = customPath || config.getScanPath();
+  async performScan(customPath = null, options = {}) {
+    // Get the appropriate scan path based on mode and test settings
+    const scanPath = customPath || config.getScanPath();
+    const scanStartTime = Date.now();
+    const publishCompleted = (jsonFileCount, changed = true) =>
+      eventBus.publish("scan.completed", {
+        scanPath,
+        jsonFileCount,
+        projectsQueued: this.projects.length,
+        changed,
+        durationMs: Date.now() - scanStartTime,
+      });
 
+    try {
       if (!scanPath) {
         logError("No scan path available. Manual mode requires a custom path.");
         return [];
       }
 
       logInfo(`🔍 Scanning: ${scanPath}`);
+      eventBus.publish("scan.started", { scanPath });
 
       if (!fs.existsSync(scanPath)) {
         if (config.app.testMode) {
@@ -96,6 +113,7 @@ class Scanner {
           fs.mkdirSync(scanPath, { recursive: true });
           logInfo(`📁 Created production directory: ${scanPath}`);
         }
+        publishCompleted(0, false);
         return [];
       }
 
@@ -105,12 +123,18 @@ class Scanner {
           `🔄 Checking for changes in previously scanned path: ${scanPath}`
         );
         const changes = await this.tempManager.detectChanges();
+        // Waivers added, revoked or expired since the last walk outdate the
+        // results of their projects, so the tree is walked again
+        const waiversChanged = this.waiverStore.getStoreHash() !== this.scannedWaiversHash;
 
         if (changes.hasChanges) {
           logInfo(`📝 ${changes.summary}`);
           await this.tempManager.updateChangedFiles(changes);
+        } else if (waiversChanged) {
+          logInfo("📝 Waivers changed since last scan.");
         } else {
           logInfo("✅ No changes detected since last scan.");
+          publishCompleted(0, false);
           return this.projects; // Return existing projects if no changes
         }
       } else {
@@ -119,13 +143,22 @@ class Scanner {
         logInfo(`📂 First scan of path: ${scanPath}`);
       }
 
+      this.scannedWaiversHash = this.waiverStore.getStoreHash();
       const dirs = getDirectories(scanPath);
 
       // Recursively scan all directories to find JSON files
-      const allJsonFiles = await this.findAllJsonFiles(scanPath);
+      const { jsonFiles: allJsonFiles, unstableCount } = await this.findAllJsonFiles(
+        scanPath,
+        options.stableMs
+      );
+      if (unstableCount > 0) {
+        // The next scan has to walk the tree again to find the skipped exports
+        this.scannedPaths.delete(scanPath);
+      }
 
       if (allJsonFiles.length === 0) {
         logWarn("No JSON files found in any subdirectories.");
+        publishCompleted(0);
         return;
       }
 
@@ -133,91 +166,139 @@ class Scanner {
         `Found ${allJsonFiles.length} JSON file(s) across all subdirectories.`
       );
 
-      // Group JSON files by project and create Project instances
-      const projectGroups = this.groupJsonFilesByProject(allJsonFiles);
-      let totalProjectsProcessed = 0;
-
-      for (const [projectKey, jsonFiles] of projectGroups) {
-        for (const jsonFile of jsonFiles) {
-          try {
-            // Create a project for each JSON file found using temp path
-            const projectPath = this.getProjectPathFromJsonFile(jsonFile);
-            const project = new Project(projectPath);
-
-            // Set the temp JSON file path (projects will work with temp copies)
-            project.jsonFilePath = jsonFile.tempPath;
-            project.originalJsonFilePath = jsonFile.fullPath; // Keep reference to original
-            project.machineFolder = path.dirname(jsonFile.tempPath);
-            project.originalMachineFolder = path.dirname(jsonFile.fullPath);
-            project.position = jsonFile.position;
-
-            // Check if project has fatal errors and should be skipped
-            if (project.hasFatalErrors()) {
-              logWarn(
-                `⚠️  Skipping project "${jsonFile.projectName}" - marked as fatal error`
-              );
-              continue;
-            }
-
-            // Load JSON data from temp copy
-            const loaded = project.loadJsonData();
-            if (loaded) {
-              // Check if already processed (unless force reprocessing is enabled)
-              if (project.isAlreadyProcessed() && !config.app.forceReprocess) {
-                logInfo(
-                  `⏭️  Skipping project "${jsonFile.projectName}" - already processed (result file exists)`
-                );
-                continue;
-              }
-
-              project.isValid = true;
-              project.status = "ready";
-              this.projects.push(project);
-              logInfo(
-                `Added project "${
-                  jsonFile.projectName
-                }" with ${project.getTotalJobCount()} operations, ${
-                  project.compoundJobs.size
-                } NC files (using temp copy)`
-              );
-              totalProjectsProcessed++;
-            }
-          } catch (err) {
-            logError(
-              `Error processing JSON file ${jsonFile.fileName}: ${err.message}`
-            );
-          }
-        }
-      }
+      const totalProjectsProcessed = this.queueJsonFiles(allJsonFiles);
 
       logInfo(
         `Successfully processed ${totalProjectsProcessed} project(s) from ${allJsonFiles.length} JSON file(s).`
       );
+      publishCompleted(allJsonFiles.length);
     } catch (err) {
       logError(`Scanner failed: ${err.message}`);
+      eventBus.publish("scan.failed", { scanPath, error: err.message });
     }
   }
 
+  /**
+   * Creates a project for every collected JSON file and queues the ones that
+   * need processing (not marked fatal, not already processed).
+   * @param {Array} collectedFiles - JSON file objects from collectJsonFile()
+   * @returns {number} - Number of projects queued
+   */
+  queueJsonFiles(collectedFiles) {
+    // Group JSON files by project and create Project instances
+    const projectGroups = this.groupJsonFilesByProject(collectedFiles);
+    let totalProjectsProcessed = 0;
+
+    for (const [projectKey, jsonFiles] of projectGroups) {
+      for (const jsonFile of jsonFiles) {
+        try {
+          // Create a project for each JSON file found using temp path
+          const projectPath = this.getProjectPathFromJsonFile(jsonFile);
+          const project = new Project(projectPath);
+
+          // Set the temp JSON file path (projects will work with temp copies)
+          project.jsonFilePath = jsonFile.tempPath;
+          project.originalJsonFilePath = jsonFile.fullPath; // Keep reference to original
+          project.machineFolder = path.dirname(jsonFile.tempPath);
+          project.originalMachineFolder = path.dirname(jsonFile.fullPath);
+          project.position = jsonFile.position;
+
+          // Check if project has fatal errors and should be skipped
+          if (project.hasFatalErrors()) {
+            logWarn(
+              `⚠️  Skipping project "${jsonFile.projectName}" - marked as fatal error`
+            );
+            continue;
+          }
+
+          // Check if already processed (unless force reprocessing is enabled) -
+          // before loading, so unchanged exports are not read at all. A result
+          // recorded in the manifest also has to match the rule set and waivers;
+          // without one, a result file newer than the export counts.
+          project.waiverHash = this.waiverStore.getWaiverHash(project);
+          const hasCurrentResult = this.tempManager.hasRecordedResult(jsonFile.fullPath)
+            ? !jsonFile.isChanged &&
+              this.tempManager.isUpToDate(
+                jsonFile.fullPath,
+                this.ruleSetVersion,
+                project.waiverHash
+              )
+            : project.isAlreadyProcessed();
+          if (hasCurrentResult && !config.app.forceReprocess) {
+            logInfo(
+              `⏭️  Skipping project "${jsonFile.projectName}" - already processed (result file exists)`
+            );
+            continue;
+          }
+
+          // Load JSON data from temp copy (single streaming pass, also writes the fixed JSON)
+          const loaded =
+            this.deferLoading || project.loadJsonData({ writeFixedFile: true });
+          if (loaded) {
+            project.isValid = true;
+            project.status = "ready";
+            this.projects.push(project);
+            // Machine, operator and counts are unknown until a deferred export is loaded
+            eventBus.publish("project.queued", {
+              project: project.getFullName(),
+              position: project.position,
+              machine: project.machine,
+              operator: project.operator,
+              operationCount: this.deferLoading ? null : project.getTotalJobCount(),
+              ncFileCount: this.deferLoading ? null : project.compoundJobs.size,
+            });
+            logInfo(
+              this.deferLoading
+                ? `Added project "${jsonFile.projectName}" (using temp copy, loaded when processed)`
+                : `Added project "${
+                    jsonFile.projectName
+                  }" with ${project.getTotalJobCount()} operations, ${
+                    project.compoundJobs.size
+                  } NC files (using temp copy)`
+            );
+            totalProjectsProcessed++;
+          }
+        } catch (err) {
+          logError(
+            `Error processing JSON file ${jsonFile.fileName}: ${err.message}`
+          );
+        }
+      }
+    }
+
+    return totalProjectsProcessed;
+  }
+
   /**
    * Trigger a manual scan for a single project path (used when autorun is off).
+   * Every position of the project is added as its own project.
    * @param {string} projectPath - Path to the project to scan.
+   * @returns {Project|null} - The initialized project holding all positions
    */
   scanProject(projectPath) {
     try {
       const project = new Project(projectPath);
-      const initialized = project.initialize();
+      const initialized = project.initialize(
+        this.deferLoading ? null : { writeFixedFile: true }
+      );
 
       if (initialized && project.isValid) {
-        this.projects.push(project);
-        logInfo(
-          `Manually added project "${project.name}" with ${project.compoundJobs.size} NC file(s)`
-        );
-      } else {
-        logWarn(`Project "${project.name}" has no valid target JSON files`);
+        for (const positionProject of project.getPositions()) {
+          this.projects.push(positionProject);
+          logInfo(
+            this.deferLoading
+              ? `Manually added position "${positionProject.getFullName()}"`
+              : `Manually added position "${positionProject.getFullName()}" with ${positionProject.compoundJobs.size} NC file(s)`
+          );
+        }
+        return project;
       }
+
+      logWarn(`Project "${project.name}" has no valid target JSON files`);
     } catch (err) {
       logError(`Manual scan failed: ${err.message}`);
     }
+    return null;
   }
 
   /**
@@ -354,10 +435,13 @@ class Scanner {
    * Recursively finds all JSON files in the given directory tree.
    * Creates temp copies for read-only processing.
    * @param {string} rootPath - Root directory to start searching
-   * @returns {Array} - Array of JSON file objects with metadata
+   * @param {number} stableMs - Skip exports modified less than this long ago - the CAM
+   *   station may still be writing them (0 = take all)
+   * @returns {Object} - { jsonFiles: JSON file objects with metadata, unstableCount: exports skipped }
    */
-  async findAllJsonFiles(rootPath) {
+  async findAllJsonFiles(rootPath, stableMs = 0) {
     const jsonFiles = [];
+    let unstableCount = 0;
 
     const scanDirectory = async (dirPath) => {
       try {
@@ -373,54 +457,22 @@ class Scanner {
             // Skip generated files
             if (
               item.name.includes("BRK_fixed") ||
+              item.name.includes("BRK_repairs") ||
               item.name.includes("BRK_result")
             ) {
               continue;
             }
 
-            // Extract project information from filename and path
-            const fileInfo = this.extractProjectInfoFromPath(
-              fullPath,
-              item.name
-            );
+            const stats = stableMs > 0 ? fs.statSync(fullPath, { throwIfNoEntry: false }) : null;
+            if (stats && Date.now() - stats.mtimeMs < stableMs) {
+              logInfo(`⏳ Skipping ${item.name} - still being written, picked up by a later scan`);
+              unstableCount++;
+              continue;
+            }
+
+            const fileInfo = await this.collectJsonFile(fullPath, rootPath);
             if (fileInfo) {
-              try {
-                if (config.app.usePersistentTempFolder) {
-                  // Use new persistent approach - copy only essential files with structure
-                  const copyResult = await this.tempManager.copyJsonProject(
-                    fullPath,
-                    rootPath
-                  );
-                  fileInfo.tempPath = copyResult.jsonFile;
-                  fileInfo.tempProjectDir = path.dirname(copyResult.jsonFile);
-                  fileInfo.sessionFile = copyResult.sessionFile;
-                  fileInfo.ncFiles = copyResult.ncFiles;
-                  fileInfo.isChanged = copyResult.isChanged;
-                  fileInfo.sessionId = copyResult.sessionId;
-                } else {
-                  // Legacy approach - copy JSON file and entire project directory
-                  const tempPath = await this.tempManager.copyToTemp(fullPath);
-                  fileInfo.tempPath = tempPath;
-
-                  // Also copy the entire project directory if it contains NC files
-                  const projectDir = this.getProjectPathFromJsonFile(fileInfo);
-                  if (projectDir && projectDir !== path.dirname(fullPath)) {
-                    const tempProjectDir = await this.tempManager.copyToTemp(
-                      projectDir
-                    );
-                    fileInfo.tempProjectDir = tempProjectDir;
-                  }
-                }
-
-                jsonFiles.push(fileInfo);
-                logInfo(
-                  `📄 Copied to temp: ${item.name} → ${path.basename(
-                    fileInfo.tempPath
-                  )}`
-                );
-              } catch (err) {
-                logError(`Failed to copy ${fullPath} to temp: ${err.message}`);
-              }
+              jsonFiles.push(fileInfo);
             }
           }
         }
@@ -430,7 +482,108 @@ class Scanner {
     };
 
     await scanDirectory(rootPath);
-    return jsonFiles;
+    return { jsonFiles, unstableCount };
+  }
+
+  /**
+   * Copies an export (with its NC files) to temp for read-only processing.
+   * @param {string} fullPath - Export JSON file
+   * @param {string} rootPath - Scan root (the temp copy keeps the structure below it)
+   * @returns {Promise<Object|null>} - JSON file object with metadata, null if not an export or the copy failed
+   */
+  async collectJsonFile(fullPath, rootPath) {
+    const fileName = path.basename(fullPath);
+
+    // Extract project information from filename and path
+    const fileInfo = this.extractProjectInfoFromPath(fullPath, fileName);
+    if (!fileInfo) {
+      return null;
+    }
+
+    try {
+      if (config.app.usePersistentTempFolder) {
+        // Use new persistent approach - copy only essential files with structure
+        const copyResult = await this.tempManager.copyJsonProject(
+          fullPath,
+          rootPath
+        );
+        fileInfo.tempPath = copyResult.jsonFile;
+        fileInfo.tempProjectDir = path.dirname(copyResult.jsonFile);
+        fileInfo.sessionFile = copyResult.sessionFile;
+        fileInfo.ncFiles = copyResult.ncFiles;
+        fileInfo.isChanged = copyResult.isChanged;
+        fileInfo.sessionId = copyResult.sessionId;
+      } else {
+        // Legacy approach - copy JSON file and entire project directory
+        const tempPath = await this.tempManager.copyToTemp(fullPath);
+        fileInfo.tempPath = tempPath;
+
+        // Also copy the entire project directory if it contains NC files
+        const projectDir = this.getProjectPathFromJsonFile(fileInfo);
+        if (projectDir && projectDir !== path.dirname(fullPath)) {
+          const tempProjectDir = await this.tempManager.copyToTemp(
+            projectDir
+          );
+          fileInfo.tempProjectDir = tempProjectDir;
+        }
+      }
+
+      logInfo(
+        `📄 Copied to temp: ${fileName} → ${path.basename(fileInfo.tempPath)}`
+      );
+      return fileInfo;
+    } catch (err) {
+      logError(`Failed to copy ${fullPath} to temp: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a file is a source export the Scanner picks up (used by the
+   * FileWatcher to ignore NC files, generated files and our own temp copies).
+   * @param {string} filePath - File path
+   * @returns {boolean} - True for export JSON files outside the working folder
+   */
+  isExportFile(filePath) {
+    const relativeToWorkingFolder = path.relative(this.tempManager.appPath, filePath);
+    const inWorkingFolder =
+      !relativeToWorkingFolder.startsWith("..") && !path.isAbsolute(relativeToWorkingFolder);
+
+    return (
+      !inWorkingFolder &&
+      this.extractProjectInfoFromPath(filePath, path.basename(filePath)) !== null
+    );
+  }
+
+  /**
+   * Scans only the given exports - the changed files reported in watch mode -
+   * instead of walking the whole tree.
+   * @param {string} scanPath - Scan root the files are in
+   * @param {Array<string>} filePaths - Changed export JSON files
+   * @returns {Promise<Array<Project>>} - Projects queued for processing
+   */
+  async scanFiles(scanPath, filePaths) {
+    const scanStartTime = Date.now();
+    this.projects = [];
+    eventBus.publish("scan.started", { scanPath, files: filePaths.length });
+
+    const jsonFiles = [];
+    for (const filePath of filePaths) {
+      const fileInfo = await this.collectJsonFile(filePath, scanPath);
+      if (fileInfo) {
+        jsonFiles.push(fileInfo);
+      }
+    }
+    this.queueJsonFiles(jsonFiles);
+
+    eventBus.publish("scan.completed", {
+      scanPath,
+      jsonFileCount: jsonFiles.length,
+      projectsQueued: this.projects.length,
+      changed: jsonFiles.length > 0,
+      durationMs: Date.now() - scanStartTime,
+    });
+    return this.projects;
   }
 
   /**
@@ -0,0 +1,476 @@
+// path: src/ToolCatalog.js
+/**
+ * ToolCatalog holds the shop's tool master data, keyed by tool ID (the tool
+ * name as it appears in the JSON operations):
+ *
+ *   { "version": 1,
+ *     "tools": { "FRA-P8420-D9.6": { category, nominalDiameter, actualDiameter,
+ *                                    holder, maxLength, reconditioned, allowedMachines,
+ *                                    maxSpindleSpeed, maxFeed } } }
+ *
+ * The catalog is a JSON file (toolCatalog.path, default
+ * <working folder>/BRK CNC Management Dashboard/JSONScanner/tool-catalog.json)
+ * or a CSV file with the same columns (allowedMachines separated by ";").
+ * allowedMachines lists machine catalog IDs (see MachineCatalog; aliases are
+ * resolved too).
+ * A CSV can also be imported into the JSON catalog with `--tools import`.
+ *
+ * Tools missing from the catalog fall back to the name prefixes in
+ * config.toolCategories, so an empty catalog behaves like before.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { logInfo, logWarn } = require("../utils/Logger");
+const MachineCatalog = require("./MachineCatalog");
+
+const CSV_COLUMNS = [
+  "toolId",
+  "category",
+  "nominalDiameter",
+  "actualDiameter",
+  "holder",
+  "maxLength",
+  "reconditioned",
+  "allowedMachines",
+  "maxSpindleSpeed",
+  "maxFeed",
+];
+const NUMBER_FIELDS = ["nominalDiameter", "actualDiameter", "maxLength", "maxSpindleSpeed", "maxFeed"];
+
+let shared = null;
+
+class ToolCatalog {
+  /**
+   * @param {string|null} filePath - Catalog file (.json or .csv), or null to keep the catalog in memory only
+   * @param {Object} tools - Initial tools for an in-memory catalog (rule fixtures), keyed by tool ID
+   */
+  constructor(filePath = ToolCatalog.getDefaultPath(), tools = {}) {
+    this.filePath = filePath;
+    this.memory = filePath ? null : ToolCatalog.normalizeTools(tools, "<inline>");
+    this.cache = null; // { mtimeMs, tools } of the last file read
+  }
+
+  /**
+   * Catalog file: toolCatalog.path, or next to the results in the working folder.
+   * @returns {string} - Catalog file path
+   */
+  static getDefaultPath() {
+    if (config.toolCatalog.path) {
+      return config.toolCatalog.path;
+    }
+
+    const TempFileManager = require("../utils/TempFileManager");
+    return path.join(new TempFileManager().getBasePath(), "JSONScanner", "tool-catalog.json");
+  }
+
+  /**
+   * The catalog used by ToolInfo and the rules.
+   * @returns {ToolCatalog} - Shared catalog instance
+   */
+  static getShared() {
+    if (!shared) {
+      shared = new ToolCatalog();
+    }
+    return shared;
+  }
+
+  /**
+   * Replaces the shared catalog (rule fixtures use their own in-memory catalog).
+   * @param {ToolCatalog|null} catalog - New shared catalog, null to reset to the default file
+   * @returns {ToolCatalog|null} - The previous shared catalog
+   */
+  static setShared(catalog) {
+    const previous = shared;
+    shared = catalog;
+    return previous;
+  }
+
+  /**
+   * Reads the catalog. The file is only parsed again when it changed on disk.
+   * @returns {Object} - Tools keyed by tool ID
+   */
+  load() {
+    if (this.memory) {
+      return this.memory;
+    }
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (!this.cache || this.cache.mtimeMs !== mtimeMs) {
+        const content = fs.readFileSync(this.filePath, "utf8");
+        const tools = this.filePath.toLowerCase().endsWith(".csv")
+          ? ToolCatalog.parseCsv(content)
+          : JSON.parse(content).tools || {};
+        this.cache = { mtimeMs, tools: ToolCatalog.normalizeTools(tools, this.filePath) };
+      }
+      return this.cache.tools;
+    } catch (error) {
+      logWarn(`Failed to read tool catalog ${this.filePath}: ${error.message}`);
+      return {};
+    }
+  }
+
+  save(tools) {
+    if (this.memory) {
+      this.memory = tools;
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, tools }, null, 2), "utf8");
+  }
+
+  /**
+   * Lists the catalog entries.
+   * @returns {Array<Object>} - Entries with their `toolId`, sorted by tool ID
+   */
+  list() {
+    return Object.entries(this.load())
+      .map(([toolId, entry]) => ({ toolId, ...entry }))
+      .sort((a, b) => a.toolId.localeCompare(b.toolId));
+  }
+
+  /**
+   * @param {string} toolName - Tool name from the JSON operations
+   * @returns {Object|null} - Catalog entry, null if the tool is not in the catalog
+   */
+  getTool(toolName) {
+    const tools = this.load();
+    return toolName && Object.prototype.hasOwnProperty.call(tools, toolName)
+      ? tools[toolName]
+      : null;
+  }
+
+  has(toolName) {
+    return this.getTool(toolName) !== null;
+  }
+
+  /**
+   * Tool category from the catalog, or from the config.toolCategories name prefixes.
+   * @param {string} toolName - Tool name
+   * @returns {string} - Category, "unknown" if neither knows the tool
+   */
+  getCategory(toolName) {
+    const entry = this.getTool(toolName);
+    if (entry) {
+      return entry.category;
+    }
+
+    for (const [category, codes] of Object.entries(config.toolCategories)) {
+      if (codes.some((code) => toolName && toolName.startsWith(code))) {
+        return category;
+      }
+    }
+    return "unknown";
+  }
+
+  /**
+   * Checks if a tool belongs to one of the categories.
+   * Catalog tools are matched by their category; other tools by the config.toolCategories
+   * codes, either as name prefix or (match "contains") anywhere in the name.
+   * @param {string} toolName - Tool name
+   * @param {Array<string>} categories - Category names
+   * @param {string} match - "prefix" or "contains" for the fallback
+   * @returns {boolean} - True if the tool is in one of the categories
+   */
+  isInCategories(toolName, categories, match = "prefix") {
+    if (!toolName) {
+      return false;
+    }
+
+    const entry = this.getTool(toolName);
+    if (entry) {
+      return categories.includes(entry.category);
+    }
+
+    return categories.some((category) =>
+      (config.toolCategories[category] || []).some((code) =>
+        match === "contains" ? toolName.includes(code) : toolName.startsWith(code)
+      )
+    );
+  }
+
+  /**
+   * Reconditioning status of a tool. Catalog tools use their reconditioned flag
+   * (or an actual diameter below the nominal one); other tools are considered
+   * reconditioned when the name carries a non-integer diameter (e.g. "D6.6").
+   * @param {string} toolName - Tool name
+   * @returns {Object} - { reconditioned, diameter }
+   */
+  getReconditioning(toolName) {
+    const entry = this.getTool(toolName);
+    if (entry) {
+      const reconditioned =
+        entry.reconditioned ??
+        (entry.actualDiameter !== null &&
+          entry.nominalDiameter !== null &&
+          entry.actualDiameter < entry.nominalDiameter);
+      return {
+        reconditioned: Boolean(reconditioned),
+        diameter: entry.actualDiameter ?? entry.nominalDiameter,
+      };
+    }
+
+    const match = toolName?.match(/D(\d+(\.\d+)?)/);
+    if (!match) {
+      return { reconditioned: false, diameter: null };
+    }
+    return { reconditioned: !/^\d+$/.test(match[1]), diameter: match[1] };
+  }
+
+  /**
+   * Checks a tool against its allowed machines, resolved through the machine
+   * catalog and compared by machine ID. Tools without a restriction (not in
+   * the catalog, or no allowedMachines) are allowed everywhere; restricted
+   * tools are never allowed on an unknown machine.
+   * @param {string} toolName - Tool name
+   * @param {Object|null} machineProfile - Resolved machine of the project (project.machineProfile)
+   * @param {MachineCatalog} machineCatalog - Catalog resolving the allowedMachines entries
+   * @returns {boolean} - True if the tool may be used on the machine
+   */
+  isAllowedOnMachine(toolName, machineProfile, machineCatalog = MachineCatalog.getShared()) {
+    const allowedMachines = this.getTool(toolName)?.allowedMachines;
+    if (!allowedMachines || allowedMachines.length === 0) {
+      return true;
+    }
+    return (
+      Boolean(machineProfile) &&
+      allowedMachines.some((machine) => machineCatalog.resolve(machine)?.id === machineProfile.id)
+    );
+  }
+
+  /**
+   * Tools used in the latest run of each project that are not in the catalog.
+   * @param {Object} filters - { operator } (only this operator's projects)
+   * @param {ResultHistory} history - Result history to read the runs from
+   * @returns {Array<Object>} - [{ toolName, category, projects, machines }], most used first
+   */
+  getMissingTools(filters = {}, history = null) {
+    const ResultHistory = require("./ResultHistory");
+    history = history || new ResultHistory();
+    const missing = new Map();
+
+    for (const projectId of history.listProjects()) {
+      const snapshot = history.getLatestRun(projectId)?.project;
+      if (!snapshot) continue;
+      if (typeof filters.operator === "string" && snapshot.operator !== filters.operator) {
+        continue;
+      }
+
+      for (const toolName of snapshot.tools || []) {
+        if (this.has(toolName)) continue;
+
+        if (!missing.has(toolName)) {
+          missing.set(toolName, {
+            toolName,
+            category: this.getCategory(toolName),
+            projects: new Set(),
+            machines: new Set(),
+          });
+        }
+        const tool = missing.get(toolName);
+        tool.projects.add(projectId);
+        if (snapshot.machine) tool.machines.add(snapshot.machine);
+      }
+    }
+
+    return Array.from(missing.values())
+      .map((tool) => ({
+        ...tool,
+        projects: Array.from(tool.projects).sort(),
+        machines: Array.from(tool.machines).sort(),
+      }))
+      .sort(
+        (a, b) => b.projects.length - a.projects.length || a.toolName.localeCompare(b.toolName)
+      );
+  }
+
+  /**
+   * Imports a CSV file into the catalog. Rows replace existing entries with the same tool ID.
+   * @param {string} csvPath - CSV file with a header row (see ToolCatalog.CSV_COLUMNS)
+   * @returns {Object} - { imported, total }
+   * @throws {Error} - If the file is missing or a row is invalid
+   */
+  importCsv(csvPath) {
+    if (!fs.existsSync(csvPath)) {
+      throw new Error(`CSV file not found: ${csvPath}`);
+    }
+
+    const rows = ToolCatalog.parseCsv(fs.readFileSync(csvPath, "utf8"));
+    const errors = [];
+    const imported = {};
+    for (const [toolId, raw] of Object.entries(rows)) {
+      const { entry, error } = normalizeEntry(toolId, raw);
+      if (error) {
+        errors.push(error);
+      } else {
+        imported[toolId] = entry;
+      }
+    }
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid tool catalog rows in ${csvPath}:\n${errors.map((e) => `  - ${e}`).join("\n")}`
+      );
+    }
+
+    const tools = { ...this.load(), ...imported };
+    this.save(tools);
+    logInfo(`🔧 Imported ${Object.keys(imported).length} tool(s) from ${csvPath} into ${this.filePath}`);
+    return { imported: Object.keys(imported).length, total: Object.keys(tools).length };
+  }
+
+  /**
+   * Parses catalog CSV content into raw entries keyed by tool ID.
+   * Fields may be quoted ("..." with "" for a quote); allowedMachines are separated by ";".
+   * @param {string} content - CSV text with a header row
+   * @returns {Object} - Raw entries keyed by tool ID
+   * @throws {Error} - If the header has no toolId column
+   */
+  static parseCsv(content) {
+    const [header, ...rows] = content
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== "")
+      .map(parseCsvLine);
+    if (!header || !header.includes("toolId")) {
+      throw new Error(`CSV header must contain a toolId column (columns: ${CSV_COLUMNS.join(", ")})`);
+    }
+
+    const tools = {};
+    for (const row of rows) {
+      const raw = {};
+      header.forEach((column, index) => {
+        if (row[index] !== undefined && row[index] !== "") {
+          raw[column] = row[index];
+        }
+      });
+      if (raw.toolId) {
+        const { toolId, ...entry } = raw;
+        if (typeof entry.allowedMachines === "string") {
+          entry.allowedMachines = entry.allowedMachines
+            .split(";")
+            .map((machine) => machine.trim())
+            .filter(Boolean);
+        }
+        tools[toolId] = entry;
+      }
+    }
+    return tools;
+  }
+
+  /**
+   * Normalizes raw entries; invalid entries are skipped with a warning.
+   * @param {Object} tools - Raw entries keyed by tool ID
+   * @param {string} source - Catalog source (for messages)
+   * @returns {Object} - Normalized entries keyed by tool ID
+   */
+  static normalizeTools(tools, source) {
+    const normalized = {};
+    for (const [toolId, raw] of Object.entries(tools)) {
+      const { entry, error } = normalizeEntry(toolId, raw);
+      if (error) {
+        logWarn(`Tool catalog ${source}: ${error} - entry ignored`);
+      } else {
+        normalized[toolId] = entry;
+      }
+    }
+    return normalized;
+  }
+}
+
+/**
+ * Validates one catalog entry and converts CSV strings to numbers/booleans.
+ * @param {string} toolId - Tool ID
+ * @param {Object} raw - Raw entry
+ * @returns {Object} - { entry } or { error }
+ */
+function normalizeEntry(toolId, raw) {
+  if (!(raw.category in config.toolCategories)) {
+    return {
+      error: `${toolId}: unknown tool category "${raw.category}" (known: ${Object.keys(
+        config.toolCategories
+      ).join(", ")})`,
+    };
+  }
+
+  const entry = {
+    category: raw.category,
+    nominalDiameter: null,
+    actualDiameter: null,
+    holder: raw.holder || null,
+    maxLength: null,
+    reconditioned: null, // null = derive from the diameters
+    allowedMachines: [],
+    maxSpindleSpeed: null, // rpm, null = no tool limit
+    maxFeed: null, // mm/min, null = no tool limit
+  };
+
+  for (const field of NUMBER_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === "") continue;
+    const value = Number(raw[field]);
+    if (!(Number.isFinite(value) && value > 0)) {
+      return { error: `${toolId}: ${field} must be a positive number, got "${raw[field]}"` };
+    }
+    entry[field] = value;
+  }
+
+  if (raw.reconditioned !== undefined && raw.reconditioned !== null && raw.reconditioned !== "") {
+    const value = String(raw.reconditioned).toLowerCase();
+    if (!["true", "false", "yes", "no", "1", "0"].includes(value)) {
+      return { error: `${toolId}: reconditioned must be true or false, got "${raw.reconditioned}"` };
+    }
+    entry.reconditioned = ["true", "yes", "1"].includes(value);
+  }
+
+  if (raw.allowedMachines !== undefined) {
+    if (!Array.isArray(raw.allowedMachines) || raw.allowedMachines.some((m) => typeof m !== "string")) {
+      return { error: `${toolId}: allowedMachines must be a list of machine names` };
+    }
+    entry.allowedMachines = raw.allowedMachines;
+  }
+
+  return { entry };
+}
+
+/**
+ * Splits one CSV line, honouring quoted fields.
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Trimmed field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+ToolCatalog.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = ToolCatalog;
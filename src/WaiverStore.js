@@ -0,0 +1,238 @@
+// path: src/WaiverStore.js
+/**
+ * WaiverStore keeps the approved exceptions ("waivers") for rule violations.
+ *
+ * A waiver accepts the violations of one rule in one NC file/program of a
+ * project, optionally until an expiry date. RuleEngine marks matching
+ * violations as waived; they are listed under `results.waivedViolations`
+ * (with who approved them and when) instead of failing the project.
+ *
+ * Waivers are stored in a JSON file (waivers.path, default
+ * <working folder>/BRK CNC Management Dashboard/JSONScanner/waivers.json).
+ * They are never deleted - revoking keeps the record, and every change is
+ * appended to the waiver's `audit` list.
+ *
+ * Waiver: { id, project, rule, ncFile, reason, approvedBy, approvedAt,
+ *           expiresAt, revokedAt, revokedBy, audit: [{ action, by, at, reason }] }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config");
+const { logInfo, logWarn } = require("../utils/Logger");
+
+class WaiverStore {
+  /**
+   * @param {string|null} filePath - Waivers file, or null to keep the waivers in memory only
+   * @param {Array<Object>} waivers - Initial waivers for an in-memory store (rule fixtures)
+   */
+  constructor(filePath = WaiverStore.getDefaultPath(), waivers = []) {
+    this.filePath = filePath;
+    this.memory = filePath ? null : waivers;
+  }
+
+  /**
+   * Waivers file: waivers.path, or next to the results in the working folder.
+   * @returns {string} - Waivers file path
+   */
+  static getDefaultPath() {
+    if (config.waivers.path) {
+      return config.waivers.path;
+    }
+
+    const TempFileManager = require("../utils/TempFileManager");
+    return path.join(new TempFileManager().getBasePath(), "JSONScanner", "waivers.json");
+  }
+
+  /**
+   * Reads all waivers. The file is read on every call so waivers added
+   * through the API apply to the next scan without a restart.
+   * @returns {Array<Object>} - All waivers, including revoked and expired ones
+   */
+  load() {
+    if (this.memory) {
+      return this.memory;
+    }
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, "utf8")).waivers || [];
+    } catch (error) {
+      logWarn(`Failed to read waivers file ${this.filePath}: ${error.message}`);
+      return [];
+    }
+  }
+
+  save(waivers) {
+    if (this.memory) {
+      this.memory = waivers;
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ waivers }, null, 2), "utf8");
+  }
+
+  /**
+   * Lists waivers.
+   * @param {Object} filters - { project, rule, active: true (only active) }
+   * @returns {Array<Object>} - Waivers with their current `state` (active/expired/revoked)
+   */
+  list(filters = {}) {
+    const now = new Date();
+    return this.load()
+      .filter((waiver) => !filters.project || waiver.project === filters.project)
+      .filter((waiver) => !filters.rule || waiver.rule === filters.rule)
+      .map((waiver) => ({ ...waiver, state: WaiverStore.getState(waiver, now) }))
+      .filter((waiver) => !filters.active || waiver.state === "active");
+  }
+
+  get(id) {
+    return this.list().find((waiver) => waiver.id === id) || null;
+  }
+
+  /**
+   * Records a new waiver.
+   * @param {Object} data - { project, rule, ncFile, reason, expiresAt }
+   * @param {string} approvedBy - Username of the approver
+   * @returns {Object} - The new waiver
+   * @throws {Error} - If a required field is missing or expiresAt is not a future date
+   */
+  add(data, approvedBy) {
+    const { project, rule, ncFile, reason, expiresAt = null } = data;
+
+    for (const [field, value] of Object.entries({ project, rule, ncFile, reason })) {
+      if (typeof value !== "string" || value.trim() === "") {
+        throw new Error(`${field} is required`);
+      }
+    }
+    if (expiresAt !== null && !(new Date(expiresAt) > new Date())) {
+      throw new Error(`expiresAt must be a future date, got "${expiresAt}"`);
+    }
+
+    const approvedAt = new Date().toISOString();
+    const waiver = {
+      id: crypto.randomBytes(6).toString("hex"),
+      project,
+      rule,
+      ncFile,
+      reason,
+      approvedBy,
+      approvedAt,
+      expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+      revokedAt: null,
+      revokedBy: null,
+      audit: [{ action: "approved", by: approvedBy, at: approvedAt, reason }],
+    };
+
+    this.save([...this.load(), waiver]);
+    logInfo(`📝 Waiver ${waiver.id}: ${rule} on ${project}/${ncFile} approved by ${approvedBy}`);
+    return { ...waiver, state: WaiverStore.getState(waiver) };
+  }
+
+  /**
+   * Revokes a waiver. The record stays in the file for the audit trail.
+   * @param {string} id - Waiver ID
+   * @param {string} revokedBy - Username
+   * @param {string|null} reason - Why the waiver was revoked
+   * @returns {Object|null} - The revoked waiver, null if unknown
+   * @throws {Error} - If the waiver is already revoked
+   */
+  revoke(id, revokedBy, reason = null) {
+    const waivers = this.load();
+    const waiver = waivers.find((w) => w.id === id);
+    if (!waiver) {
+      return null;
+    }
+    if (waiver.revokedAt) {
+      throw new Error(`Waiver ${id} was already revoked by ${waiver.revokedBy}`);
+    }
+
+    waiver.revokedAt = new Date().toISOString();
+    waiver.revokedBy = revokedBy;
+    waiver.audit.push({ action: "revoked", by: revokedBy, at: waiver.revokedAt, reason });
+
+    this.save(waivers);
+    logInfo(`📝 Waiver ${id} revoked by ${revokedBy}`);
+    return { ...waiver, state: WaiverStore.getState(waiver) };
+  }
+
+  /**
+   * Active waivers that apply to a project (by full name, or by base name for all positions).
+   * @param {Project} project - Project instance
+   * @returns {Array<Object>} - Active waivers
+   */
+  getActiveWaivers(project) {
+    const names = [project.getFullName(), project.name];
+    const now = new Date();
+    return this.load().filter(
+      (waiver) => names.includes(waiver.project) && WaiverStore.getState(waiver, now) === "active"
+    );
+  }
+
+  /**
+   * Fingerprint of the active waivers of a project. It changes when a waiver
+   * is added, revoked or expires, so the Scanner re-analyzes the project.
+   * @param {Project} project - Project instance
+   * @returns {string|null} - Hash of the waiver IDs, null if no waiver applies
+   */
+  getWaiverHash(project) {
+    return WaiverStore.hashIds(this.getActiveWaivers(project));
+  }
+
+  /**
+   * Fingerprint of all active waivers. The Scanner compares it between scans
+   * to find out that results may be outdated although no export changed.
+   * @returns {string|null} - Hash of the active waiver IDs, null if none is active
+   */
+  getStoreHash() {
+    return WaiverStore.hashIds(this.list({ active: true }));
+  }
+
+  /**
+   * Checks if a waiver covers a violation of the given rule.
+   * @param {Object} waiver - Waiver
+   * @param {string} ruleName - Rule that reported the violation
+   * @param {Object} violation - Violation (ncFile, program or legacy item)
+   * @returns {boolean} - True if the waiver applies
+   */
+  static matches(waiver, ruleName, violation) {
+    if (waiver.rule !== ruleName) {
+      return false;
+    }
+    return [violation.ncFile, violation.program, violation.item]
+      .filter((value) => value !== undefined && value !== null)
+      .some((value) => String(value) === waiver.ncFile);
+  }
+
+  static hashIds(waivers) {
+    const ids = waivers.map((waiver) => waiver.id).sort();
+    return ids.length > 0 ? crypto.createHash("md5").update(ids.join(",")).digest("hex") : null;
+  }
+
+  static getState(waiver, now = new Date()) {
+    if (waiver.revokedAt) return "revoked";
+    if (waiver.expiresAt && new Date(waiver.expiresAt) <= now) return "expired";
+    return "active";
+  }
+
+  /**
+   * The part of a waiver that is copied onto waived violations.
+   * @param {Object} waiver - Waiver
+   * @returns {Object} - { id, reason, approvedBy, approvedAt, expiresAt }
+   */
+  static toReference(waiver) {
+    return {
+      id: waiver.id,
+      reason: waiver.reason,
+      approvedBy: waiver.approvedBy,
+      approvedAt: waiver.approvedAt,
+      expiresAt: waiver.expiresAt || null,
+    };
+  }
+}
+
+module.exports = WaiverStore;
@@ -0,0 +1,162 @@
+// path: src/WorkerPool.js
+/**
+ * A fixed-size pool of worker threads, each running one task at a time.
+ *
+ * Tasks are queued and handed to the next idle worker; workers are started
+ * on demand. A task that throws, crashes its worker or runs past the timeout
+ * rejects, and the worker is replaced (a hung worker is terminated), so one
+ * bad task never takes the pool or the process down. Idle workers don't keep
+ * the process alive.
+ *
+ * The worker script receives { id, task } messages and answers with
+ * { id, result } or { id, error: { message, stack } }; before that it may send
+ * any number of { id, progress } messages.
+ */
+
+const { Worker } = require("worker_threads");
+const { logWarn, logError } = require("../utils/Logger");
+
+class WorkerPool {
+  /**
+   * @param {string} script - Worker script path
+   * @param {Object} options - { size: number of workers, timeoutMs: a task still running
+   *   after this is stopped (0 = no limit), warnAfterMs: warn about a task still running after this }
+   */
+  constructor(script, options = {}) {
+    this.script = script;
+    this.size = Math.max(1, options.size || 1);
+    this.timeoutMs = options.timeoutMs || 0;
+    this.warnAfterMs = options.warnAfterMs || 0;
+    this.workers = []; // { worker, job } - job is null while the worker is idle
+    this.queue = []; // Jobs waiting for an idle worker
+    this.nextId = 1;
+  }
+
+  /**
+   * Runs a task on the next idle worker.
+   * @param {*} task - Task data (must survive structured cloning)
+   * @param {Object} options - { label: task name for messages, onProgress(progress) }
+   * @returns {Promise<*>} - Task result; rejects on task errors, worker crashes and timeouts
+   */
+  run(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextId++,
+        task,
+        label: options.label || "Task",
+        onProgress: options.onProgress || null,
+        resolve,
+        reject,
+        timers: [],
+      });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find((candidate) => !candidate.job);
+      if (!slot && this.workers.length < this.size) {
+        slot = this.startWorker();
+      }
+      if (!slot) {
+        return;
+      }
+      this.assign(slot, this.queue.shift());
+    }
+  }
+
+  startWorker() {
+    const slot = { worker: new Worker(this.script), job: null };
+    slot.worker.unref();
+    slot.worker.on("message", (message) => this.onMessage(slot, message));
+    // "error" (uncaught exception) is followed by "exit" - only the first one counts
+    slot.worker.on("error", (err) => this.onWorkerFailure(slot, err));
+    slot.worker.on("exit", (code) =>
+      this.onWorkerFailure(slot, new Error(`worker stopped with exit code ${code}`))
+    );
+    this.workers.push(slot);
+    return slot;
+  }
+
+  assign(slot, job) {
+    slot.job = job;
+    slot.worker.ref(); // A busy worker keeps the process alive until its task is done
+
+    const startedAt = Date.now();
+    if (this.warnAfterMs) {
+      job.timers.push(
+        setTimeout(() => {
+          logWarn(`⏳ ${job.label} still running after ${Math.round((Date.now() - startedAt) / 1000)}s`);
+        }, this.warnAfterMs)
+      );
+    }
+    if (this.timeoutMs) {
+      job.timers.push(setTimeout(() => this.onTimeout(slot), this.timeoutMs));
+    }
+
+    slot.worker.postMessage({ id: job.id, task: job.task });
+  }
+
+  onMessage(slot, message) {
+    const job = slot.job;
+    if (!job || message.id !== job.id) {
+      return;
+    }
+    if (message.progress !== undefined) {
+      if (job.onProgress) job.onProgress(message.progress);
+      return;
+    }
+
+    clearJobTimers(job);
+    slot.job = null;
+    slot.worker.unref();
+
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.stack = message.error.stack;
+      job.reject(error);
+    } else {
+      job.resolve(message.result);
+    }
+    this.dispatch();
+  }
+
+  onTimeout(slot) {
+    const job = slot.job;
+    this.removeWorker(slot);
+    slot.worker.terminate();
+
+    logError(`⏱️ ${job.label} timed out after ${Math.round(this.timeoutMs / 1000)}s - worker stopped`);
+    job.reject(new Error(`${job.label} timed out after ${Math.round(this.timeoutMs / 1000)}s`));
+    this.dispatch();
+  }
+
+  onWorkerFailure(slot, err) {
+    if (!this.workers.includes(slot)) {
+      return; // Already replaced (timed out, or the "error" before this "exit")
+    }
+    const job = slot.job;
+    this.removeWorker(slot);
+
+    if (job) {
+      logError(`💥 Worker crashed while running ${job.label}: ${err.message}`);
+      job.reject(new Error(`${job.label} crashed its worker: ${err.message}`));
+    }
+    this.dispatch();
+  }
+
+  removeWorker(slot) {
+    this.workers.splice(this.workers.indexOf(slot), 1);
+    if (slot.job) {
+      clearJobTimers(slot.job);
+    }
+  }
+}
+
+function clearJobTimers(job) {
+  job.timers.forEach((timer) => clearTimeout(timer));
+  job.timers = [];
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,273 @@
+// path: src/storage/FileStore.js
+/**
+ * FileStore - storage backend that reads the `_BRK_result.json` files from the
+ * results folder of the working folder (storage.type "local").
+ *
+ * Result files themselves are written by Results; every query lists and parses
+ * the results folder, which is fine for small installations. Use SqliteStore
+ * when the number of projects grows.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const { logInfo, logWarn, logError } = require("../../utils/Logger");
+const ResultHistory = require("../ResultHistory");
+const Analytics = require("../Analytics");
+
+const RESULT_FILE_SUFFIX = `_${config.files.resultSuffix}${config.files.jsonExtension}`;
+
+class FileStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.type = "local";
+    this.analytics = null; // Created on first use, keeps the parsed history runs
+  }
+
+  async initialize() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+    logInfo(`📊 Data storage initialized: local JSON files`);
+  }
+
+  /**
+   * Result files are already written by Results - nothing else to store.
+   */
+  async saveRun(project, analysisResults, run = null) {
+    return project.getFullName();
+  }
+
+  async saveProject(project) {
+    return null;
+  }
+
+  async saveRuleExecution(projectName, ruleName, result) {
+    // Rule results are part of the result file
+  }
+
+  /**
+   * Lists projects (latest result per project), newest first.
+   * @param {Object} filters - { status, operator, page, pageSize }
+   * @returns {Object} - { projects, total }
+   */
+  async listProjects(filters = {}) {
+    let projects = await this.getAllProjects();
+    if (filters.status) {
+      projects = projects.filter((p) => p.status === filters.status);
+    }
+    if (typeof filters.operator === "string") {
+      projects = projects.filter((p) => p.operator === filters.operator);
+    }
+
+    const total = projects.length;
+    if (filters.page && filters.pageSize) {
+      const start = (filters.page - 1) * filters.pageSize;
+      projects = projects.slice(start, start + filters.pageSize);
+    }
+
+    return { projects, total };
+  }
+
+  async getAllProjects() {
+    try {
+      const allProjects = [];
+
+      for (const { resultsDir, session } of this.getResultsDirs()) {
+        // Result files don't name the machine/operator - the latest history run does
+        const history = new ResultHistory(path.join(path.dirname(resultsDir), "history"));
+        const resultFiles = fs
+          .readdirSync(resultsDir)
+          .filter((file) => file.endsWith(RESULT_FILE_SUFFIX));
+
+        for (const file of resultFiles) {
+          try {
+            const filePath = path.join(resultsDir, file);
+            const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+            const projectName = file.replace(RESULT_FILE_SUFFIX, "");
+            const snapshot = history.getLatestRun(projectName)?.project;
+            allProjects.push({
+              id: projectName,
+              name: projectName,
+              machine: snapshot?.machine || null,
+              operator: snapshot?.operator || null,
+              status: FileStore.determineStatus(data),
+              operationCount: data.summary?.totalOperations || 0,
+              ncFileCount: data.summary?.totalNCFiles || 0,
+              timestamp:
+                data.timestamp || fs.statSync(filePath).mtime.toISOString(),
+              violations: FileStore.getViolations(data),
+              ...(session ? { session } : {}),
+            });
+          } catch (error) {
+            logWarn(`Failed to read result file ${file}:`, error.message);
+          }
+        }
+      }
+
+      return allProjects.sort(
+        (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+      );
+    } catch (error) {
+      logError("Failed to get all projects:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Builds the analytics report from the result history - the result files
+   * only hold the latest run of each project.
+   * @param {Object} filters - See Analytics.getReport
+   * @returns {Object} - Analytics report
+   */
+  async getAnalytics(filters = {}) {
+    if (!this.analytics) {
+      this.analytics = new Analytics();
+    }
+    return this.analytics.getReport(filters);
+  }
+
+  async getProject(projectId) {
+    const allProjects = await this.getAllProjects();
+    const project = allProjects.find((p) => p.id === projectId);
+
+    if (!project) {
+      return null;
+    }
+
+    const resultPath = this.getResultFilePath(projectId, project.session);
+    if (fs.existsSync(resultPath)) {
+      return {
+        ...project,
+        fullAnalysis: JSON.parse(fs.readFileSync(resultPath, "utf8")),
+      };
+    }
+
+    return project;
+  }
+
+  /**
+   * Result files only hold the latest run of each project - nothing to prune.
+   * (The result history is pruned by DataManager.cleanup.)
+   * @returns {number} - Runs removed
+   */
+  async cleanup(retentionDays) {
+    return 0;
+  }
+
+  /**
+   * Copies the results folder(s) to the backup directory.
+   * @returns {Object} - { status, path }
+   */
+  async createBackup() {
+    const backupPath = path.join(
+      config.storage.local.backupDirectory,
+      `results-${new Date().toISOString().replace(/[:.]/g, "-")}`
+    );
+
+    for (const { resultsDir, session } of this.getResultsDirs()) {
+      fs.cpSync(resultsDir, session ? path.join(backupPath, session) : backupPath, {
+        recursive: true,
+      });
+    }
+
+    pruneBackups(config.storage.local.backupDirectory, "results-");
+    logInfo(`💾 Results backed up to ${backupPath}`);
+    return { status: "ok", path: backupPath };
+  }
+
+  async healthCheck() {
+    return { status: "ok", storageType: this.type };
+  }
+
+  async close() {
+    // Nothing to close for file storage
+  }
+
+  /**
+   * Results folders to read: the persistent app folder, or one per session.
+   * @returns {Array<Object>} - [{ resultsDir, session }]
+   */
+  getResultsDirs() {
+    const tempBasePath = this.getTempBasePath();
+    if (!fs.existsSync(tempBasePath)) {
+      return [];
+    }
+
+    if (config.app.usePersistentTempFolder) {
+      const resultsDir = path.join(tempBasePath, "JSONScanner", "results");
+      return fs.existsSync(resultsDir) ? [{ resultsDir, session: null }] : [];
+    }
+
+    return fs
+      .readdirSync(tempBasePath)
+      .filter((entry) => fs.statSync(path.join(tempBasePath, entry)).isDirectory())
+      .map((session) => ({
+        resultsDir: path.join(tempBasePath, session, "results"),
+        session,
+      }))
+      .filter(({ resultsDir }) => fs.existsSync(resultsDir));
+  }
+
+  getResultFilePath(projectId, session = null) {
+    return path.join(
+      this.getTempBasePath(),
+      ...(session ? [session] : ["JSONScanner"]),
+      "results",
+      `${projectId}${RESULT_FILE_SUFFIX}`
+    );
+  }
+
+  getTempBasePath() {
+    const TempFileManager = require("../../utils/TempFileManager");
+    return new TempFileManager().getBasePath();
+  }
+
+  static getViolations(data) {
+    // Result files keep violations under results; older files had them at the top level
+    return data.results?.violations || data.violations || [];
+  }
+
+  static determineStatus(data) {
+    // Status written by the scanner already reflects the rule profile severities
+    if (data.status && data.status !== "pending") {
+      return data.status;
+    }
+
+    const violations = FileStore.getViolations(data);
+    if (violations.length === 0) {
+      return "passed";
+    }
+
+    // Violations without a severity predate severity levels and count as errors
+    const hasErrors = violations.some((v) => (v.severity || "error") === "error");
+    if (hasErrors) {
+      return "failed";
+    }
+
+    const hasWarnings = violations.some((v) => v.severity === "warning");
+    return hasWarnings ? "warning" : "passed";
+  }
+}
+
+/**
+ * Keeps the newest config.storage.local.maxBackups entries with the given prefix.
+ * @param {string} backupDir - Backup directory
+ * @param {string} prefix - Backup name prefix
+ */
+function pruneBackups(backupDir, prefix) {
+  const backups = fs
+    .readdirSync(backupDir)
+    .filter((name) => name.startsWith(prefix))
+    .sort()
+    .reverse();
+
+  backups.slice(config.storage.local.maxBackups).forEach((name) => {
+    fs.rmSync(path.join(backupDir, name), { recursive: true, force: true });
+  });
+}
+
+FileStore.pruneBackups = pruneBackups;
+
+module.exports = FileStore;
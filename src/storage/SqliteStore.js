@@ -0,0 +1,686 @@
+// path: src/storage/SqliteStore.js
+/**
+ * SqliteStore - embedded SQLite storage backend (storage.type "sqlite").
+ *
+ * Tables:
+ *   projects        - one row per project (position), pointing at its latest run
+ *   runs            - one row per analysis run with the full dashboard result
+ *   rule_executions - per-rule verdict of each run
+ *   violations      - violations of each run
+ *   violation_tools - tools each violation counts for (analytics)
+ *
+ * Listing, filtering and paginating projects and the analytics report are
+ * done with indexed queries instead of parsing every result file. On first
+ * start an empty database is filled from the existing result files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const { logInfo, logWarn, logError } = require("../../utils/Logger");
+const FileStore = require("./FileStore");
+const Analytics = require("../Analytics");
+
+const SCHEMA_VERSION = 2;
+
+// Run columns added in schema version 2 - runs stored before have NULL there
+const RUN_COLUMNS_V2 = {
+  machine: "TEXT",
+  operator: "TEXT",
+  operation_count: "INTEGER",
+  total_time: "REAL",
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    position TEXT,
+    machine TEXT,
+    operator TEXT,
+    status TEXT,
+    operation_count INTEGER NOT NULL DEFAULT 0,
+    nc_file_count INTEGER NOT NULL DEFAULT 0,
+    latest_run_id INTEGER,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_projects_status_updated ON projects (status, updated_at);
+  CREATE INDEX IF NOT EXISTS idx_projects_updated ON projects (updated_at);
+
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id TEXT NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+    history_run_id TEXT,
+    processed_at TEXT NOT NULL,
+    status TEXT,
+    json_hash TEXT,
+    rule_set_version TEXT,
+    violation_count INTEGER NOT NULL DEFAULT 0,
+    result_json TEXT NOT NULL,
+    machine TEXT,
+    operator TEXT,
+    operation_count INTEGER,
+    total_time REAL
+  );
+  CREATE INDEX IF NOT EXISTS idx_runs_project_processed ON runs (project_id, processed_at);
+  CREATE INDEX IF NOT EXISTS idx_runs_processed ON runs (processed_at);
+
+  CREATE TABLE IF NOT EXISTS rule_executions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER REFERENCES runs (id) ON DELETE CASCADE,
+    project_id TEXT NOT NULL,
+    rule_name TEXT NOT NULL,
+    status TEXT NOT NULL,
+    severity TEXT,
+    violation_count INTEGER NOT NULL DEFAULT 0,
+    summary TEXT,
+    executed_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_rule_executions_run ON rule_executions (run_id);
+  CREATE INDEX IF NOT EXISTS idx_rule_executions_rule ON rule_executions (rule_name, status);
+
+  CREATE TABLE IF NOT EXISTS violations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    project_id TEXT NOT NULL,
+    rule_name TEXT,
+    severity TEXT,
+    message TEXT,
+    location TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_violations_run ON violations (run_id);
+  CREATE INDEX IF NOT EXISTS idx_violations_rule ON violations (rule_name, severity);
+
+  CREATE TABLE IF NOT EXISTS violation_tools (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    project_id TEXT NOT NULL,
+    rule_name TEXT,
+    tool TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_violation_tools_run ON violation_tools (run_id);
+`;
+
+class SqliteStore {
+  /**
+   * @param {string} dbPath - SQLite database file
+   */
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.type = "sqlite";
+    this.db = null;
+  }
+
+  /**
+   * Checks whether the SQLite driver can be loaded.
+   * @returns {boolean} - True if better-sqlite3 is installed
+   */
+  static isAvailable() {
+    try {
+      require.resolve("better-sqlite3");
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async initialize() {
+    const Database = require("better-sqlite3");
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    // WAL lets the API server read while the scanner process writes
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.db.exec(SCHEMA);
+    this.migrate();
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+    logInfo(`📊 Data storage initialized: SQLite (${this.dbPath})`);
+
+    const { count } = this.db.prepare("SELECT COUNT(*) AS count FROM projects").get();
+    if (count === 0) {
+      await this.importResultFiles();
+    }
+  }
+
+  /**
+   * Adds the columns of newer schema versions to a database created by an older one.
+   */
+  migrate() {
+    const columns = this.db
+      .prepare("PRAGMA table_info(runs)")
+      .all()
+      .map((column) => column.name);
+
+    for (const [column, type] of Object.entries(RUN_COLUMNS_V2)) {
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE runs ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+
+  /**
+   * Stores one analysis run: project row, run, rule executions and violations.
+   * @param {Project} project - Processed project
+   * @param {Object} analysisResults - Result from project.getAnalysisResults()
+   * @param {Object|null} run - History run summary ({ runId, jsonHash, ruleSetVersion })
+   * @returns {number} - Run ID
+   */
+  async saveRun(project, analysisResults, run = null) {
+    const projectId = project.getFullName();
+    const processedAt = analysisResults.processedAt || new Date().toISOString();
+    const violations = FileStore.getViolations(analysisResults);
+    const snapshot = project.getStructureSnapshot();
+
+    const save = this.db.transaction(() => {
+      this.upsertProject({
+        id: projectId,
+        name: projectId,
+        position: project.position,
+        machine: project.machine,
+        operator: project.operator,
+        status: analysisResults.status,
+        operationCount: project.getTotalJobCount(),
+        ncFileCount: project.compoundJobs.size,
+        updatedAt: processedAt,
+      });
+
+      const runId = this.insertRun(projectId, analysisResults, {
+        historyRunId: run?.runId || null,
+        jsonHash: run?.jsonHash || null,
+        ruleSetVersion: run?.ruleSetVersion || project.ruleSetVersion || null,
+        processedAt,
+        machine: project.machine,
+        operator: project.operator,
+        operationCount: project.getTotalJobCount(),
+        totalTime: snapshot.totalTime,
+      });
+
+      const insertRule = this.db.prepare(`
+        INSERT INTO rule_executions
+          (run_id, project_id, rule_name, status, severity, violation_count, summary, executed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      project.analysisResults.rules.forEach((ruleResult, ruleName) => {
+        if (!ruleResult.run) return;
+        insertRule.run(
+          runId,
+          projectId,
+          ruleName,
+          project.getRuleStatus(ruleResult),
+          ruleResult.severity || null,
+          ruleResult.failures.length,
+          ruleResult.summary || null,
+          processedAt
+        );
+      });
+
+      this.insertViolations(runId, projectId, violations, snapshot.ncFiles);
+      return runId;
+    });
+
+    return save();
+  }
+
+  /**
+   * Updates the project metadata (without a run).
+   * @param {Project} project - Project instance
+   */
+  async saveProject(project) {
+    if (typeof project.getFullName !== "function") {
+      return null;
+    }
+
+    const existing = this.db
+      .prepare("SELECT status, updated_at FROM projects WHERE id = ?")
+      .get(project.getFullName());
+
+    this.upsertProject({
+      id: project.getFullName(),
+      name: project.getFullName(),
+      position: project.position,
+      machine: project.machine,
+      operator: project.operator,
+      status: existing?.status || null,
+      operationCount: project.getTotalJobCount(),
+      ncFileCount: project.compoundJobs.size,
+      updatedAt: existing?.updated_at || new Date().toISOString(),
+    });
+    return project.getFullName();
+  }
+
+  /**
+   * Stores a single rule verdict outside of a full run, linked to the
+   * project's latest run when there is one.
+   */
+  async saveRuleExecution(projectName, ruleName, result) {
+    const latest = this.db
+      .prepare("SELECT latest_run_id FROM projects WHERE id = ?")
+      .get(projectName);
+
+    this.db
+      .prepare(
+        `INSERT INTO rule_executions
+          (run_id, project_id, rule_name, status, violation_count, summary, executed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        latest?.latest_run_id || null,
+        projectName,
+        ruleName,
+        result?.status || (result?.passed ? "passed" : "failed"),
+        result?.violationCount || result?.violations?.length || 0,
+        result?.summary || null,
+        new Date().toISOString()
+      );
+  }
+
+  /**
+   * Lists projects (latest run per project), newest first.
+   * @param {Object} filters - { status, operator, page, pageSize }
+   * @returns {Object} - { projects, total }
+   */
+  async listProjects(filters = {}) {
+    const conditions = [];
+    const params = {};
+    if (filters.status) {
+      conditions.push("status = @status");
+      params.status = filters.status;
+    }
+    if (typeof filters.operator === "string") {
+      conditions.push("operator = @operator");
+      params.operator = filters.operator;
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM projects ${where}`)
+      .get(params);
+
+    let paging = "";
+    if (filters.page && filters.pageSize) {
+      paging = "LIMIT @limit OFFSET @offset";
+      params.limit = filters.pageSize;
+      params.offset = (filters.page - 1) * filters.pageSize;
+    }
+
+    const rows = this.db
+      .prepare(`SELECT * FROM projects ${where} ORDER BY updated_at DESC ${paging}`)
+      .all(params);
+
+    return { projects: this.withViolations(rows), total };
+  }
+
+  async getAllProjects() {
+    return (await this.listProjects()).projects;
+  }
+
+  async getProject(projectId) {
+    const row = this.db.prepare("SELECT * FROM projects WHERE id = ?").get(projectId);
+    if (!row) {
+      return null;
+    }
+
+    const [project] = this.withViolations([row]);
+    const run = row.latest_run_id
+      ? this.db.prepare("SELECT result_json FROM runs WHERE id = ?").get(row.latest_run_id)
+      : null;
+
+    return run ? { ...project, fullAnalysis: JSON.parse(run.result_json) } : project;
+  }
+
+  /**
+   * Builds the analytics report (same shape as Analytics.getReport) with SQL
+   * aggregates over the runs. Runs stored before schema version 2 fall back to
+   * their project's machine and operator and have no operation counts or tools.
+   * @param {Object} filters - { from, to, days, operator }; throws on invalid dates
+   * @returns {Object} - Analytics report
+   */
+  async getAnalytics(filters = {}) {
+    const period = Analytics.parsePeriod(filters);
+    const conditions = [];
+    const params = { limit: Analytics.TOP_LIMIT };
+    if (period.from) {
+      conditions.push("r.processed_at >= @from");
+      params.from = period.from.toISOString();
+    }
+    if (period.to) {
+      conditions.push("r.processed_at <= @to");
+      params.to = period.to.toISOString();
+    }
+    if (typeof filters.operator === "string") {
+      conditions.push("COALESCE(NULLIF(r.operator, ''), NULLIF(p.operator, ''), 'unknown') = @operator");
+      params.operator = filters.operator;
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    // The runs of the report, as one CTE in front of every query
+    const scoped = `WITH scoped AS (
+      SELECT r.id, r.project_id, r.processed_at, r.status, r.violation_count,
+             r.operation_count, r.total_time,
+             COALESCE(NULLIF(r.machine, ''), NULLIF(p.machine, ''), 'unknown') AS machine,
+             COALESCE(NULLIF(r.operator, ''), NULLIF(p.operator, ''), 'unknown') AS operator
+      FROM runs r LEFT JOIN projects p ON p.id = r.project_id
+      ${where}
+    )`;
+    const counts = Analytics.STATUSES.map((status) => `SUM(status = '${status}') AS ${status}`).join(", ");
+    const query = (sql) => this.db.prepare(`${scoped} ${sql}`).all(params);
+    const withCounts = (row) => ({
+      ...row,
+      ...Object.fromEntries(Analytics.STATUSES.map((status) => [status, row[status] || 0])),
+    });
+
+    const [totals] = query(
+      `SELECT COUNT(*) AS scans, COUNT(DISTINCT project_id) AS projects, ${counts},
+              COALESCE(SUM(violation_count), 0) AS violations
+       FROM scoped`
+    ).map(withCounts);
+
+    const groupRates = (column) =>
+      query(
+        `SELECT ${column} AS name, COUNT(*) AS scans, ${counts},
+                SUM(violation_count) AS violations
+         FROM scoped GROUP BY ${column} ORDER BY scans DESC, name`
+      )
+        .map(withCounts)
+        .map(({ violations, ...group }) => ({
+          ...group,
+          passRate: Analytics.rate(group.passed, group.scans),
+          violations,
+        }));
+
+    // A rule with a violation counts as failed, whatever its severity (like Analytics)
+    const rules = query(
+      `SELECT e.rule_name AS rule, COUNT(*) AS runs,
+              SUM(e.status NOT IN ('failed', 'warning', 'info', 'error')) AS passed,
+              SUM(e.status IN ('failed', 'warning', 'info')) AS failed,
+              SUM(e.status = 'error') AS error
+       FROM rule_executions e JOIN scoped s ON s.id = e.run_id
+       GROUP BY e.rule_name ORDER BY failed DESC, rule`
+    ).map((entry) => ({ ...entry, passRate: Analytics.rate(entry.passed, entry.runs) }));
+
+    const [projects] = query(
+      `SELECT COUNT(*) AS count, AVG(operation_count) AS averageOperations,
+              AVG(COALESCE(total_time, 0)) AS averageMachiningTime
+       FROM (SELECT operation_count, total_time,
+                    ROW_NUMBER() OVER (PARTITION BY project_id ORDER BY processed_at DESC, id DESC) AS n
+             FROM scoped WHERE operation_count IS NOT NULL)
+       WHERE n = 1`
+    );
+
+    return {
+      period: {
+        from: period.from ? period.from.toISOString() : null,
+        to: period.to ? period.to.toISOString() : null,
+      },
+      totals: { ...totals, passRate: Analytics.rate(totals.passed, totals.scans) },
+      scansPerDay: query(
+        `SELECT substr(processed_at, 1, 10) AS date, COUNT(*) AS scans, ${counts}
+         FROM scoped GROUP BY date ORDER BY date`
+      ).map(withCounts),
+      rules,
+      machines: groupRates("machine"),
+      operators: groupRates("operator"),
+      violationTypes: query(
+        `SELECT v.rule_name AS rule, COALESCE(v.severity, 'error') AS severity, COUNT(*) AS count,
+                COUNT(DISTINCT v.project_id) AS projects
+         FROM violations v JOIN scoped s ON s.id = v.run_id
+         GROUP BY v.rule_name, COALESCE(v.severity, 'error')
+         ORDER BY count DESC, rule LIMIT @limit`
+      ),
+      tools: query(
+        `SELECT t.tool, COUNT(*) AS violations, GROUP_CONCAT(DISTINCT t.rule_name) AS rules
+         FROM violation_tools t JOIN scoped s ON s.id = t.run_id
+         GROUP BY t.tool ORDER BY violations DESC, t.tool LIMIT @limit`
+      ).map((entry) => ({ ...entry, rules: entry.rules ? entry.rules.split(",").sort() : [] })),
+      projects: {
+        count: projects.count,
+        averageOperations: Analytics.round1(projects.averageOperations || 0),
+        averageMachiningTime: Analytics.round1(projects.averageMachiningTime || 0), // seconds
+      },
+    };
+  }
+
+  /**
+   * Deletes runs older than the retention period, keeping each project's latest run.
+   * @param {number} retentionDays - Retention period in days
+   * @returns {number} - Runs removed
+   */
+  async cleanup(retentionDays = config.dataRetention.scanResults.retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const { changes } = this.db
+      .prepare(
+        `DELETE FROM runs
+         WHERE processed_at < ?
+           AND id NOT IN (SELECT latest_run_id FROM projects WHERE latest_run_id IS NOT NULL)`
+      )
+      .run(cutoff);
+
+    if (changes > 0) {
+      logInfo(`🧹 SQLite storage: removed ${changes} run(s) older than ${retentionDays} day(s)`);
+    }
+    return changes;
+  }
+
+  /**
+   * Writes a consistent copy of the database to the backup directory.
+   * @returns {Object} - { status, path }
+   */
+  async createBackup() {
+    const backupDir = config.storage.local.backupDirectory;
+    const backupPath = path.join(
+      backupDir,
+      `jsonscanner-${new Date().toISOString().replace(/[:.]/g, "-")}.db`
+    );
+
+    fs.mkdirSync(backupDir, { recursive: true });
+    await this.db.backup(backupPath);
+    FileStore.pruneBackups(backupDir, "jsonscanner-");
+
+    logInfo(`💾 SQLite database backed up to ${backupPath}`);
+    return { status: "ok", path: backupPath };
+  }
+
+  async healthCheck() {
+    try {
+      this.db.prepare("SELECT 1").get();
+      return { status: "ok", storageType: this.type, path: this.dbPath };
+    } catch (error) {
+      return { status: "error", storageType: this.type, error: error.message };
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Fills an empty database from the existing `_BRK_result.json` files.
+   * @returns {number} - Number of imported result files
+   */
+  async importResultFiles() {
+    const fileStore = new FileStore(path.dirname(this.dbPath));
+    const projects = await fileStore.getAllProjects();
+    let imported = 0;
+
+    const importAll = this.db.transaction(() => {
+      for (const summary of projects) {
+        const resultPath = fileStore.getResultFilePath(summary.id, summary.session);
+        try {
+          const result = JSON.parse(fs.readFileSync(resultPath, "utf8"));
+          const processedAt = result.processedAt || summary.timestamp;
+
+          this.upsertProject({
+            id: summary.id,
+            name: summary.name,
+            machine: summary.machine,
+            operator: summary.operator,
+            status: summary.status,
+            operationCount: summary.operationCount,
+            ncFileCount: summary.ncFileCount,
+            updatedAt: processedAt,
+          });
+          const runId = this.insertRun(summary.id, { ...result, status: summary.status }, {
+            processedAt,
+            machine: summary.machine,
+            operator: summary.operator,
+            operationCount: summary.operationCount,
+          });
+          this.insertViolations(runId, summary.id, summary.violations);
+          imported++;
+        } catch (error) {
+          logWarn(`Skipping result file of ${summary.id}: ${error.message}`);
+        }
+      }
+    });
+
+    try {
+      importAll();
+    } catch (error) {
+      logError(`Failed to import result files into SQLite: ${error.message}`);
+      return 0;
+    }
+
+    if (imported > 0) {
+      logInfo(`📥 Imported ${imported} existing result file(s) into SQLite`);
+    }
+    return imported;
+  }
+
+  upsertProject(project) {
+    this.db
+      .prepare(
+        `INSERT INTO projects
+          (id, name, position, machine, operator, status, operation_count, nc_file_count, updated_at)
+        VALUES (@id, @name, @position, @machine, @operator, @status, @operationCount, @ncFileCount, @updatedAt)
+        ON CONFLICT (id) DO UPDATE SET
+          name = excluded.name,
+          position = COALESCE(excluded.position, position),
+          machine = COALESCE(excluded.machine, machine),
+          operator = COALESCE(excluded.operator, operator),
+          status = COALESCE(excluded.status, status),
+          operation_count = excluded.operation_count,
+          nc_file_count = excluded.nc_file_count,
+          updated_at = excluded.updated_at`
+      )
+      .run({
+        position: null,
+        machine: null,
+        operator: null,
+        status: null,
+        operationCount: 0,
+        ncFileCount: 0,
+        ...project,
+      });
+  }
+
+  insertRun(projectId, analysisResults, run) {
+    const { lastInsertRowid } = this.db
+      .prepare(
+        `INSERT INTO runs
+          (project_id, history_run_id, processed_at, status, json_hash, rule_set_version,
+           violation_count, result_json, machine, operator, operation_count, total_time)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        projectId,
+        run.historyRunId || null,
+        run.processedAt,
+        analysisResults.status || null,
+        run.jsonHash || null,
+        run.ruleSetVersion || null,
+        FileStore.getViolations(analysisResults).length,
+        JSON.stringify(analysisResults),
+        run.machine || null,
+        run.operator || null,
+        run.operationCount ?? null,
+        run.totalTime ?? null
+      );
+
+    const runId = Number(lastInsertRowid);
+    this.db
+      .prepare("UPDATE projects SET latest_run_id = ? WHERE id = ?")
+      .run(runId, projectId);
+    return runId;
+  }
+
+  /**
+   * Stores the violations of a run and the tools they count for.
+   * @param {number} runId - Run ID
+   * @param {string} projectId - Project ID
+   * @param {Array<Object>} violations - Violations of the run
+   * @param {Object} ncFiles - NC files of the project's structure snapshot (tools of a violation's operation)
+   */
+  insertViolations(runId, projectId, violations, ncFiles = {}) {
+    const insert = this.db.prepare(
+      `INSERT INTO violations (run_id, project_id, rule_name, severity, message, location)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    );
+    const insertTool = this.db.prepare(
+      `INSERT INTO violation_tools (run_id, project_id, rule_name, tool) VALUES (?, ?, ?, ?)`
+    );
+    for (const violation of violations) {
+      insert.run(
+        runId,
+        projectId,
+        violation.rule || null,
+        violation.severity || "error",
+        violation.message || null,
+        violation.location || null
+      );
+      for (const tool of Analytics.getViolationTools(ncFiles, violation)) {
+        insertTool.run(runId, projectId, violation.rule || null, tool);
+      }
+    }
+  }
+
+  /**
+   * Maps project rows to the API shape, with the violations of their latest run.
+   * @param {Array<Object>} rows - Rows of the projects table
+   * @returns {Array<Object>} - Project summaries
+   */
+  withViolations(rows) {
+    const runIds = rows.map((row) => row.latest_run_id).filter(Boolean);
+    const byRun = new Map();
+
+    if (runIds.length > 0) {
+      const violations = this.db
+        .prepare(
+          `SELECT run_id, rule_name, severity, message, location FROM violations
+           WHERE run_id IN (${runIds.map(() => "?").join(", ")}) ORDER BY id`
+        )
+        .all(...runIds);
+
+      for (const v of violations) {
+        if (!byRun.has(v.run_id)) byRun.set(v.run_id, []);
+        byRun.get(v.run_id).push({
+          rule: v.rule_name,
+          severity: v.severity,
+          message: v.message,
+          location: v.location,
+        });
+      }
+    }
+
+    return rows.map((row) => ({
+      id: row.id,
+      name: row.name,
+      position: row.position,
+      machine: row.machine,
+      operator: row.operator,
+      status: row.status,
+      operationCount: row.operation_count,
+      ncFileCount: row.nc_file_count,
+      timestamp: row.updated_at,
+      violations: byRun.get(row.latest_run_id) || [],
+    }));
+  }
+}
+
+SqliteStore.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = SqliteStore;
@@ -0,0 +1,14 @@
+0 BEGIN PGM W9003MH01A1 MM
+1 ;JOB: 1: HELIX D20
+2 TOOL CALL "FRA-P15250-D10" Z S9000 F800
+3 M110
+4 L Z+100 R0 FMAX M3
+5 CYCL DEF 208 BORE MILLING ~
+  Q200=+2 ;SET-UP CLEARANCE ~
+  Q201=-15 ;DEPTH ~
+  Q206=+800 ;FEED RATE FOR PLNGNG ~
+  Q334=+0.5 ;INFEED DEPTH ~
+  Q335=+20 ;NOMINAL DIAMETER
+6 L X+0 Y+0 R0 FMAX M99
+7 L Z+100 R0 FMAX
+8 END PGM W9003MH01A1 MM
@@ -0,0 +1,13 @@
+0 BEGIN PGM W9003MH01A2 MM
+1 ;JOB: 2: HELIX D16 XFEED
+2 TOOL CALL "FRA-X7600-D8" Z S7000 F600
+3 L Z+100 R0 FMAX M3
+4 CYCL DEF 208 BORE MILLING ~
+  Q200=+2 ;SET-UP CLEARANCE ~
+  Q201=-12 ;DEPTH ~
+  Q206=+600 ;FEED RATE FOR PLNGNG ~
+  Q334=+0.4 ;INFEED DEPTH ~
+  Q335=+16 ;NOMINAL DIAMETER
+5 L X+25 Y+0 R0 FMAX M99
+6 L Z+100 R0 FMAX
+7 END PGM W9003MH01A2 MM
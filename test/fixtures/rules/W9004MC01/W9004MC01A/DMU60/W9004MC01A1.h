@@ -0,0 +1,17 @@
+0 BEGIN PGM W9004MC01A1 MM
+1 BLK FORM 0.1 Z X-50 Y-50 Z-20
+2 BLK FORM 0.2 X+50 Y+50 Z+0
+3 ;JOB: 1: 2D CONTOUR OUTSIDE
+4 TOOL CALL 1 Z S8000 F1200
+5 L Z+100 R0 FMAX M3
+6 L X-40 Y-40 R0 FMAX
+7 L Z-5 R0 F600
+8 L X-30 Y-30 RL F1200
+9 L X+30
+10 CC X+30 Y+0
+11 C X+30 Y+30 DR+
+12 L X-30 Y+30
+13 L X-40 Y-40 R0
+14 L Z+100 R0 FMAX
+15 M30
+16 END PGM W9004MC01A1 MM
@@ -0,0 +1,16 @@
+0 BEGIN PGM W9004MC01A2 MM
+1 BLK FORM 0.1 Z X-50 Y-50 Z-20
+2 BLK FORM 0.2 X+50 Y+50 Z+0
+3 ;JOB: 2: 2D CONTOUR POCKET WALL
+4 TOOL CALL 1 Z S8000 F1200
+5 L Z+100 R0 FMAX M3
+6 L X-20 Y-20 R0 FMAX
+7 L Z-5 R0 F600
+8 L X-10 Y-10 R0 F1200
+9 L X+10
+10 L Y+10
+11 L X-10
+12 L X-20 Y-20 R0
+13 L Z+100 R0 FMAX
+14 M30
+15 END PGM W9004MC01A2 MM
@@ -0,0 +1,47 @@
+// test/unit/PersistentTempManager.test.js
+/**
+ * Manifest round trip: a restart must keep results recorded with active waivers valid.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../config");
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "jsonscanner-ptm-"));
+config.app.userDefinedWorkingFolder = path.join(workDir, "working");
+config.app.logLevel = "error";
+
+const PersistentTempManager = require("../../utils/PersistentTempManager");
+
+const sourceBase = path.join(workDir, "source");
+const sourceJson = path.join(sourceBase, "W5270NS01001", "W5270NS01001A", "W5270NS01001A.json");
+const ruleSetVersion = "rules-v1";
+const waiverHash = "3f2b0c9e6a1d4e8f";
+
+before(() => {
+  fs.mkdirSync(path.dirname(sourceJson), { recursive: true });
+  fs.writeFileSync(sourceJson, JSON.stringify({ operations: [] }), "utf8");
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("a result recorded with active waivers stays up to date after reloading the manifest", async () => {
+  const tempManager = new PersistentTempManager("JSONScanner");
+  await tempManager.copyJsonProject(sourceJson, sourceBase);
+
+  const resultPath = path.join(tempManager.resultsPath, "W5270NS01001A_result.json");
+  fs.writeFileSync(resultPath, "{}", "utf8");
+  tempManager.recordResult(sourceJson, resultPath, ruleSetVersion, waiverHash);
+
+  const reloaded = new PersistentTempManager("JSONScanner");
+
+  assert.strictEqual(reloaded.hasRecordedResult(sourceJson), true);
+  assert.strictEqual(reloaded.isUpToDate(sourceJson, ruleSetVersion, waiverHash), true);
+  assert.strictEqual(reloaded.isUpToDate(sourceJson, ruleSetVersion, null), false);
+  assert.strictEqual(reloaded.isUpToDate(sourceJson, ruleSetVersion, "another-hash"), false);
+});
@@ -0,0 +1,85 @@
+// test/unit/Scanner.test.js
+/**
+ * Change checks of an already scanned tree: waiver changes must re-queue the
+ * waived project although none of the exports changed.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../config");
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "jsonscanner-scanner-"));
+config.app.userDefinedWorkingFolder = path.join(workDir, "working");
+config.app.logLevel = "error";
+config.waivers.path = path.join(workDir, "waivers.json");
+
+const Scanner = require("../../src/Scanner");
+const WaiverStore = require("../../src/WaiverStore");
+
+const fixture = path.join(__dirname, "..", "fixtures", "rules", "W9001GD01");
+const scanPath = path.join(workDir, "source");
+
+before(() => {
+  for (const position of ["W9001GD01A", "W9001GD01B"]) {
+    fs.cpSync(path.join(fixture, position), path.join(scanPath, "W9001GD01", position), {
+      recursive: true,
+    });
+  }
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Runs a scan the way an autorun iteration does and returns the queued projects.
+ * @param {Scanner} scanner - Scanner that keeps its scanned paths between scans
+ * @returns {Promise<Array<string>>} - Full names of the queued projects
+ */
+async function scan(scanner) {
+  scanner.projects = [];
+  await scanner.performScan(scanPath);
+  return scanner.getProjects().map((project) => project.getFullName()).sort();
+}
+
+/**
+ * Records a result for every queued project, as Results.saveProjectResults does.
+ * @param {Scanner} scanner - Scanner whose projects were processed
+ */
+function recordResults(scanner) {
+  for (const project of scanner.getProjects()) {
+    const resultPath = path.join(scanner.tempManager.resultsPath, `${project.getFullName()}.json`);
+    fs.writeFileSync(resultPath, "{}", "utf8");
+    scanner.tempManager.recordResult(
+      project.originalJsonFilePath,
+      resultPath,
+      scanner.ruleSetVersion,
+      project.waiverHash
+    );
+  }
+}
+
+test("adding or revoking a waiver re-queues only the waived project", async () => {
+  const scanner = new Scanner();
+  const waivers = new WaiverStore();
+
+  assert.deepStrictEqual(await scan(scanner), ["W9001GD01A", "W9001GD01B"]);
+  recordResults(scanner);
+  assert.deepStrictEqual(await scan(scanner), []);
+
+  const waiver = waivers.add(
+    { project: "W9001GD01A", rule: "GunDrill60MinLimit", ncFile: "W9001GD01A", reason: "test" },
+    "admin"
+  );
+  assert.deepStrictEqual(await scan(scanner), ["W9001GD01A"]);
+  recordResults(scanner);
+  assert.deepStrictEqual(await scan(scanner), []);
+
+  waivers.revoke(waiver.id, "admin");
+  assert.deepStrictEqual(await scan(scanner), ["W9001GD01A"]);
+  recordResults(scanner);
+  assert.deepStrictEqual(await scan(scanner), []);
+});
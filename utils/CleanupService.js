@@ -87,8 +87,9 @@ class CleanupService {
    * @returns {boolean} - True if file should be deleted
    */
   isGeneratedFile(filename) {
-    // Check for BRK_fixed.json and BRK_result.json files
+    // Check for BRK_fixed.json, BRK_repairs.json and BRK_result.json files
     return filename.includes('BRK_fixed.json') || 
+           filename.includes('BRK_repairs.json') ||
            filename.includes('BRK_result.json') ||
            filename.endsWith('_BRK_fixed.json') ||
            filename.endsWith('_BRK_result.json');
@@ -125,7 +126,7 @@ class CleanupService {
 
     return new Promise((resolve) => {
       logInfo('\n🧹 Interactive Cleanup Mode');
-      logInfo('This will delete all BRK_fixed.json and BRK_result.json files.');
+      logInfo('This will delete all BRK_fixed.json, BRK_repairs.json and BRK_result.json files.');
       logInfo('Paths to be cleaned:');
       logInfo(`  - ${config.paths.test.testDataPathAuto}`);
       logInfo(`  - ${config.paths.test.testDataPathManual}`);
@@ -3,7 +3,7 @@
  * Helper functions for identifying operation types and tool categories.
  */
 
-const config = require("../config");
+const ToolCatalog = require("../src/ToolCatalog");
 
 /**
  * Check if operation is helical drilling
@@ -23,45 +23,35 @@ function is2DContour(operation) {
  * Check if operation uses finishing endmill
  */
 function isFinishingEndmill(operation) {
-  return config.toolCategories.endmill_finish.some(tool => 
-    operation.toolName && operation.toolName.startsWith(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(operation.toolName, ["endmill_finish"]);
 }
 
 /**
  * Check if operation uses roughing endmill
  */
 function isRoughingEndmill(operation) {
-  return config.toolCategories.endmill_roughing.some(tool => 
-    operation.toolName && operation.toolName.startsWith(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(operation.toolName, ["endmill_roughing"]);
 }
 
 /**
  * Check if tool is a cleaning tool
  */
 function isCleaningTool(toolName) {
-  return config.toolCategories.cleaning.some(tool => 
-    toolName && toolName.includes(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(toolName, ["cleaning"], "contains");
 }
 
 /**
  * Check if tool is a touch probe
  */
 function isTouchProbeTool(toolName) {
-  return config.toolCategories.touchprobe.some(tool => 
-    toolName && toolName.includes(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(toolName, ["touchprobe"], "contains");
 }
 
 /**
  * Check if tool is a gundrill
  */
 function isGundrillTool(toolName) {
-  return config.toolCategories.gundrill.some(tool => 
-    toolName && toolName.startsWith(tool)
-  );
+  return ToolCatalog.getShared().isInCategories(toolName, ["gundrill"]);
 }
 
 /**
@@ -82,12 +72,7 @@ function isM110RequiredForHelicalDrilling(operation) {
  * Get tool category for a given tool name
  */
 function getToolCategory(toolName) {
-  for (const [category, tools] of Object.entries(config.toolCategories)) {
-    if (tools.some(tool => toolName && toolName.startsWith(tool))) {
-      return category;
-    }
-  }
-  return 'unknown';
+  return ToolCatalog.getShared().getCategory(toolName);
 }
 
 module.exports = {
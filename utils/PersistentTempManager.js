@@ -48,7 +48,139 @@ class PersistentTempManager {
     this.resultsPath = path.join(this.sessionPath, "results");
     this.inputFilesPath = path.join(this.sessionPath, "input_files");
 
+    // On-disk manifest so change detection survives restarts
+    this.manifestPath = path.join(
+      this.sessionPath,
+      config.tempFiles.manifestFileName
+    );
+
     this.ensureDirectoryStructure();
+    this.loadManifest();
+  }
+
+  /**
+   * Load change-detection state (hashes, mtimes, last results) from the manifest.
+   * A missing or unreadable manifest simply starts with empty state.
+   */
+  loadManifest() {
+    try {
+      if (!fs.existsSync(this.manifestPath)) {
+        return;
+      }
+
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, "utf8"));
+
+      for (const [sourcePath, entry] of Object.entries(manifest.files || {})) {
+        this.fileHashes.set(sourcePath, {
+          ...entry,
+          mtime: new Date(entry.mtime),
+          originalPath: sourcePath,
+        });
+        if (entry.tempPath) {
+          this.pathMapping.set(entry.tempPath, sourcePath);
+        }
+      }
+
+      logInfo(
+        `📒 Loaded scan manifest: ${this.fileHashes.size} tracked file(s)`
+      );
+    } catch (error) {
+      logWarn(
+        `Failed to load scan manifest ${this.manifestPath}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Write change-detection state to the manifest atomically
+   * (write to a temp file, then rename over the old manifest).
+   */
+  saveManifest() {
+    const files = {};
+    for (const [sourcePath, entry] of this.fileHashes) {
+      files[sourcePath] = {
+        hash: entry.hash,
+        mtime: entry.mtime.getTime(),
+        size: entry.size,
+        tempPath: entry.tempPath,
+        lastResultPath: entry.lastResultPath || null,
+        lastResultHash: entry.lastResultHash || null,
+        lastRuleSetVersion: entry.lastRuleSetVersion || null,
+        lastWaiverHash: entry.lastWaiverHash || null,
+        lastProcessedAt: entry.lastProcessedAt || null,
+      };
+    }
+
+    const manifest = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      files,
+    };
+
+    const tmpPath = `${this.manifestPath}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2), "utf8");
+      fs.renameSync(tmpPath, this.manifestPath);
+    } catch (error) {
+      logError(`Failed to save scan manifest: ${error.message}`);
+      if (fs.existsSync(tmpPath)) {
+        fs.unlinkSync(tmpPath);
+      }
+    }
+  }
+
+  /**
+   * Record the result written for a source JSON file, so a restart can skip it.
+   * @param {string} sourcePath - Original JSON file path
+   * @param {string} resultPath - Path of the saved result file
+   * @param {string|null} ruleSetVersion - Version of the rule set that produced the result
+   * @param {string|null} waiverHash - Active waivers the result was produced with (WaiverStore.getWaiverHash)
+   */
+  recordResult(sourcePath, resultPath, ruleSetVersion = null, waiverHash = null) {
+    const entry = this.fileHashes.get(sourcePath);
+    if (!entry) {
+      logWarn(`Cannot record result for untracked file: ${sourcePath}`);
+      return;
+    }
+
+    entry.lastResultPath = resultPath;
+    entry.lastResultHash = entry.hash;
+    entry.lastRuleSetVersion = ruleSetVersion;
+    entry.lastWaiverHash = waiverHash;
+    entry.lastProcessedAt = new Date().toISOString();
+    this.saveManifest();
+  }
+
+  /**
+   * Check if a result was recorded for a source JSON file.
+   * @param {string} sourcePath - Original JSON file path
+   * @returns {boolean} - True if the manifest knows a result of the file
+   */
+  hasRecordedResult(sourcePath) {
+    const entry = this.fileHashes.get(sourcePath);
+    return !!(entry && entry.lastResultPath);
+  }
+
+  /**
+   * Check if a source JSON file already has a result for its current content,
+   * the given rule-set version and the given active waivers.
+   * @param {string} sourcePath - Original JSON file path
+   * @param {string|null} ruleSetVersion - Current rule-set version
+   * @param {string|null} waiverHash - Current waiver hash of the project
+   * @returns {boolean} - True if the stored result is still valid
+   */
+  isUpToDate(sourcePath, ruleSetVersion = null, waiverHash = null) {
+    const entry = this.fileHashes.get(sourcePath);
+    if (!entry || !entry.lastResultPath) {
+      return false;
+    }
+
+    return (
+      entry.lastResultHash === entry.hash &&
+      entry.lastRuleSetVersion === ruleSetVersion &&
+      (entry.lastWaiverHash || null) === waiverHash &&
+      fs.existsSync(entry.lastResultPath)
+    );
   }
 
   /**
@@ -151,6 +283,8 @@ class PersistentTempManager {
         await this.updateSessionFile(sessionFile);
         result.sessionFile = sessionFile;
 
+        this.saveManifest();
+
         logInfo(
           `📁 Copied project: ${path.basename(jsonFilePath)} (${
             result.ncFiles.length
@@ -263,8 +397,11 @@ class PersistentTempManager {
         return true;
       }
 
-      // Quick check: modification time
-      if (sourceStats.mtime.getTime() !== storedInfo.mtime.getTime()) {
+      // Quick check: modification time and size
+      if (
+        sourceStats.mtime.getTime() !== storedInfo.mtime.getTime() ||
+        sourceStats.size !== storedInfo.size
+      ) {
         // File might have changed, verify with hash
         const currentHash = await this.calculateFileHash(sourcePath);
 
@@ -296,10 +433,12 @@ class PersistentTempManager {
       // Copy file
       fs.copyFileSync(sourcePath, tempPath);
 
-      // Store metadata for change detection
+      // Store metadata for change detection (keeping last result info)
       this.fileHashes.set(sourcePath, {
+        ...this.fileHashes.get(sourcePath),
         hash: sourceHash,
         mtime: sourceStats.mtime,
+        size: sourceStats.size,
         tempPath: tempPath,
         originalPath: sourcePath,
       });
@@ -376,17 +515,36 @@ class PersistentTempManager {
   }
 
   /**
-   * Detect changes in source files (compatibility method for Scanner)
+   * Detect changes in tracked source files against the manifest.
+   * New files are picked up by the Scanner's directory walk, not here.
+   * @param {string[]} specificPaths - Optional source paths to limit the check to
    * @returns {Object} - Change detection results
    */
-  async detectChanges() {
-    // For persistent temp manager, we handle changes per-file during copyJsonProject
-    // This is mainly for compatibility with Scanner interface
+  async detectChanges(specificPaths = null) {
+    const changedFiles = [];
+    const deletedFiles = [];
+    const sourcePaths = specificPaths || Array.from(this.fileHashes.keys());
+
+    for (const sourcePath of sourcePaths) {
+      const storedInfo = this.fileHashes.get(sourcePath);
+      if (!storedInfo) continue;
+
+      if (!fs.existsSync(sourcePath)) {
+        deletedFiles.push(sourcePath);
+      } else if (await this.hasFileChanged(sourcePath, storedInfo.tempPath)) {
+        changedFiles.push({ path: sourcePath, tempPath: storedInfo.tempPath });
+      }
+    }
+
+    const hasChanges = changedFiles.length > 0 || deletedFiles.length > 0;
     return {
-      hasChanges: false,
-      summary:
-        "Changes detected individually per JSON file during copy operations",
-      changes: [],
+      hasChanges,
+      summary: hasChanges
+        ? `${changedFiles.length} changed, ${deletedFiles.length} deleted file(s)`
+        : "No changes in tracked files",
+      changedFiles,
+      newFiles: [],
+      deletedFiles,
     };
   }
 
@@ -395,8 +553,19 @@ class PersistentTempManager {
    * @param {Object} changes - Changes object from detectChanges
    */
   async updateChangedFiles(changes) {
-    // For persistent temp manager, updates are handled during copyJsonProject
-    // This is mainly for compatibility with Scanner interface
+    // Changed files are recopied by copyJsonProject during the rescan;
+    // deleted sources are dropped from the manifest here
+    for (const sourcePath of changes.deletedFiles || []) {
+      const storedInfo = this.fileHashes.get(sourcePath);
+      this.fileHashes.delete(sourcePath);
+      if (storedInfo?.tempPath) {
+        this.pathMapping.delete(storedInfo.tempPath);
+      }
+    }
+
+    if ((changes.deletedFiles || []).length > 0) {
+      this.saveManifest();
+    }
     logInfo("File updates handled individually during copy operations");
   }
 
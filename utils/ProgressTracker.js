@@ -12,6 +12,7 @@ class ProgressTracker {
     this.operationName = operationName;
     this.totalItems = totalItems;
     this.processedItems = 0;
+    this.currentItem = "";
     this.startTime = Date.now();
     this.lastReportTime = Date.now();
     this.reportInterval = config.app.progressReportInterval || 10;
@@ -25,6 +26,7 @@ class ProgressTracker {
    */
   update(itemName = "", force = false) {
     this.processedItems++;
+    this.currentItem = itemName;
 
     if (!this.enabled) return;
 
@@ -66,6 +68,23 @@ class ProgressTracker {
     logInfo(progressMsg);
   }
 
+  /**
+   * Current progress as data (for API consumers), independent of reporting settings
+   * @returns {Object} - { processed, total, percentage, elapsedMs, currentItem }
+   */
+  getProgress() {
+    return {
+      processed: this.processedItems,
+      total: this.totalItems,
+      percentage:
+        this.totalItems > 0
+          ? Math.round((this.processedItems / this.totalItems) * 100)
+          : 0,
+      elapsedMs: Date.now() - this.startTime,
+      currentItem: this.currentItem,
+    };
+  }
+
   /**
    * Report completion
    */
@@ -0,0 +1,249 @@
+// path: utils/RuleVerifier.js
+/**
+ * Golden-file regression check for the rule modules.
+ * Runs every rule against the synthetic projects in test/fixtures/rules (offline,
+ * nothing is copied or written next to the fixtures) and compares the verdicts
+ * with the stored snapshots in test/snapshots/rules.
+ *
+ * Snapshots are recorded against the default rule profile and machine catalog, so a
+ * change to a rule, its conditions, its thresholds or a machine shows up as a snapshot
+ * difference.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+const TEST_DIR = path.join(__dirname, "..", "test");
+const DEFAULT_PROFILE_PATH = path.join(
+  __dirname,
+  "..",
+  "rules",
+  "profiles",
+  "default.json"
+);
+const DEFAULT_MACHINES_PATH = path.join(__dirname, "..", "rules", "machines", "default.json");
+
+class RuleVerifier {
+  constructor(options = {}) {
+    this.fixturesPath = options.fixturesPath || path.join(TEST_DIR, "fixtures", "rules");
+    this.snapshotsPath = options.snapshotsPath || path.join(TEST_DIR, "snapshots", "rules");
+    this.updateSnapshots = options.updateSnapshots || false;
+  }
+
+  /**
+   * Verifies all fixture projects against their snapshots.
+   * @returns {Object} - { passed, failed, updated, cases: [{ name, status, differences }] }
+   */
+  verify() {
+    // Snapshots only make sense against the profile and machine catalog they were recorded with
+    config.ruleProfile.path = DEFAULT_PROFILE_PATH;
+
+    const RuleEngine = require("../src/RuleEngine");
+    const ToolCatalog = require("../src/ToolCatalog");
+    const MachineCatalog = require("../src/MachineCatalog");
+    const sharedCatalog = ToolCatalog.setShared(null); // Restored when done
+    this.machineCatalog = new MachineCatalog(DEFAULT_MACHINES_PATH);
+    const sharedMachines = MachineCatalog.setShared(this.machineCatalog);
+    const ruleEngine = new RuleEngine();
+
+    try {
+      return this.verifyFixtures(ruleEngine);
+    } finally {
+      ToolCatalog.setShared(sharedCatalog);
+      MachineCatalog.setShared(sharedMachines);
+    }
+  }
+
+  /**
+   * Runs every fixture and compares (or records) its snapshot.
+   * @param {RuleEngine} ruleEngine - Engine with the default rule profile
+   * @returns {Object} - Summary as returned by verify()
+   */
+  verifyFixtures(ruleEngine) {
+    const summary = { passed: 0, failed: 0, updated: 0, cases: [] };
+
+    for (const name of this.getFixtureNames()) {
+      const actual = this.runFixture(name, ruleEngine);
+      const snapshotPath = path.join(this.snapshotsPath, `${name}.json`);
+
+      if (this.updateSnapshots) {
+        fs.mkdirSync(this.snapshotsPath, { recursive: true });
+        fs.writeFileSync(snapshotPath, JSON.stringify(actual, null, 2) + "\n", "utf8");
+        summary.updated++;
+        summary.cases.push({ name, status: "updated", differences: [] });
+        continue;
+      }
+
+      if (!fs.existsSync(snapshotPath)) {
+        summary.failed++;
+        summary.cases.push({
+          name,
+          status: "missing_snapshot",
+          differences: [`No snapshot at ${path.relative(TEST_DIR, snapshotPath)}`],
+        });
+        continue;
+      }
+
+      const expected = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+      const differences = this.diff(expected, actual);
+
+      if (differences.length === 0) {
+        summary.passed++;
+        summary.cases.push({ name, status: "passed", differences });
+      } else {
+        summary.failed++;
+        summary.cases.push({ name, status: "failed", differences });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Fixture projects are the folders in the fixtures directory.
+   * @returns {Array<string>} - Sorted fixture project names
+   */
+  getFixtureNames() {
+    if (!fs.existsSync(this.fixturesPath)) {
+      throw new Error(`Rule fixtures not found: ${this.fixturesPath}`);
+    }
+
+    return fs
+      .readdirSync(this.fixturesPath, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  /**
+   * Loads one fixture project and runs every rule on each of its positions.
+   * @param {string} name - Fixture project name
+   * @param {RuleEngine} ruleEngine - Engine with the default rule profile
+   * @returns {Object} - Stable (timestamp-free) verdicts for the snapshot
+   */
+  runFixture(name, ruleEngine) {
+    const Project = require("../src/Project");
+    const WaiverStore = require("../src/WaiverStore");
+    const ToolCatalog = require("../src/ToolCatalog");
+    const MachineCatalog = require("../src/MachineCatalog");
+    const projectPath = path.join(this.fixturesPath, name);
+    const fixtureInfoPath = path.join(projectPath, "fixture.json");
+    const fixtureInfo = fs.existsSync(fixtureInfoPath)
+      ? JSON.parse(fs.readFileSync(fixtureInfoPath, "utf8"))
+      : {};
+
+    // Only the fixture's own waivers and tool catalog apply, never the working folder's files;
+    // fixtures may replace the default machine catalog (e.g. to set machine limits)
+    ruleEngine.waiverStore = new WaiverStore(null, fixtureInfo.waivers || []);
+    ToolCatalog.setShared(new ToolCatalog(null, fixtureInfo.tools || {}));
+    MachineCatalog.setShared(
+      fixtureInfo.machines
+        ? new MachineCatalog(null, fixtureInfo.machines)
+        : this.machineCatalog || new MachineCatalog(DEFAULT_MACHINES_PATH)
+    );
+
+    // Loading also repairs and schema-checks the exports (no fixed JSON is written next to the fixtures)
+    const project = new Project(projectPath);
+    if (!project.initialize()) {
+      throw new Error(`Fixture ${name} has no loadable position JSON`);
+    }
+
+    const positions = {};
+    for (const positionProject of project.getPositions()) {
+      const ruleResults = ruleEngine.executeRules(positionProject);
+      positionProject.setAnalysisResults(ruleResults, ruleEngine.ruleProfile);
+
+      const rules = {};
+      positionProject.analysisResults.rules.forEach((ruleResult, ruleName) => {
+        rules[ruleName] = positionProject.getRuleStatus(ruleResult);
+      });
+
+      positions[positionProject.position] = {
+        machine: positionProject.machine,
+        status: positionProject.analysisResults.summary.overallStatus,
+        rules: this.sortKeys(rules),
+        violations: positionProject.getViolations(),
+        waivedViolations: positionProject.getWaivedViolations(),
+        errors: positionProject.getRuleErrors(),
+        dataQuality: positionProject.dataQuality,
+        repairs: positionProject.repairs,
+      };
+    }
+
+    return {
+      project: name,
+      description: fixtureInfo.description || "",
+      positions,
+    };
+  }
+
+  /**
+   * Lists the differences between a snapshot and the actual verdicts.
+   * @param {*} expected - Snapshot value
+   * @param {*} actual - Actual value
+   * @param {string} at - JSON path of the compared values
+   * @returns {Array<string>} - Human readable differences
+   */
+  diff(expected, actual, at = "") {
+    if (
+      typeof expected !== "object" ||
+      typeof actual !== "object" ||
+      expected === null ||
+      actual === null ||
+      Array.isArray(expected) !== Array.isArray(actual)
+    ) {
+      return expected === actual
+        ? []
+        : [`${at || "<root>"}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+    }
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    const differences = [];
+
+    for (const key of keys) {
+      const childPath = Array.isArray(expected) ? `${at}[${key}]` : at ? `${at}.${key}` : key;
+
+      if (!(key in actual)) {
+        differences.push(`${childPath}: missing (expected ${JSON.stringify(expected[key])})`);
+      } else if (!(key in expected)) {
+        differences.push(`${childPath}: unexpected ${JSON.stringify(actual[key])}`);
+      } else {
+        differences.push(...this.diff(expected[key], actual[key], childPath));
+      }
+    }
+
+    return differences;
+  }
+
+  sortKeys(object) {
+    return Object.fromEntries(
+      Object.entries(object).sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+
+  /**
+   * Prints the verification summary.
+   * @param {Object} summary - Result of verify()
+   */
+  printSummary(summary) {
+    for (const testCase of summary.cases) {
+      if (testCase.status === "passed") {
+        console.log(`✅ ${testCase.name}`);
+      } else if (testCase.status === "updated") {
+        console.log(`📝 ${testCase.name}: snapshot updated`);
+      } else {
+        console.error(`❌ ${testCase.name}: ${testCase.differences.length} difference(s)`);
+        testCase.differences.forEach((difference) => console.error(`   ${difference}`));
+      }
+    }
+
+    if (summary.updated > 0) {
+      console.log(`\n📝 ${summary.updated} snapshot(s) written - review the diff before committing`);
+    } else {
+      console.log(`\n📊 Rule verification: ${summary.passed} passed, ${summary.failed} failed`);
+    }
+  }
+}
+
+module.exports = RuleVerifier;
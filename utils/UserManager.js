@@ -2,69 +2,233 @@
 /**
  * Handles user authentication, permissions, and project filtering.
  * Manages operator-based access control for the web app.
+ *
+ * Users are persisted in a JSON file (webApp.usersFile, default
+ * <working folder>/BRK CNC Management Dashboard/JSONScanner/users.json) with
+ * scrypt password hashes. Sessions are kept in memory - a server restart
+ * requires a new login.
  */
 
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const config = require("../config");
 const { logInfo, logWarn, logError } = require("./Logger");
 
+const HASH_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[\w.-]+$/;
+const HOUR_MS = 60 * 60 * 1000;
+
 class UserManager {
-  constructor() {
-    // In a real web app, this would connect to a database
-    // For now, we'll use a simple in-memory store
+  /**
+   * @param {string} usersFile - JSON file holding the users
+   * @param {Object} options - { createInitialAdmin: false } leaves a missing users file empty (CLI)
+   */
+  constructor(usersFile = UserManager.getDefaultPath(), options = {}) {
+    this.usersFile = usersFile;
     this.users = new Map();
-    this.sessions = new Map();
-    
-    // Demo users for testing
-    this.initializeDemoUsers();
+    this.sessions = new Map(); // sessionId -> { username, expiresAt }
+
+    this.loadUsers(options.createInitialAdmin !== false);
+  }
+
+  /**
+   * Users file: webApp.usersFile, or next to the results in the working folder.
+   * @returns {string} - Users file path
+   */
+  static getDefaultPath() {
+    if (config.webApp.usersFile) {
+      return config.webApp.usersFile;
+    }
+
+    const TempFileManager = require("./TempFileManager");
+    return path.join(new TempFileManager().getBasePath(), "JSONScanner", "users.json");
   }
 
   /**
-   * Initialize demo users for testing purposes.
-   * In production, this would be replaced with database initialization.
+   * Loads the users file. Without one, an initial admin is created with the
+   * password from JSONSCANNER_ADMIN_PASSWORD, or a generated one that is printed
+   * once to the console (stderr) - never to the log file.
+   * @param {boolean} createInitialAdmin - Create the admin when there is no users file
    */
-  initializeDemoUsers() {
+  loadUsers(createInitialAdmin = true) {
+    if (fs.existsSync(this.usersFile)) {
+      try {
+        const { users = [] } = JSON.parse(fs.readFileSync(this.usersFile, "utf8"));
+        users.forEach((user) => this.users.set(user.username, user));
+        logInfo(`UserManager loaded ${this.users.size} user(s)`);
+        return;
+      } catch (error) {
+        // Don't silently replace a damaged users file with a fresh admin
+        logError(`Failed to read users file ${this.usersFile}: ${error.message}`);
+        throw error;
+      }
+    }
+
+    if (!createInitialAdmin) {
+      return;
+    }
+
+    const password =
+      process.env.JSONSCANNER_ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
     this.users.set("admin", {
       username: "admin",
       role: "admin",
       operator: null, // Admin can see all
-      email: "admin@company.com"
+      email: null,
+      disabled: false,
+      passwordHash: UserManager.hashPassword(password),
     });
+    this.saveUsers();
 
-    this.users.set("aszilagyi", {
-      username: "aszilagyi",
-      role: "user",
-      operator: "aszilagyi", // Matches JSON operator field
-      email: "aszilagyi@company.com"
-    });
+    if (process.env.JSONSCANNER_ADMIN_PASSWORD) {
+      logInfo(`UserManager created user "admin" in ${this.usersFile}`);
+    } else {
+      logWarn(
+        `UserManager created user "admin" with a generated password (printed to the console) in ${this.usersFile} - change it after the first login`
+      );
+      console.error(`🔑 Initial password of user "admin": ${password}`);
+    }
+  }
 
-    this.users.set("jsmith", {
-      username: "jsmith",
-      role: "user",
-      operator: "jsmith",
-      email: "jsmith@company.com"
-    });
+  saveUsers() {
+    fs.mkdirSync(path.dirname(this.usersFile), { recursive: true });
+    fs.writeFileSync(
+      this.usersFile,
+      JSON.stringify({ users: Array.from(this.users.values()) }, null, 2),
+      { encoding: "utf8", mode: 0o600 }
+    );
+  }
+
+  /**
+   * Hashes a password with a random salt.
+   * @param {string} password - Plain password
+   * @returns {string} - "scrypt$<salt>$<hash>"
+   */
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = crypto.scryptSync(password, salt, HASH_KEY_LENGTH).toString("hex");
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  /**
+   * Checks a password against a hash from hashPassword().
+   * @param {string} password - Plain password
+   * @param {string} passwordHash - Stored hash
+   * @returns {boolean} - True if the password matches
+   */
+  static verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) {
+      return false;
+    }
 
-    logInfo("UserManager initialized with demo users");
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
   }
 
   /**
-   * Authenticate a user (simplified for demo).
+   * Authenticate a user.
    * @param {string} username - Username
-   * @param {string} password - Password (not used in demo)
+   * @param {string} password - Password
    * @returns {Object|null} - User object if authenticated, null otherwise
    */
   authenticate(username, password) {
-    // In production, verify password hash
     const user = this.users.get(username);
-    if (user) {
+    if (
+      user &&
+      !user.disabled &&
+      password &&
+      UserManager.verifyPassword(password, user.passwordHash)
+    ) {
       logInfo(`User "${username}" authenticated successfully`);
-      return { ...user }; // Return copy without internal data
+      return this.sanitize(user); // Return copy without internal data
     }
-    
+
     logWarn(`Authentication failed for user "${username}"`);
     return null;
   }
 
+  /**
+   * Starts a session for an authenticated user.
+   * @param {Object} user - User from authenticate()
+   * @returns {Object} - { token, expiresAt }
+   */
+  createSession(user) {
+    const sessionId = crypto.randomBytes(24).toString("hex");
+    const expiresAt = Date.now() + config.webApp.sessionTtlHours * HOUR_MS;
+    this.sessions.set(sessionId, { username: user.username, expiresAt });
+
+    return {
+      token: `${sessionId}.${this.signSessionId(sessionId)}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Resolves a session token to its user.
+   * @param {string} token - Token from createSession()
+   * @returns {Object|null} - User object, null if the token is invalid or expired
+   */
+  getSessionUser(token) {
+    const sessionId = this.verifyToken(token);
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session) {
+      return null;
+    }
+
+    const user = this.users.get(session.username);
+    if (session.expiresAt < Date.now() || !user || user.disabled) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    return this.sanitize(user);
+  }
+
+  /**
+   * Ends a session.
+   * @param {string} token - Token from createSession()
+   */
+  destroySession(token) {
+    const sessionId = this.verifyToken(token);
+    if (sessionId) {
+      this.sessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Checks the token signature.
+   * @param {string} token - "<sessionId>.<signature>"
+   * @returns {string|null} - Session ID if the signature is valid
+   */
+  verifyToken(token) {
+    const [sessionId, signature] = String(token || "").split(".");
+    if (!sessionId || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signSessionId(sessionId));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+      ? sessionId
+      : null;
+  }
+
+  signSessionId(sessionId) {
+    return crypto
+      .createHmac("sha256", config.webApp.sessionSecret)
+      .update(sessionId)
+      .digest("base64url");
+  }
+
+  sanitize(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
   /**
    * Check if user has specific permission.
    * @param {Object} user - User object
@@ -73,7 +237,7 @@ class UserManager {
    */
   hasPermission(user, permission) {
     if (!user || !user.role) return false;
-    
+
     const rolePermissions = config.permissions[user.role];
     return rolePermissions && rolePermissions[permission] === true;
   }
@@ -86,30 +250,34 @@ class UserManager {
    */
   getOperatorFilter(user) {
     if (!user) return null;
-    
+
     if (this.hasPermission(user, "canViewAllProjects")) {
       return null; // Admin sees all
     }
-    
-    return user.operator; // Regular user sees only their own
+
+    // Regular user sees only their own; without an operator, nothing
+    return user.operator || "";
   }
 
   /**
    * Check if user can access a specific project.
    * @param {Object} user - User object
-   * @param {Object} project - Project object with getOperators() method
+   * @param {Object} project - Project instance, or a stored project record with an operator field
    * @returns {boolean} - True if user can access project
    */
   canAccessProject(user, project) {
     if (!user || !project) return false;
-    
+
     // Admin can access all projects
     if (this.hasPermission(user, "canViewAllProjects")) {
       return true;
     }
-    
+
     // Regular user can only access projects they operate
-    return project.hasOperator(user.operator);
+    if (!user.operator) return false;
+    return typeof project.hasOperator === "function"
+      ? project.hasOperator(user.operator)
+      : project.operator === user.operator;
   }
 
   /**
@@ -120,12 +288,12 @@ class UserManager {
    */
   filterProjects(user, projects) {
     if (!user || !Array.isArray(projects)) return [];
-    
+
     // Admin sees all projects
     if (this.hasPermission(user, "canViewAllProjects")) {
       return projects;
     }
-    
+
     // Regular user sees only their own projects
     return projects.filter(project => this.canAccessProject(user, project));
   }
@@ -140,38 +308,184 @@ class UserManager {
       logWarn(`Unauthorized attempt to list users by "${requestingUser?.username}"`);
       return [];
     }
-    
-    return Array.from(this.users.values()).map(user => ({
-      username: user.username,
-      role: user.role,
-      operator: user.operator,
-      email: user.email
-    }));
+
+    return Array.from(this.users.values()).map((user) => this.sanitize(user));
+  }
+
+  /**
+   * Get one user.
+   * @param {string} username - Username
+   * @returns {Object|null} - User object (sanitized), null if unknown
+   */
+  getUser(username) {
+    const user = this.users.get(username);
+    return user ? this.sanitize(user) : null;
   }
 
   /**
    * Add a new user (admin only).
    * @param {Object} requestingUser - User making the request
-   * @param {Object} newUserData - New user data
-   * @returns {boolean} - True if user was added successfully
+   * @param {Object} newUserData - New user data ({ username, password, role (default "user"), operator, email })
+   * @returns {Object} - The new user (sanitized)
+   * @throws {Error} - If not permitted or the data is invalid
    */
   addUser(requestingUser, newUserData) {
-    if (!this.hasPermission(requestingUser, "canModifySettings")) {
-      logWarn(`Unauthorized attempt to add user by "${requestingUser?.username}"`);
-      return false;
+    this.assertCanManageUsers(requestingUser, "add user");
+
+    const { username, password, role = "user", operator = null, email = null } = newUserData;
+
+    if (!USERNAME_PATTERN.test(username || "")) {
+      throw new Error("username may only contain letters, digits, '.', '-' and '_'");
     }
-    
-    const { username, role, operator, email } = newUserData;
-    
     if (this.users.has(username)) {
-      logWarn(`Attempt to add existing user "${username}"`);
-      return false;
+      throw new Error(`User "${username}" already exists`);
     }
-    
-    this.users.set(username, { username, role, operator, email });
+    validatePassword(password);
+
+    const user = {
+      username,
+      role: null,
+      operator: null,
+      email: null,
+      disabled: false,
+      passwordHash: UserManager.hashPassword(password),
+    };
+    applyChanges(user, { role, operator, email });
+
+    this.users.set(username, user);
+    this.saveUsers();
     logInfo(`New user "${username}" added by "${requestingUser.username}"`);
-    return true;
+    return this.sanitize(user);
+  }
+
+  /**
+   * Update role, operator mapping, email or disabled flag of a user (admin only).
+   * Disabling a user ends their sessions.
+   * @param {Object} requestingUser - User making the request
+   * @param {string} username - User to update
+   * @param {Object} changes - Any of { role, operator, email, disabled }
+   * @returns {Object} - The updated user (sanitized)
+   * @throws {Error} - If not permitted, the user is unknown or the change is invalid
+   */
+  updateUser(requestingUser, username, changes) {
+    this.assertCanManageUsers(requestingUser, "update user");
+
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error(`User "${username}" not found`);
+    }
+
+    const updated = { ...user };
+    applyChanges(updated, changes);
+
+    if (updated.disabled && username === requestingUser.username) {
+      throw new Error("You cannot disable your own account");
+    }
+    if (this.isActiveAdmin(user) && !this.isActiveAdmin(updated) && this.countActiveAdmins() === 1) {
+      throw new Error(`"${username}" is the last active admin`);
+    }
+
+    this.users.set(username, updated);
+    this.saveUsers();
+    if (updated.disabled) {
+      this.endSessions(username);
+    }
+
+    logInfo(
+      `User "${username}" updated by "${requestingUser.username}": ${Object.keys(changes).join(", ")}`
+    );
+    return this.sanitize(updated);
+  }
+
+  /**
+   * Set a new password for a user (admin only). Ends the user's sessions.
+   * @param {Object} requestingUser - User making the request
+   * @param {string} username - User whose password is reset
+   * @param {string} password - New password
+   * @throws {Error} - If not permitted, the user is unknown or the password too short
+   */
+  resetPassword(requestingUser, username, password) {
+    this.assertCanManageUsers(requestingUser, "reset password");
+
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error(`User "${username}" not found`);
+    }
+    validatePassword(password);
+
+    this.users.set(username, { ...user, passwordHash: UserManager.hashPassword(password) });
+    this.saveUsers();
+    this.endSessions(username);
+    logInfo(`Password of "${username}" reset by "${requestingUser.username}"`);
+  }
+
+  assertCanManageUsers(requestingUser, action) {
+    if (!this.hasPermission(requestingUser, "canModifySettings")) {
+      logWarn(`Unauthorized attempt to ${action} by "${requestingUser?.username}"`);
+      throw new Error(`User "${requestingUser?.username}" may not manage users`);
+    }
+  }
+
+  isActiveAdmin(user) {
+    return !user.disabled && this.hasPermission(user, "canModifySettings");
+  }
+
+  countActiveAdmins() {
+    return Array.from(this.users.values()).filter((user) => this.isActiveAdmin(user)).length;
+  }
+
+  endSessions(username) {
+    this.sessions.forEach((session, sessionId) => {
+      if (session.username === username) {
+        this.sessions.delete(sessionId);
+      }
+    });
   }
 }
 
-module.exports = UserManager;
\ No newline at end of file
+/**
+ * Applies validated user field changes.
+ * @param {Object} user - Stored user, modified in place
+ * @param {Object} changes - Any of { role, operator, email, disabled }
+ * @throws {Error} - On an unknown field or invalid value
+ */
+function applyChanges(user, changes) {
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined) continue;
+
+    switch (field) {
+      case "role":
+        if (!Object.hasOwn(config.permissions, value)) {
+          throw new Error(
+            `Unknown role "${value}" (${Object.keys(config.permissions).join(", ")})`
+          );
+        }
+        break;
+      case "operator":
+      case "email":
+        if (value !== null && typeof value !== "string") {
+          throw new Error(`${field} must be a string or null`);
+        }
+        break;
+      case "disabled":
+        if (typeof value !== "boolean") {
+          throw new Error("disabled must be true or false");
+        }
+        break;
+      default:
+        throw new Error(`Field "${field}" cannot be changed`);
+    }
+
+    user[field] = value === "" ? null : value;
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must have at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+UserManager.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = UserManager;